@@ -3,8 +3,34 @@ import { TankVisualizer } from './tank-visualizer.js';
 import { TankCalculator } from './tank-calculator.js';
 import { GlassRecommender } from './glass-recommendations.js';
 import { EquipmentRecommender } from './equipment-recommendations.js';
+import { WeightCalculator } from './weight-calculator.js';
+import { DisplacementModel } from './displacement-model.js';
+import { TankSystem } from './tank-system.js';
+import { BracingDesigner } from './bracing-designer.js';
+import { CutListGenerator } from './cut-list.js';
+import { DimensionFinder } from './dimension-finder.js';
+import { PlacementConstraints } from './placement-constraints.js';
+import { TankCatalog } from './tank-catalog.js';
+import { PresetStore } from './preset-store.js';
+import { ThermalModel } from './thermal-model.js';
+import { LivestockDatabase } from './livestock-database.js';
+import { StockingPlanner } from './stocking-planner.js';
+import { ProductCatalog } from './product-catalog.js';
 import { DOMHelper } from './dom-helper.js';
-import { CONVERSIONS, UNIT_SYSTEMS, VOLUME_UNITS, DIMENSIONS, DEFAULT_VALUES } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { CONVERSIONS, UNIT_SYSTEMS, VOLUME_UNITS, DIMENSIONS, DEFAULT_VALUES, TANK_SHAPES, FLOOR_LOAD_LIMITS, DISPLACEMENT_DEFAULTS, GLASS_CALC_MODES, GLASS_PROPERTIES, MATERIAL_PROPERTIES, DEFAULT_PANEL_MATERIAL, BRACING_TYPES, BOTTOM_SUPPORTS, WATER_LEVEL_MODES, OPTIMIZER_OBJECTIVES, THERMAL_DEFAULTS, WATER_TYPES, LIGHTING_DEFAULTS, EQUIPMENT_GROUPS } from './constants.js';
+
+// Shape parameters measured in the current dimension unit, with slider ranges per unit system
+const SHAPE_LENGTH_PARAMS = {
+    bowDepth: {
+        [UNIT_SYSTEMS.IMPERIAL]: { min: 1, max: 12, step: 1 },
+        [UNIT_SYSTEMS.METRIC]: { min: 2, max: 30, step: 1 }
+    },
+    returnDepth: {
+        [UNIT_SYSTEMS.IMPERIAL]: { min: 4, max: 36, step: 1 },
+        [UNIT_SYSTEMS.METRIC]: { min: 10, max: 90, step: 1 }
+    }
+};
 
 class AquariumApp {
     constructor() {
@@ -12,6 +38,21 @@ class AquariumApp {
         this.calculator = new TankCalculator();
         this.recommender = new GlassRecommender();
         this.equipmentRecommender = new EquipmentRecommender();
+        this.productCatalog = new ProductCatalog();
+        this.weightCalculator = new WeightCalculator();
+        this.displacementModel = new DisplacementModel();
+        this.tankSystem = new TankSystem();
+        this.bracingDesigner = new BracingDesigner(this.recommender);
+        this.cutListGenerator = new CutListGenerator();
+        this.tankCatalog = new TankCatalog();
+        this.dimensionFinder = new DimensionFinder(this.recommender, this.tankCatalog);
+        this.presetStore = new PresetStore();
+        this.thermalModel = new ThermalModel();
+        this.livestockDatabase = new LivestockDatabase();
+        this.stockingPlanner = new StockingPlanner(this.livestockDatabase);
+        this.stockList = [];
+        this.currentCutList = null;
+        this.currentEquipment = null;
         this.currentUnitSystem = DEFAULT_VALUES.UNIT_SYSTEM;
         this.volumeUnitSystem = DEFAULT_VALUES.VOLUME_UNIT;
         this.updateTimeout = null;
@@ -23,10 +64,23 @@ class AquariumApp {
 
     init() {
         this.setupDimensionControls();
+        this.setupShapeControls();
+        this.setupContentsInputs();
+        this.setupThermalInputs();
+        this.setupLightingInputs();
+        this.setupEquipmentRules();
+        this.setupProductCatalog();
+        this.setupStocking();
+        this.setupGlassOptions();
+        this.setupSystemVessels();
+        this.setupCutList();
+        this.setupDimensionFinder();
+        this.setupTankCatalog();
         this.setupVolumeInputs();
         this.setupUnitSystem();
         this.setupVolumeUnitSystem();
         this.setupTankPresets();
+        this.setupCustomPresets();
         this.setupCalculationModeToggle();
 
         // Initialize visualizer after DOM setup is complete
@@ -109,6 +163,751 @@ class AquariumApp {
         });
     }
 
+    setupShapeControls() {
+        const shapeSelector = DOMHelper.getElement('tankShape');
+
+        if (!shapeSelector) {
+            console.error('Tank shape selector not found');
+            return;
+        }
+
+        shapeSelector.addEventListener('change', () => {
+            this.updateShapeParamVisibility();
+            this.updateCalculations(true);
+        });
+
+        ['bowDepth', 'sides', 'returnDepth'].forEach(param => {
+            DOMHelper.addEventListener(param, 'input', (e) => {
+                DOMHelper.setText(`${param}Value`, e.target.value);
+                this.debouncedUpdate();
+            });
+        });
+
+        this.updateShapeParamVisibility();
+    }
+
+    updateShapeParamVisibility() {
+        const shapeType = DOMHelper.getValue('tankShape');
+
+        document.querySelectorAll('.shape-param').forEach(group => {
+            group.classList.toggle('active', group.dataset.shape === shapeType);
+        });
+    }
+
+    getCurrentShape() {
+        const toInches = (value) => this.currentUnitSystem === UNIT_SYSTEMS.METRIC ?
+            value / CONVERSIONS.INCHES_TO_CM : value;
+
+        return new TankShape(DOMHelper.getValue('tankShape') || TANK_SHAPES.RECTANGLE, {
+            bowDepth: toInches(parseFloat(DOMHelper.getValue('bowDepth'))),
+            sides: parseInt(DOMHelper.getValue('sides')),
+            returnDepth: toInches(parseFloat(DOMHelper.getValue('returnDepth')))
+        });
+    }
+
+    setupContentsInputs() {
+        DOMHelper.setValue('substrateDepth', DISPLACEMENT_DEFAULTS.SUBSTRATE_DEPTH_INCHES);
+        DOMHelper.setValue('waterLevel', DISPLACEMENT_DEFAULTS.FREEBOARD_INCHES);
+        DOMHelper.setValue('floorLoadWarning', FLOOR_LOAD_LIMITS.WARNING_LB_PER_SQFT);
+        DOMHelper.setValue('floorLoadMax', FLOOR_LOAD_LIMITS.MAX_LB_PER_SQFT);
+
+        ['substrateDepth', 'rockWeight', 'waterLevel', 'floorLoadWarning', 'floorLoadMax'].forEach(id => {
+            DOMHelper.addEventListener(id, 'input', () => this.debouncedUpdate());
+        });
+        DOMHelper.addEventListener('tankType', 'change', () => {
+            this.equipmentRecommender.setTankType(DOMHelper.getValue('tankType'));
+            this.debouncedUpdate();
+        });
+
+        // Keep the same water line when switching between freeboard and depth
+        let waterLevelMode = DOMHelper.getValue('waterLevelMode');
+        DOMHelper.addEventListener('waterLevelMode', 'change', () => {
+            const newMode = DOMHelper.getValue('waterLevelMode');
+            const value = parseFloat(DOMHelper.getValue('waterLevel'));
+            const height = parseFloat(DOMHelper.getValue('height'));
+            if (newMode !== waterLevelMode && !isNaN(value) && !isNaN(height)) {
+                DOMHelper.setValue('waterLevel', Math.max(0, Math.round((height - value) * 10) / 10));
+            }
+            waterLevelMode = newMode;
+            this.debouncedUpdate();
+        });
+    }
+
+    setupThermalInputs() {
+        const toDisplay = (celsius) => this.currentUnitSystem === UNIT_SYSTEMS.METRIC ?
+            celsius : Math.round(ThermalModel.toFahrenheit(celsius));
+        DOMHelper.setValue('roomMinTemp', toDisplay(THERMAL_DEFAULTS.ROOM_MIN_C));
+        DOMHelper.setValue('roomMaxTemp', toDisplay(THERMAL_DEFAULTS.ROOM_MAX_C));
+        DOMHelper.setValue('targetTemp', toDisplay(THERMAL_DEFAULTS.TARGET_C));
+        DOMHelper.setValue('equipmentHeat', THERMAL_DEFAULTS.EQUIPMENT_HEAT_W);
+
+        ['roomMinTemp', 'roomMaxTemp', 'targetTemp', 'equipmentHeat'].forEach(id => {
+            DOMHelper.addEventListener(id, 'input', () => this.debouncedUpdate());
+        });
+        DOMHelper.addEventListener('tankLid', 'change', () => this.debouncedUpdate());
+    }
+
+    /**
+     * Read room, water and lid inputs for the thermal model
+     * @returns {object} Temperatures in °C, lid flag and equipment heat in W
+     */
+    getThermalInputs() {
+        const readCelsius = (id, fallback) => {
+            const value = parseFloat(DOMHelper.getValue(id));
+            if (isNaN(value)) return fallback;
+            return this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? value : ThermalModel.toCelsius(value);
+        };
+        const roomMinC = readCelsius('roomMinTemp', THERMAL_DEFAULTS.ROOM_MIN_C);
+        const roomMaxC = readCelsius('roomMaxTemp', THERMAL_DEFAULTS.ROOM_MAX_C);
+
+        return {
+            roomMinC: Math.min(roomMinC, roomMaxC),
+            roomMaxC: Math.max(roomMinC, roomMaxC),
+            targetC: readCelsius('targetTemp', THERMAL_DEFAULTS.TARGET_C),
+            lid: DOMHelper.getValue('tankLid') === 'lid',
+            equipmentHeatW: Math.max(0, parseFloat(DOMHelper.getValue('equipmentHeat')) || 0)
+        };
+    }
+
+    setupLightingInputs() {
+        DOMHelper.setValue('lightMountHeight', LIGHTING_DEFAULTS.MOUNT_HEIGHT_IN);
+        DOMHelper.addEventListener('lightMountHeight', 'input', () => this.debouncedUpdate());
+    }
+
+    setupEquipmentRules() {
+        // Store-specific equipment tables come from the rules file and show up once loaded
+        this.equipmentRecommender.loadRules().then(() => this.updateCalculations());
+    }
+
+    setupProductCatalog() {
+        ['standSpaceWidth', 'standSpaceLength', 'standSpaceHeight'].forEach(id => {
+            DOMHelper.addEventListener(id, 'input', () => this.debouncedUpdate());
+        });
+
+        DOMHelper.addEventListener('productImport', 'change', (e) => {
+            Array.from(e.target.files).forEach(file => this.importProductFile(file));
+            e.target.value = '';
+        });
+
+        this.productCatalog.load().then(({ added }) => {
+            DOMHelper.setText('productStatus', `${added} products in the catalog`);
+            this.updateCalculations();
+        });
+    }
+
+    async importProductFile(file) {
+        try {
+            const { added, skipped } = this.productCatalog.addProducts(JSON.parse(await file.text()), file.name);
+            const skippedText = skipped.length > 0 ?
+                ` - skipped ${skipped.length}: ${skipped.map(s => `${s.id} (${s.errors[0]})`).join(', ')}` : '';
+            DOMHelper.setText('productStatus', `Added ${added} products from ${file.name}${skippedText}`);
+        } catch (error) {
+            console.error(`Could not import ${file.name}:`, error);
+            DOMHelper.setText('productStatus', `${file.name} is not a valid product catalog JSON file`);
+        }
+        this.updateCalculations();
+    }
+
+    /**
+     * Read the space inside the stand cabinet
+     * @returns {object|null} { width, length, height } in inches, or null until all three are set
+     */
+    getStandSpace() {
+        const factor = this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? 1 / CONVERSIONS.INCHES_TO_CM : 1;
+        const [width, length, height] = ['standSpaceWidth', 'standSpaceLength', 'standSpaceHeight']
+            .map(id => (parseFloat(DOMHelper.getValue(id)) || 0) * factor);
+
+        return width > 0 && length > 0 && height > 0 ? { width, length, height } : null;
+    }
+
+    /**
+     * Read the fixture height and the water column the light has to reach through
+     * @param {object} contents - Contents from getContentsInputs
+     * @returns {object} { waterDepth, substrateDepth, mountHeightIn } in inches
+     */
+    getLightingInputs(contents) {
+        const mountHeight = Math.max(0, parseFloat(DOMHelper.getValue('lightMountHeight')) || 0);
+
+        return {
+            waterDepth: contents.waterDepth,
+            substrateDepth: contents.substrateDepth,
+            mountHeightIn: this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? mountHeight / CONVERSIONS.INCHES_TO_CM : mountHeight
+        };
+    }
+
+    getThermalLoad(lengthIn, widthIn, heightIn, shape, contents, detailedRecommendation, material) {
+        const inputs = this.getThermalInputs();
+        const display = this.thermalModel.calculate({
+            ...inputs,
+            length: lengthIn,
+            width: widthIn,
+            height: heightIn,
+            waterDepth: contents.waterDepth,
+            shape: shape,
+            glassThicknessMm: detailedRecommendation.thicknessMm,
+            material: material
+        });
+
+        // Sumps and other vessels hold the same water, so they add to the heater and chiller load
+        const vessels = this.tankSystem.vessels.map(vessel => this.thermalModel.calculate({
+            ...inputs,
+            length: vessel.length,
+            width: vessel.width,
+            height: vessel.height,
+            waterDepth: vessel.waterLevel,
+            glassThicknessMm: this.recommender.getRecommendedThickness(vessel.length, vessel.width, vessel.waterLevel),
+            lid: false,
+            equipmentHeatW: 0
+        }));
+
+        return vessels.length > 0 ? this.thermalModel.combine([display, ...vessels]) : display;
+    }
+
+    updateThermalDisplay(thermal) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const formatTemp = (celsius) => isMetric ?
+            `${Math.round(celsius)}°C` : `${Math.round(ThermalModel.toFahrenheit(celsius))}°F`;
+        const formatBreakdown = (breakdown) => Object.entries(breakdown)
+            .filter(([, watts]) => Math.round(watts) !== 0)
+            .map(([path, watts]) => `${path} ${Math.round(watts)} W`)
+            .join(' · ');
+
+        const { heating, cooling } = thermal;
+        DOMHelper.setText('heatLossBreakdown',
+            `${Math.round(heating.lossW)} W at ${formatTemp(heating.roomC)} (${formatBreakdown(heating.breakdown) || 'none'})`);
+        DOMHelper.setText('heatGainBreakdown',
+            `${Math.round(cooling.gainW)} W at ${formatTemp(cooling.roomC)} (${formatBreakdown(cooling.breakdown) || 'none'})`);
+
+        const evaporation = this.volumeUnitSystem === VOLUME_UNITS.GALLONS ?
+            `${this.calculator.convertToGallons(thermal.evaporationLitersPerDay).toFixed(2)} gal/day` :
+            `${thermal.evaporationLitersPerDay.toFixed(1)} L/day`;
+        DOMHelper.setText('evaporationResult', evaporation);
+    }
+
+    /**
+     * Read water, substrate, rock and floor-limit inputs
+     * @param {number} heightIn - Tank height in inches, used to turn a water depth into freeboard
+     * @returns {object} Contents in inches and kg, with freeboard and water depth resolved
+     */
+    getContentsInputs(heightIn) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const readNumber = (id) => Math.max(0, parseFloat(DOMHelper.getValue(id)) || 0);
+        // Floor limits are entered in kg/m² for metric, lb/ft² for imperial
+        const toLbPerSqFt = (id) => {
+            const value = parseFloat(DOMHelper.getValue(id));
+            if (isNaN(value)) return undefined; // Fall back to the default limit
+            return isMetric ? value * CONVERSIONS.KG_TO_LB * CONVERSIONS.SQFT_TO_SQM : value;
+        };
+
+        const waterLevel = isMetric ? readNumber('waterLevel') / CONVERSIONS.INCHES_TO_CM : readNumber('waterLevel');
+        const waterDepth = DOMHelper.getValue('waterLevelMode') === WATER_LEVEL_MODES.DEPTH ?
+            Math.min(waterLevel, heightIn) : Math.max(0, heightIn - waterLevel);
+
+        return {
+            waterType: this.equipmentRecommender.profile.waterType,
+            substrateDepth: isMetric ? readNumber('substrateDepth') / CONVERSIONS.INCHES_TO_CM : readNumber('substrateDepth'),
+            freeboard: heightIn - waterDepth,
+            waterDepth: waterDepth,
+            rockKg: isMetric ? readNumber('rockWeight') : readNumber('rockWeight') / CONVERSIONS.KG_TO_LB,
+            limits: {
+                warning: toLbPerSqFt('floorLoadWarning'),
+                max: toLbPerSqFt('floorLoadMax')
+            }
+        };
+    }
+
+    setupGlassOptions() {
+        const materialSelect = DOMHelper.getElement('panelMaterial');
+        if (materialSelect) {
+            materialSelect.innerHTML = Object.entries(MATERIAL_PROPERTIES)
+                .map(([id, material]) => `<option value="${id}">${material.name}</option>`)
+                .join('');
+            materialSelect.value = DEFAULT_PANEL_MATERIAL;
+        }
+
+        const safetySelect = DOMHelper.getElement('safetyFactor');
+        if (safetySelect) {
+            safetySelect.innerHTML = GLASS_PROPERTIES.SAFETY_FACTORS
+                .map(factor => `<option value="${factor}">${factor}</option>`)
+                .join('');
+            safetySelect.value = GLASS_PROPERTIES.DEFAULT_SAFETY_FACTOR;
+        }
+
+        ['glassMode', 'safetyFactor', 'panelMaterial', 'bracingType', 'bottomSupport'].forEach(id => {
+            DOMHelper.addEventListener(id, 'change', () => {
+                this.updateGlassOptionVisibility();
+                this.debouncedUpdate();
+            });
+        });
+        this.updateGlassOptionVisibility();
+    }
+
+    updateGlassOptionVisibility() {
+        const isEngineering = DOMHelper.getValue('glassMode') === GLASS_CALC_MODES.ENGINEERING;
+        document.querySelectorAll('.engineering-only').forEach(element => {
+            element.classList.toggle('active', isEngineering);
+        });
+    }
+
+    getGlassOptions() {
+        return {
+            mode: DOMHelper.getValue('glassMode') || GLASS_CALC_MODES.QUICK,
+            safetyFactor: parseFloat(DOMHelper.getValue('safetyFactor')) || GLASS_PROPERTIES.DEFAULT_SAFETY_FACTOR,
+            waterType: this.equipmentRecommender.profile.waterType,
+            material: DOMHelper.getValue('panelMaterial') || DEFAULT_PANEL_MATERIAL,
+            bottomSupport: DOMHelper.getValue('bottomSupport') || BOTTOM_SUPPORTS.FULL
+        };
+    }
+
+    getBracingDesign(lengthIn, widthIn, heightIn, shape, waterDepth = heightIn) {
+        return this.bracingDesigner.design(lengthIn, widthIn, heightIn, shape, {
+            ...this.getGlassOptions(),
+            waterDepth: waterDepth,
+            type: DOMHelper.getValue('bracingType') || BRACING_TYPES.AUTO
+        });
+    }
+
+    setupDimensionFinder() {
+        DOMHelper.addEventListener('finderSearchBtn', 'click', () => this.runDimensionSearch());
+        DOMHelper.addEventListener('finderVolume', 'keydown', (e) => {
+            if (e.key === 'Enter') this.runDimensionSearch();
+        });
+
+        // Clicking a result or preset loads it into the sliders
+        ['finderResults', 'finderPresets'].forEach(id => {
+            DOMHelper.addEventListener(id, 'click', (e) => {
+                const item = e.target.closest('[data-width]');
+                if (!item) return;
+                this.loadFinderDimensions(
+                    parseFloat(item.dataset.width),
+                    parseFloat(item.dataset.length),
+                    parseFloat(item.dataset.height),
+                    item.dataset.unit
+                );
+            });
+        });
+    }
+
+    runDimensionSearch() {
+        const volume = parseFloat(DOMHelper.getValue('finderVolume'));
+        if (isNaN(volume) || volume <= 0) {
+            DOMHelper.setText('finderStatus', 'Enter a target volume to search');
+            return;
+        }
+
+        // The finder searches in the selected units, so limits and steps pass through as entered
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const readLimit = (id) => {
+            const value = parseFloat(DOMHelper.getValue(id));
+            return isNaN(value) || value <= 0 ? undefined : value; // No limit
+        };
+        const units = { unitSystem: this.currentUnitSystem, volumeUnit: this.volumeUnitSystem };
+
+        const volumeGallons = this.volumeUnitSystem === VOLUME_UNITS.GALLONS ?
+            volume : this.calculator.convertToGallons(volume);
+        const objectives = Array.from(document.querySelectorAll('input[name="finderObjective"]:checked'))
+            .map(input => input.value);
+        const maxWeight = parseFloat(DOMHelper.getValue('finderMaxWeight'));
+        const search = this.dimensionFinder.search(volume, {
+            maxWidth: readLimit('finderMaxWidth'),
+            maxLength: readLimit('finderMaxLength'),
+            maxHeight: readLimit('finderMaxHeight'),
+            doorwayWidth: readLimit('finderDoorway'),
+            stand: { width: readLimit('finderStandWidth'), length: readLimit('finderStandLength') },
+            minLength: readLimit('finderMinDepth'),
+            maxFilledWeightKg: maxWeight > 0 ? (isMetric ? maxWeight : maxWeight / CONVERSIONS.KG_TO_LB) : undefined,
+            minHeightRatio: parseFloat(DOMHelper.getValue('finderMinHeightRatio')) || undefined,
+            maxHeightRatio: parseFloat(DOMHelper.getValue('finderMaxHeightRatio')) || undefined
+        }, 10, {
+            ...units,
+            objectives: objectives,
+            step: readLimit('finderStep'),
+            preferredAspectRatio: parseFloat(DOMHelper.getValue('finderAspectRatio')) || undefined,
+            glassOptions: this.getGlassOptions()
+        });
+        const results = search.results;
+        const presets = this.dimensionFinder.getPopularPresets(volume, units);
+
+        // A step finer than the unit system allows is searched at the minimum, so say which grid was used
+        const stepNote = search.step > (readLimit('finderStep') ?? 0) ? ` on a ${search.step} ${isMetric ? 'cm' : 'in'} grid` : '';
+        DOMHelper.setText('finderStatus', results.length > 0 ?
+            `${this.dimensionFinder.getCategory(volumeGallons)} tank - ${results.length} best trade-offs${stepNote}` :
+            'No sizes within 10% of that volume fit the limits');
+        this.renderFinderList('finderResults', results.map(result => ({
+            ...result,
+            label: [`${result.percentDifference}% off`, ...this.formatFinderScores(result, objectives)].join(' · ')
+        })));
+        this.renderFinderList('finderPresets', presets.map(preset => ({
+            ...preset,
+            label: preset.name
+        })));
+        this.updateFinderRejections(search);
+    }
+
+    updateFinderRejections({ rejected, violationCounts }) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const counts = Object.entries(violationCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([constraint, count]) => `${constraint.replace('-', ' ')} ruled out ${count}`);
+
+        DOMHelper.setText('finderRejectedStatus', rejected.length > 0 ?
+            `Closest sizes that break your limits (${counts.join(', ')})` : '');
+        this.renderFinderList('finderRejected', rejected.map(result => ({
+            ...result,
+            label: result.violations.map(v => PlacementConstraints.describe(v, isMetric)).join('; ')
+        })), false);
+    }
+
+    formatFinderScores(result, objectives) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const { scores } = result;
+        const formatters = {
+            [OPTIMIZER_OBJECTIVES.GLASS_COST]: () => `≈ $${Math.round(scores.glassCost)}`,
+            [OPTIMIZER_OBJECTIVES.GLASS_AREA]: () => isMetric ?
+                `${(scores.glassAreaSqFt * CONVERSIONS.SQFT_TO_SQM).toFixed(2)} m² glass` : `${scores.glassAreaSqFt.toFixed(1)} ft² glass`,
+            [OPTIMIZER_OBJECTIVES.SURFACE_AREA]: () => isMetric ?
+                `${Math.round(scores.surfaceAreaSqIn * CONVERSIONS.INCHES_TO_CM * CONVERSIONS.INCHES_TO_CM)} cm² surface` :
+                `${Math.round(scores.surfaceAreaSqIn)} in² surface`,
+            [OPTIMIZER_OBJECTIVES.GLASS_THICKNESS]: () => `${scores.requiredThicknessMm.toFixed(1)} mm required`,
+            [OPTIMIZER_OBJECTIVES.ASPECT_RATIO]: () => `${(result.width / result.length).toFixed(1)}:1 front:depth`
+        };
+
+        return objectives.filter(id => formatters[id]).map(id => formatters[id]());
+    }
+
+    renderFinderList(id, items, loadable = true) {
+        const list = DOMHelper.getElement(id);
+        if (!list) return;
+
+        // Items are already in the units they were searched in
+        const formatVolume = (item) => item.volumeUnit === VOLUME_UNITS.GALLONS ?
+            `${item.volume.toFixed(1)} gal` : `${Math.round(item.volume)} L`;
+
+        // Labels can come from an imported catalog, so build the nodes rather than parse them as HTML
+        list.innerHTML = '';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            if (loadable) {
+                Object.assign(li.dataset, { width: item.width, length: item.length, height: item.height, unit: item.unit });
+            }
+            li.append(
+                this.createSummarySpan(`${item.width}×${item.length}×${item.height} ${item.unit}`, ` · ${formatVolume(item)}`),
+                this.createDetailSpan(item.label)
+            );
+            list.appendChild(li);
+        });
+    }
+
+    createSummarySpan(title, rest) {
+        const span = document.createElement('span');
+        const strong = document.createElement('strong');
+        strong.textContent = title;
+        span.append(strong, rest);
+        return span;
+    }
+
+    createDetailSpan(text) {
+        const span = document.createElement('span');
+        span.className = 'finder-detail';
+        span.textContent = text;
+        return span;
+    }
+
+    loadFinderDimensions(width, length, height, unit) {
+        if ([width, length, height].some(isNaN)) {
+            console.error('Invalid finder dimensions');
+            return;
+        }
+
+        // Finder sizes are rectangular boxes
+        DOMHelper.setValue('tankShape', TANK_SHAPES.RECTANGLE);
+        this.updateShapeParamVisibility();
+
+        // Convert only if the unit system changed since the search
+        const currentUnit = this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? 'cm' : 'in';
+        const factor = unit === currentUnit ? 1 :
+            (currentUnit === 'cm' ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM);
+        DOMHelper.updateDimensionDisplay('width', Math.round(width * factor));
+        DOMHelper.updateDimensionDisplay('length', Math.round(length * factor));
+        DOMHelper.updateDimensionDisplay('height', Math.round(height * factor));
+        Object.values(DIMENSIONS).forEach(dim => this.clearInputError(dim));
+
+        this.updateCalculations(true);
+    }
+
+    setupTankCatalog() {
+        ['catalogSearch', 'catalogFamily', 'catalogManufacturer', 'catalogRimless'].forEach(id => {
+            DOMHelper.addEventListener(id, id === 'catalogSearch' ? 'input' : 'change', () => this.updateCatalogDisplay());
+        });
+
+        DOMHelper.addEventListener('catalogResults', 'click', (e) => {
+            const item = e.target.closest('[data-catalog-id]');
+            if (item) this.loadCatalogEntry(item.dataset.catalogId);
+        });
+
+        DOMHelper.addEventListener('catalogImport', 'change', (e) => {
+            Array.from(e.target.files).forEach(file => this.importCatalogFile(file));
+            e.target.value = '';
+        });
+
+        // Dropping a JSON file anywhere on the catalog panel adds its entries
+        const panel = DOMHelper.getElement('catalogPanel');
+        if (panel) {
+            panel.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                panel.classList.add('drag-over');
+            });
+            panel.addEventListener('dragleave', () => panel.classList.remove('drag-over'));
+            panel.addEventListener('drop', (e) => {
+                e.preventDefault();
+                panel.classList.remove('drag-over');
+                Array.from(e.dataTransfer.files).forEach(file => this.importCatalogFile(file));
+            });
+        }
+
+        this.tankCatalog.load().then(() => this.updateCatalogDisplay());
+    }
+
+    async importCatalogFile(file) {
+        try {
+            const { added, skipped } = this.tankCatalog.addEntries(JSON.parse(await file.text()), file.name);
+            const skippedText = skipped.length > 0 ?
+                ` - skipped ${skipped.length}: ${skipped.map(s => `${s.id} (${s.errors[0]})`).join(', ')}` : '';
+            DOMHelper.setText('catalogStatus', `Added ${added} sizes from ${file.name}${skippedText}`);
+        } catch (error) {
+            console.error(`Could not import ${file.name}:`, error);
+            DOMHelper.setText('catalogStatus', `${file.name} is not a valid catalog JSON file`);
+        }
+        this.updateCatalogDisplay(false);
+    }
+
+    updateCatalogDisplay(updateStatus = true) {
+        // Keep the manufacturer filter in step with imported entries
+        const manufacturerSelect = DOMHelper.getElement('catalogManufacturer');
+        if (manufacturerSelect) {
+            const selected = manufacturerSelect.value;
+            manufacturerSelect.innerHTML = '<option value="">All makers</option>';
+            this.tankCatalog.getManufacturers().forEach(name => manufacturerSelect.add(new Option(name, name)));
+            manufacturerSelect.value = selected;
+        }
+
+        const rimless = DOMHelper.getValue('catalogRimless');
+        const entries = this.tankCatalog.search({
+            query: DOMHelper.getValue('catalogSearch') || '',
+            family: DOMHelper.getValue('catalogFamily') || undefined,
+            manufacturer: DOMHelper.getValue('catalogManufacturer') || undefined,
+            rimless: rimless === '' || rimless === null ? undefined : rimless === 'true'
+        });
+
+        if (updateStatus) {
+            DOMHelper.setText('catalogStatus', `${entries.length} of ${this.tankCatalog.entries.length} sizes`);
+        }
+
+        const list = DOMHelper.getElement('catalogResults');
+        if (!list) return;
+
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const isGallons = this.volumeUnitSystem === VOLUME_UNITS.GALLONS;
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const inches = this.tankCatalog.getActualInches(entry);
+            const size = ['width', 'length', 'height']
+                .map(dim => isMetric ? Math.round(inches[dim] * CONVERSIONS.INCHES_TO_CM) : Math.round(inches[dim] * 10) / 10)
+                .join('×');
+            const liters = this.tankCatalog.getLiters(entry);
+            const volume = isGallons ? `${this.calculator.convertToGallons(liters).toFixed(0)} gal` : `${Math.round(liters)} L`;
+
+            const li = document.createElement('li');
+            li.dataset.catalogId = entry.id;
+            li.append(
+                this.createSummarySpan(`${entry.manufacturer} ${entry.name}`, ` · ${size} ${isMetric ? 'cm' : 'in'} · ${volume}`),
+                this.createDetailSpan(`${this.tankCatalog.getFamilyName(entry.family)} · ${entry.glassThicknessMm} mm ` +
+                    `${entry.rimless ? 'rimless' : 'framed'} · nominal ${this.tankCatalog.formatSize(entry.nominal)}`)
+            );
+            list.appendChild(li);
+        });
+    }
+
+    loadCatalogEntry(id) {
+        const entry = this.tankCatalog.getEntry(id);
+        if (!entry) return;
+
+        const { width, length, height, unit } = entry.actual;
+        this.loadFinderDimensions(width, length, height, unit);
+    }
+
+    setupCutList() {
+        ['sideAssembly', 'bottomAssembly'].forEach(id => {
+            DOMHelper.addEventListener(id, 'change', () => this.debouncedUpdate());
+        });
+
+        const isMetric = () => this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        DOMHelper.addEventListener('exportCutListCsv', 'click', () => {
+            if (!this.currentCutList) return;
+            this.downloadFile('glass-cut-list.csv', this.cutListGenerator.toCSV(this.currentCutList, isMetric()), 'text/csv');
+        });
+        DOMHelper.addEventListener('exportCutListText', 'click', () => {
+            if (!this.currentCutList) return;
+            this.downloadFile('glass-cut-list.txt', this.cutListGenerator.toText(this.currentCutList, isMetric()), 'text/plain');
+        });
+        DOMHelper.addEventListener('exportEquipmentCsv', 'click', () => {
+            if (!this.currentEquipment) return;
+            this.downloadFile('equipment.csv', this.equipmentRecommender.toCSV(this.currentEquipment), 'text/csv');
+        });
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    setupSystemVessels() {
+        // Default to a 30×12×16 in sump run at 10 in
+        const defaults = { vesselLength: 30, vesselWidth: 12, vesselHeight: 16, vesselWaterLevel: 10 };
+        Object.entries(defaults).forEach(([id, value]) => DOMHelper.setValue(id, value));
+
+        DOMHelper.addEventListener('addVesselBtn', 'click', () => {
+            const toInches = (id) => {
+                const value = parseFloat(DOMHelper.getValue(id));
+                return this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? value / CONVERSIONS.INCHES_TO_CM : value;
+            };
+
+            const length = toInches('vesselLength');
+            const width = toInches('vesselWidth');
+            const height = toInches('vesselHeight');
+            const waterLevel = toInches('vesselWaterLevel');
+
+            if (![length, width, height, waterLevel].every(value => value > 0)) {
+                console.error('Invalid vessel dimensions');
+                return;
+            }
+
+            this.tankSystem.addVessel({ role: DOMHelper.getValue('vesselRole'), length, width, height, waterLevel });
+            this.updateCalculations();
+        });
+
+        DOMHelper.addEventListener('vesselList', 'click', (e) => {
+            const button = e.target.closest('[data-vessel-id]');
+            if (button) {
+                this.tankSystem.removeVessel(parseInt(button.dataset.vesselId));
+                this.updateCalculations();
+            }
+        });
+    }
+
+    setupStocking() {
+        DOMHelper.addEventListener('addStockBtn', 'click', () => {
+            const speciesId = DOMHelper.getValue('stockSpecies');
+            const count = parseInt(DOMHelper.getValue('stockCount'));
+            if (!speciesId || !(count > 0)) {
+                console.error('Invalid stock entry');
+                return;
+            }
+
+            const existing = this.stockList.find(entry => entry.speciesId === speciesId);
+            if (existing) {
+                existing.count += count;
+            } else {
+                this.stockList.push({ speciesId, count });
+            }
+            this.updateCalculations();
+        });
+
+        DOMHelper.addEventListener('stockList', 'click', (e) => {
+            const button = e.target.closest('[data-species-id]');
+            if (button) {
+                this.stockList = this.stockList.filter(entry => entry.speciesId !== button.dataset.speciesId);
+                this.updateCalculations();
+            }
+        });
+
+        // Pre-fill the usual group size when a schooling species is picked
+        DOMHelper.addEventListener('stockSpecies', 'change', () => {
+            const species = this.livestockDatabase.get(DOMHelper.getValue('stockSpecies'));
+            if (species) DOMHelper.setValue('stockCount', species.minGroup);
+        });
+        DOMHelper.addEventListener('stockFilterFlow', 'input', () => this.debouncedUpdate());
+
+        this.livestockDatabase.load().then(() => {
+            const select = DOMHelper.getElement('stockSpecies');
+            if (select) {
+                select.innerHTML = [[WATER_TYPES.FRESHWATER, 'Freshwater'], [WATER_TYPES.BRACKISH, 'Brackish'], [WATER_TYPES.SALTWATER, 'Saltwater']]
+                    .map(([waterType, label]) => `<optgroup label="${label}">${this.livestockDatabase.search({ waterType })
+                        .map(species => `<option value="${species.id}">${species.name}</option>`).join('')}</optgroup>`)
+                    .join('');
+                select.dispatchEvent(new Event('change'));
+            }
+            this.updateCalculations();
+        });
+    }
+
+    getStockingPlan(lengthIn, widthIn, shape, waterLiters, contents) {
+        const flow = parseFloat(DOMHelper.getValue('stockFilterFlow'));
+        const filterGph = this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? flow / CONVERSIONS.LITERS_TO_GALLONS : flow;
+
+        return this.stockingPlanner.check({
+            length: lengthIn,
+            width: widthIn,
+            shape: shape,
+            volumeGallons: this.calculator.convertToGallons(waterLiters),
+            waterType: contents.waterType,
+            targetC: this.getThermalInputs().targetC,
+            filterGph: filterGph > 0 ? filterGph : undefined
+        }, this.stockList);
+    }
+
+    updateStockingDisplay(plan) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const formatTemp = (celsius) => isMetric ?
+            `${Math.round(celsius)}°C` : `${Math.round(ThermalModel.toFahrenheit(celsius))}°F`;
+        const formatFlow = (gph) => isMetric ?
+            `${Math.round(gph * CONVERSIONS.LITERS_TO_GALLONS)} L/h` : `${Math.round(gph)} GPH`;
+
+        const list = DOMHelper.getElement('stockList');
+        if (list) {
+            list.innerHTML = '';
+            plan.rows.forEach(row => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = `${row.count} × ${row.name} - bioload ${row.bioloadTotal.toFixed(1)}`;
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'action-btn action-btn-secondary';
+                remove.dataset.speciesId = row.id;
+                remove.textContent = 'Remove';
+
+                item.append(label, remove);
+                list.appendChild(item);
+            });
+        }
+
+        const { bioload } = plan;
+        DOMHelper.setText('stockBioloadResult', plan.rows.length === 0 ? '--' :
+            `${Math.round(bioload.percent)}% of capacity (${bioload.total.toFixed(1)} of ${bioload.capacity.toFixed(0)}), ` +
+            `needs about ${formatFlow(bioload.requiredGph)} of filtration`);
+        DOMHelper.setText('stockRangesResult', plan.rows.length === 0 ? '--' :
+            [plan.temperatureC ? `${formatTemp(plan.temperatureC.min)}-${formatTemp(plan.temperatureC.max)}` : 'no shared temperature',
+                plan.ph ? `pH ${plan.ph.min}-${plan.ph.max}` : 'no shared pH'].join(', '));
+
+        const issues = DOMHelper.getElement('stockIssues');
+        if (issues) {
+            issues.innerHTML = '';
+            plan.issues.forEach(issue => {
+                const item = document.createElement('li');
+                item.className = `issue-${issue.level}`;
+                item.textContent = StockingPlanner.describe(issue, isMetric);
+                issues.appendChild(item);
+            });
+        }
+    }
+
     setupVolumeInputs() {
         const volumeInput = document.getElementById('volumeInput');
         const waterVolumeInput = document.getElementById('waterVolumeInput');
@@ -142,13 +941,9 @@ class AquariumApp {
             return;
         }
 
-        let volumeLiters = this.volumeUnitSystem === VOLUME_UNITS.GALLONS ?
+        const volumeLiters = this.volumeUnitSystem === VOLUME_UNITS.GALLONS ?
             volume / CONVERSIONS.GALLONS_TO_LITERS : volume;
 
-        if (type === 'water') {
-            volumeLiters = volumeLiters / (1 - CONVERSIONS.DISPLACEMENT_PERCENT);
-        }
-
         const volumeCm3 = volumeLiters * 1000;
 
         let width = parseFloat(DOMHelper.getValue('width'));
@@ -161,14 +956,42 @@ class AquariumApp {
             height *= CONVERSIONS.INCHES_TO_CM;
         }
 
-        const currentVolume = width * length * height;
+        const shape = this.getCurrentShape();
+        const lengthIn = length / CONVERSIONS.INCHES_TO_CM;
+        const widthIn = width / CONVERSIONS.INCHES_TO_CM;
+        const heightIn = height / CONVERSIONS.INCHES_TO_CM;
+        const currentVolume = this.calculator.calculateVolume(lengthIn, widthIn, heightIn, shape) * 1000;
 
         if (currentVolume === 0) {
             console.warn('Current volume is zero, cannot adjust');
             return;
         }
 
-        const ratio = Math.cbrt(volumeCm3 / currentVolume);
+        let ratio;
+        if (type === 'water') {
+            // Displacement doesn't scale with the tank, so solve for the size that holds this much water
+            const contents = this.getContentsInputs(heightIn);
+            const bracing = this.getBracingDesign(lengthIn, widthIn, heightIn, shape, contents.waterDepth);
+            const glassOptions = {
+                ...this.getGlassOptions(),
+                braced: bracing.type !== BRACING_TYPES.RIMLESS,
+                waterDepth: contents.waterDepth
+            };
+            const schedule = this.recommender.getPanelSchedule(lengthIn, widthIn, heightIn, shape, glassOptions);
+            ratio = this.displacementModel.findScaleForWaterVolume(volumeLiters, {
+                length: lengthIn,
+                width: widthIn,
+                height: heightIn,
+                shape: shape,
+                glassThicknessMm: this.recommender.getRecommendedThickness(lengthIn, widthIn, heightIn, shape, glassOptions),
+                bottomThicknessMm: schedule.find(panel => panel.bottom).thicknessMm,
+                substrateDepth: contents.substrateDepth,
+                rockKg: contents.rockKg,
+                freeboard: contents.freeboard
+            });
+        } else {
+            ratio = Math.cbrt(volumeCm3 / currentVolume);
+        }
 
         const newWidth = this.clampDimension(width * ratio);
         const newLength = this.clampDimension(length * ratio);
@@ -190,6 +1013,28 @@ class AquariumApp {
             DOMHelper.updateDimensionDisplay('height', heightCm);
         }
 
+        // Scale the bow and return depths with the tank so the shape keeps its proportions
+        Object.entries(SHAPE_LENGTH_PARAMS).forEach(([param, ranges]) => {
+            const input = DOMHelper.getElement(param);
+            const current = parseFloat(input?.value);
+            if (isNaN(current)) return;
+
+            const range = ranges[this.currentUnitSystem];
+            const scaled = Math.max(range.min, Math.min(range.max, Math.round(current * ratio)));
+            input.value = scaled;
+            DOMHelper.setText(`${param}Value`, scaled);
+        });
+
+        // A water depth stays an absolute height, so move it with the tank to keep the same freeboard
+        if (DOMHelper.getValue('waterLevelMode') === WATER_LEVEL_MODES.DEPTH) {
+            const previousHeight = this.currentUnitSystem === UNIT_SYSTEMS.IMPERIAL ? heightIn : height;
+            const freeboard = previousHeight - parseFloat(DOMHelper.getValue('waterLevel'));
+            const scaledHeight = parseFloat(DOMHelper.getValue('height'));
+            if (!isNaN(freeboard) && !isNaN(scaledHeight)) {
+                DOMHelper.setValue('waterLevel', Math.max(0, Math.round((scaledHeight - freeboard) * 10) / 10));
+            }
+        }
+
         this.updatingFromVolume = false;
         this.updateCalculations();
         const unitSymbol = this.volumeUnitSystem === VOLUME_UNITS.GALLONS ? 'gal' : 'L';
@@ -221,6 +1066,7 @@ class AquariumApp {
                 this.volumeUnitSystem = e.target.value;
                 this.updateVolumeUnitDisplays();
                 this.updatePresetLabels();
+                this.updateCatalogDisplay(false);
                 this.updateCalculations(true);
             });
 
@@ -241,6 +1087,11 @@ class AquariumApp {
         if (waterVolumeInputUnit) {
             waterVolumeInputUnit.textContent = this.volumeUnitSystem === 'gallons' ? 'gal' : 'L';
         }
+
+        DOMHelper.setText('finderVolumeUnit', this.volumeUnitSystem === VOLUME_UNITS.GALLONS ? 'gal' : 'L');
+        DOMHelper.setText('stockFilterUnit', this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? 'L/h' : 'GPH');
+        DOMHelper.setText('roomTempUnit', this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? '°C' : '°F');
+        DOMHelper.setText('targetTempUnit', this.currentUnitSystem === UNIT_SYSTEMS.METRIC ? '°C' : '°F');
     }
 
     setupTankPresets() {
@@ -297,6 +1148,172 @@ class AquariumApp {
         });
     }
 
+    setupCustomPresets() {
+        DOMHelper.addEventListener('saveCustomPreset', 'click', () => this.saveCustomPreset());
+        DOMHelper.addEventListener('customPresetName', 'keydown', (e) => {
+            if (e.key === 'Enter') this.saveCustomPreset();
+        });
+
+        DOMHelper.addEventListener('customPresets', 'click', (e) => {
+            const item = e.target.closest('[data-preset-id]');
+            if (!item) return;
+
+            const id = item.dataset.presetId;
+            const action = e.target.closest('[data-action]')?.dataset.action ?? 'apply';
+            switch (action) {
+                case 'apply':
+                    this.applyCustomPreset(id);
+                    return;
+                case 'rename': {
+                    const name = window.prompt('Rename preset', this.presetStore.get(id)?.name ?? '');
+                    if (name !== null) this.presetStore.rename(id, name);
+                    break;
+                }
+                case 'delete':
+                    if (window.confirm(`Delete preset "${this.presetStore.get(id)?.name}"?`)) this.presetStore.remove(id);
+                    break;
+                case 'up':
+                    this.presetStore.move(id, -1);
+                    break;
+                case 'down':
+                    this.presetStore.move(id, 1);
+                    break;
+                default:
+                    console.warn(`Unknown preset action: ${action}`);
+            }
+            this.renderCustomPresets();
+        });
+
+        DOMHelper.addEventListener('exportCustomPresets', 'click', () => {
+            this.downloadFile('aquarium-presets.json', this.presetStore.exportJSON(), 'application/json');
+        });
+
+        DOMHelper.addEventListener('importCustomPresets', 'change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const { added, skipped } = this.presetStore.importJSON(await file.text());
+                DOMHelper.setText('customPresetStatus',
+                    `Imported ${added} presets${skipped.length > 0 ? `, skipped ${skipped.length} invalid` : ''}`);
+            } catch (error) {
+                console.error(`Could not import ${file.name}:`, error);
+                DOMHelper.setText('customPresetStatus', `${file.name} is not a valid preset file`);
+            }
+            this.renderCustomPresets();
+        });
+
+        this.renderCustomPresets();
+    }
+
+    saveCustomPreset() {
+        const readDimension = (id) => parseFloat(DOMHelper.getValue(id));
+        const name = DOMHelper.getValue('customPresetName')?.trim() ||
+            `${readDimension('width')}×${readDimension('length')}×${readDimension('height')}`;
+        const waterLevel = parseFloat(DOMHelper.getValue('waterLevel'));
+        const shape = DOMHelper.getValue('tankShape');
+        const shapeParams = Object.fromEntries(Object.keys(TankShape.getDefaultParams(shape))
+            .map(param => [param, parseFloat(DOMHelper.getValue(param))])
+            .filter(([, value]) => !isNaN(value)));
+
+        const preset = this.presetStore.add({
+            name: name,
+            width: readDimension('width'),
+            length: readDimension('length'),
+            height: readDimension('height'),
+            unitSystem: this.currentUnitSystem,
+            shape: shape,
+            shapeParams: shapeParams,
+            waterLevel: isNaN(waterLevel) ? null : { mode: DOMHelper.getValue('waterLevelMode'), value: waterLevel },
+            material: DOMHelper.getValue('panelMaterial')
+        });
+
+        DOMHelper.setText('customPresetStatus', preset ? `Saved "${preset.name}"` : 'Could not save preset');
+        DOMHelper.setValue('customPresetName', '');
+        this.renderCustomPresets();
+    }
+
+    applyCustomPreset(id) {
+        const preset = this.presetStore.get(id);
+        if (!preset) return;
+
+        // Switch units first so the stored values load unconverted
+        if (preset.unitSystem !== this.currentUnitSystem) {
+            DOMHelper.setValue('unitSystem', preset.unitSystem);
+            this.switchUnitSystem(preset.unitSystem);
+        }
+        if (preset.shape) {
+            DOMHelper.setValue('tankShape', preset.shape);
+            this.updateShapeParamVisibility();
+        }
+        Object.entries(preset.shapeParams ?? {}).forEach(([param, value]) => {
+            DOMHelper.setValue(param, value);
+            DOMHelper.setText(`${param}Value`, value);
+        });
+        if (preset.material) {
+            DOMHelper.setValue('panelMaterial', preset.material);
+        }
+
+        DOMHelper.updateDimensionDisplay('width', preset.width);
+        DOMHelper.updateDimensionDisplay('length', preset.length);
+        DOMHelper.updateDimensionDisplay('height', preset.height);
+        Object.values(DIMENSIONS).forEach(dim => this.clearInputError(dim));
+
+        if (preset.waterLevel) {
+            // Changing the mode converts the old value, so set the stored value afterwards
+            const modeSelect = DOMHelper.getElement('waterLevelMode');
+            if (modeSelect && modeSelect.value !== preset.waterLevel.mode) {
+                modeSelect.value = preset.waterLevel.mode;
+                modeSelect.dispatchEvent(new Event('change'));
+            }
+            DOMHelper.setValue('waterLevel', preset.waterLevel.value);
+        }
+
+        DOMHelper.setText('customPresetStatus', `Loaded "${preset.name}"`);
+        this.updateCalculations(true);
+    }
+
+    renderCustomPresets() {
+        const container = DOMHelper.getElement('customPresets');
+        if (!container) return;
+
+        // Presets come from localStorage or an imported file, so build the nodes rather than parse them as HTML
+        const createButton = (className, title, text, action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.title = title;
+            button.textContent = text;
+            if (action) button.dataset.action = action;
+            return button;
+        };
+
+        container.innerHTML = '';
+        this.presetStore.getAll().forEach(preset => {
+            const item = document.createElement('div');
+            item.className = 'custom-preset';
+            item.dataset.presetId = preset.id;
+
+            const unit = preset.unitSystem === UNIT_SYSTEMS.METRIC ? 'cm' : 'in';
+            const load = createButton('preset-btn preset-btn-custom', `${preset.width}×${preset.length}×${preset.height} ${unit}`, '');
+            load.dataset.icon = '⭐';
+            const label = document.createElement('span');
+            label.className = 'preset-label-text';
+            label.textContent = preset.name;
+            load.appendChild(label);
+
+            item.append(
+                load,
+                createButton('preset-tool', 'Move earlier', '▲', 'up'),
+                createButton('preset-tool', 'Move later', '▼', 'down'),
+                createButton('preset-tool', 'Rename', '✎', 'rename'),
+                createButton('preset-tool', 'Delete', '✕', 'delete')
+            );
+            container.appendChild(item);
+        });
+    }
+
     switchUnitSystem(newSystem) {
         if (newSystem === this.currentUnitSystem) return;
 
@@ -304,9 +1321,12 @@ class AquariumApp {
         this.currentUnitSystem = newSystem;
 
         this.convertDimensionValues(oldSystem, newSystem);
+        this.convertShapeParamValues(oldSystem, newSystem);
+        this.convertContentsInputValues(newSystem);
         this.updateUnitDisplays();
         this.updateDimensionRanges();
         this.updatePresetLabels();
+        this.updateCatalogDisplay(false);
         this.updateCalculations(true);
 
         console.log(`Switched from ${oldSystem} to ${newSystem} units`);
@@ -331,13 +1351,93 @@ class AquariumApp {
         });
     }
 
+    convertShapeParamValues(fromSystem, toSystem) {
+        Object.entries(SHAPE_LENGTH_PARAMS).forEach(([param, ranges]) => {
+            const input = DOMHelper.getElement(param);
+            if (!input) return;
+
+            let currentValue = parseFloat(input.value);
+            if (fromSystem === UNIT_SYSTEMS.IMPERIAL && toSystem === UNIT_SYSTEMS.METRIC) {
+                currentValue = currentValue * CONVERSIONS.INCHES_TO_CM;
+            } else if (fromSystem === UNIT_SYSTEMS.METRIC && toSystem === UNIT_SYSTEMS.IMPERIAL) {
+                currentValue = currentValue / CONVERSIONS.INCHES_TO_CM;
+            }
+
+            // Apply the new range first so the browser doesn't clamp the converted value
+            const range = ranges[toSystem];
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+
+            currentValue = Math.max(range.min, Math.min(range.max, Math.round(currentValue)));
+            DOMHelper.updateDimensionDisplay(param, currentValue);
+        });
+    }
+
+    convertContentsInputValues(toSystem) {
+        const toMetric = toSystem === UNIT_SYSTEMS.METRIC;
+        const loadFactor = CONVERSIONS.KG_TO_LB * CONVERSIONS.SQFT_TO_SQM; // kg/m² per lb/ft²
+        const conversions = {
+            substrateDepth: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            waterLevel: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            vesselLength: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            vesselWidth: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            vesselHeight: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            vesselWaterLevel: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderMaxWidth: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderMaxLength: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderMaxHeight: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderStep: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderDoorway: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderStandWidth: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderStandLength: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderMinDepth: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            finderMaxWeight: toMetric ? 1 / CONVERSIONS.KG_TO_LB : CONVERSIONS.KG_TO_LB,
+            lightMountHeight: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            standSpaceWidth: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            standSpaceLength: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            standSpaceHeight: toMetric ? CONVERSIONS.INCHES_TO_CM : 1 / CONVERSIONS.INCHES_TO_CM,
+            stockFilterFlow: toMetric ? CONVERSIONS.LITERS_TO_GALLONS : 1 / CONVERSIONS.LITERS_TO_GALLONS,
+            rockWeight: toMetric ? 1 / CONVERSIONS.KG_TO_LB : CONVERSIONS.KG_TO_LB,
+            floorLoadWarning: toMetric ? 1 / loadFactor : loadFactor,
+            floorLoadMax: toMetric ? 1 / loadFactor : loadFactor
+        };
+
+        Object.entries(conversions).forEach(([id, factor]) => {
+            const value = parseFloat(DOMHelper.getValue(id));
+            if (!isNaN(value)) {
+                DOMHelper.setValue(id, Math.round(value * factor * 10) / 10);
+            }
+        });
+
+        // Temperatures have an offset, so they cannot use a plain factor
+        ['roomMinTemp', 'roomMaxTemp', 'targetTemp'].forEach(id => {
+            const value = parseFloat(DOMHelper.getValue(id));
+            if (!isNaN(value)) {
+                DOMHelper.setValue(id, Math.round(toMetric ? ThermalModel.toCelsius(value) : ThermalModel.toFahrenheit(value)));
+            }
+        });
+    }
+
     updateUnitDisplays() {
-        const unitDisplays = ['widthUnit', 'lengthUnit', 'heightUnit'];
+        const unitDisplays = ['widthUnit', 'lengthUnit', 'heightUnit', 'bowDepthUnit', 'returnDepthUnit'];
         const unit = this.currentUnitSystem === UNIT_SYSTEMS.IMPERIAL ? 'in' : 'cm';
 
         unitDisplays.forEach(displayId => {
             DOMHelper.setText(displayId, unit);
         });
+
+        DOMHelper.setText('substrateDepthUnit', unit);
+        DOMHelper.setText('waterLevelUnit', unit);
+        DOMHelper.setText('lightMountUnit', unit);
+        DOMHelper.setText('standSpaceUnit', unit);
+        DOMHelper.setText('vesselUnit', unit);
+        DOMHelper.setText('finderUnit', unit);
+        DOMHelper.setText('finderStepUnit', unit);
+        DOMHelper.setText('finderPlacementUnit', unit);
+        DOMHelper.setText('finderWeightUnit', this.currentUnitSystem === UNIT_SYSTEMS.IMPERIAL ? 'lb' : 'kg');
+        DOMHelper.setText('rockWeightUnit', this.currentUnitSystem === UNIT_SYSTEMS.IMPERIAL ? 'lb' : 'kg');
+        DOMHelper.setText('floorLoadUnit', this.currentUnitSystem === UNIT_SYSTEMS.IMPERIAL ? 'lb/ft²' : 'kg/m²');
     }
 
     updateDimensionRanges() {
@@ -382,25 +1482,97 @@ class AquariumApp {
             heightIn = height / CONVERSIONS.INCHES_TO_CM;
         }
 
-        const volumeLiters = this.calculator.calculateVolume(lengthIn, widthIn, heightIn);
+        const shape = this.getCurrentShape();
+        const volumeLiters = this.calculator.calculateVolume(lengthIn, widthIn, heightIn, shape);
         const volumeGallons = this.calculator.convertToGallons(volumeLiters);
-        const waterLiters = this.calculator.adjustForDisplacement(volumeLiters);
-        const surfaceArea = this.calculator.calculateSurfaceArea(lengthIn, widthIn, heightIn);
-
-        const glassRecommendation = this.recommender.getRecommendation(lengthIn, widthIn, heightIn);
-        const detailedRecommendation = this.recommender.getDetailedRecommendation(lengthIn, widthIn, heightIn);
+        const surfaceArea = this.calculator.calculateSurfaceArea(lengthIn, widthIn, heightIn, shape);
+
+        const contents = this.getContentsInputs(heightIn);
+        const bracing = this.getBracingDesign(lengthIn, widthIn, heightIn, shape, contents.waterDepth);
+        const glassOptions = {
+            ...this.getGlassOptions(),
+            braced: bracing.type !== BRACING_TYPES.RIMLESS,
+            waterDepth: contents.waterDepth
+        };
+        const detailedRecommendation = this.recommender.getDetailedRecommendation(lengthIn, widthIn, heightIn, shape, glassOptions);
+        const glassRecommendation = detailedRecommendation.thickness;
+
+        const displacement = this.displacementModel.calculate({
+            length: lengthIn,
+            width: widthIn,
+            height: heightIn,
+            shape: shape,
+            glassThicknessMm: detailedRecommendation.thicknessMm,
+            bottomThicknessMm: detailedRecommendation.bottomThicknessMm,
+            substrateDepth: contents.substrateDepth,
+            rockKg: contents.rockKg,
+            freeboard: contents.freeboard
+        });
+        const waterLiters = displacement.waterLiters;
 
         this.updateVolumeDisplays(volumeLiters, volumeGallons, waterLiters, forceUpdateVolume);
+        this.updateDisplacementDisplay(displacement);
         this.updateSurfaceAreaDisplay(surfaceArea);
         DOMHelper.setText('glassResult', glassRecommendation);
-        DOMHelper.setText('glassNotes', detailedRecommendation?.safetyNote || 'Standard aquarium glass recommended');
+        this.renderTrace(DOMHelper.getElement('glassResult'), detailedRecommendation?.trace);
+        const material = detailedRecommendation.material;
+        const defaultNote = material.drillable ?
+            `Standard aquarium ${material.name.toLowerCase()} recommended` :
+            `${material.name} cannot be drilled - order overflow and bulkhead holes before tempering`;
+        DOMHelper.setText('glassNotes', detailedRecommendation?.safetyNote || defaultNote);
+        this.updatePanelListDisplay(detailedRecommendation?.panels || []);
+        this.updateEngineeringDisplay(detailedRecommendation?.engineering);
+        this.updateBracingDisplay(bracing);
+
+        this.currentCutList = this.cutListGenerator.generate({
+            length: lengthIn,
+            width: widthIn,
+            height: heightIn,
+            shape: shape,
+            schedule: detailedRecommendation.panels,
+            sides: DOMHelper.getValue('sideAssembly') || undefined,
+            bottom: DOMHelper.getValue('bottomAssembly') || undefined,
+            bracing: bracing,
+            material: glassOptions.material
+        });
+        this.updateCutListDisplay(this.currentCutList);
+        this.updateCostDisplay(detailedRecommendation?.estimatedCost, detailedRecommendation?.material);
+
+        const weight = this.weightCalculator.getWeightBreakdown({
+            length: lengthIn,
+            width: widthIn,
+            height: heightIn,
+            shape: shape,
+            waterLiters: waterLiters,
+            waterType: contents.waterType,
+            glassThicknessMm: detailedRecommendation.thicknessMm,
+            panels: detailedRecommendation.panels,
+            panelMaterial: glassOptions.material,
+            substrateDepth: contents.substrateDepth,
+            rockKg: contents.rockKg
+        });
+        this.updateWeightDisplay(weight, contents.limits);
 
-        this.updateEquipmentRecommendations(lengthIn, widthIn, heightIn, volumeGallons, surfaceArea);
+        const system = this.tankSystem.getTotals({ waterLiters, weightKg: weight.totalKg }, contents.waterType);
+        this.updateSystemDisplay(system);
+
+        const thermal = this.getThermalLoad(lengthIn, widthIn, heightIn, shape, contents, detailedRecommendation, glassOptions.material);
+        this.updateThermalDisplay(thermal);
+        const stocking = this.getStockingPlan(lengthIn, widthIn, shape, waterLiters, contents);
+        this.updateStockingDisplay(stocking);
+        this.updateEquipmentRecommendations(lengthIn, widthIn, heightIn, volumeGallons, surfaceArea, system.totalWaterGallons, thermal,
+            stocking.rows.length > 0 ? stocking.bioload : null, this.getLightingInputs(contents));
 
         try {
             if (this.visualizer && this.visualizer.updateDimensions) {
                 console.log('Updating visualizer with dimensions:', widthIn / 12, heightIn / 12, lengthIn / 12);
-                this.visualizer.updateDimensions(widthIn / 12, heightIn / 12, lengthIn / 12);
+                const sceneBracing = bracing.braceWidth > 0 ? {
+                    braceWidth: bracing.braceWidth / 12,
+                    thickness: bracing.braceThicknessMm / 10 / CONVERSIONS.INCHES_TO_CM / 12,
+                    centerBrace: bracing.centerBrace
+                } : null;
+                const waterLevel = heightIn > 0 ? contents.waterDepth / heightIn : 0;
+                this.visualizer.updateDimensions(widthIn / 12, heightIn / 12, lengthIn / 12, shape.scale(1 / 12), sceneBracing, waterLevel);
             } else {
                 console.warn('Visualizer not available:', this.visualizer);
             }
@@ -427,26 +1599,298 @@ class AquariumApp {
         }
     }
 
-    updateEquipmentRecommendations(length, width, height, volumeGallons, surfaceArea) {
-        const recommendations = this.equipmentRecommender.getAllRecommendations(length, width, height, volumeGallons, surfaceArea);
+    updatePanelListDisplay(panels) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const unit = isMetric ? 'cm' : 'in';
+        const format = (inches) => Math.round(isMetric ? inches * CONVERSIONS.INCHES_TO_CM : inches);
+
+        const text = panels.map(panel => {
+            const curved = panel.curved ? ', curved' : '';
+            return `${panel.count}× ${panel.name} ${format(panel.width)}×${format(panel.height)} ${unit} ` +
+                `@ ${panel.thicknessMm}mm (${panel.support}${curved})`;
+        }).join('; ');
+
+        DOMHelper.setText('glassPanels', text || '--');
+    }
+
+    updateEngineeringDisplay(engineering) {
+        if (!engineering) {
+            DOMHelper.setText('glassEngineering', '--');
+            return;
+        }
+
+        const panels = engineering.bottom ? [...engineering.panels, engineering.bottom] : engineering.panels;
+        const text = panels.map(panel => {
+            const flag = panel.adequate ? '' : ' ⚠';
+            return `${panel.name}: needs ${panel.requiredMm.toFixed(1)}mm → ${panel.thicknessMm}mm, ` +
+                `stress ${panel.stress.toFixed(2)}/${panel.allowableStress.toFixed(2)} N/mm², ` +
+                `deflection ${panel.deflectionMm.toFixed(2)}mm${flag}`;
+        }).join('; ');
+
+        DOMHelper.setText('glassEngineering', text);
+    }
+
+    updateBracingDisplay(bracing) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const braceWidth = isMetric ?
+            `${(bracing.braceWidth * CONVERSIONS.INCHES_TO_CM).toFixed(1)} cm` : `${bracing.braceWidth}"`;
+
+        DOMHelper.setText('bracingResult', bracing.braceWidth > 0 ?
+            `${bracing.name}, ${braceWidth} wide × ${bracing.braceThicknessMm}mm` : bracing.name);
+
+        const saving = bracing.thicknessSavingMm > 0 ?
+            `saves ${bracing.thicknessSavingMm}mm` : 'no change in standard thickness';
+        DOMHelper.setText('bracingWallThickness',
+            `unbraced ${bracing.unbracedThicknessMm}mm → braced ${bracing.bracedThicknessMm}mm (needs ${bracing.unbracedRequiredMm.toFixed(1)}mm → ` +
+            `${bracing.bracedRequiredMm.toFixed(1)}mm, ${bracing.mode} mode) - ${saving}`);
+
+        const area = isMetric ?
+            `${(bracing.openingAreaSqIn / 144 * CONVERSIONS.SQFT_TO_SQM).toFixed(2)} m²` :
+            `${(bracing.openingAreaSqIn / 144).toFixed(1)} ft²`;
+        DOMHelper.setText('bracingOpening', `${area} (${Math.round(bracing.openingPercent)}% of the top)`);
+    }
+
+    updateCutListDisplay(cutList) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        DOMHelper.setText('cutListText', this.cutListGenerator.toText(cutList, isMetric));
+    }
+
+    updateCostDisplay(estimate, material) {
+        if (!estimate || !material) {
+            DOMHelper.setText('glassCost', '--');
+            return;
+        }
+
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const area = isMetric ?
+            `${(estimate.areaSqFt * CONVERSIONS.SQFT_TO_SQM).toFixed(2)} m²` : `${estimate.areaSqFt.toFixed(1)} ft²`;
+
+        DOMHelper.setText('glassCost',
+            `≈ $${Math.round(estimate.cost)} for ${area} of ${material.name.toLowerCase()}`);
+    }
+
+    updateDisplacementDisplay(displacement) {
+        const isGallons = this.volumeUnitSystem === VOLUME_UNITS.GALLONS;
+        const formatVolume = (liters) => isGallons ?
+            `${this.calculator.convertToGallons(liters).toFixed(1)} gal` : `${liters.toFixed(1)} L`;
+
+        DOMHelper.setText('displacementBreakdown', [
+            `Glass ${formatVolume(displacement.glassLiters)}`,
+            `Freeboard ${formatVolume(displacement.freeboardLiters)}`,
+            `Substrate ${formatVolume(displacement.substrateLiters)}`,
+            `Rock ${formatVolume(displacement.rockLiters)}`,
+            `Total ${displacement.displacementPercent.toFixed(1)}% displaced`
+        ].join(' · '));
+    }
+
+    updateWeightDisplay(weight, limits) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const formatWeight = (kg) => isMetric ?
+            `${Math.round(kg)} kg` : `${Math.round(kg * CONVERSIONS.KG_TO_LB)} lb`;
+
+        DOMHelper.setText('weightBreakdown', [
+            `Water ${formatWeight(weight.waterKg)}`,
+            `Glass ${formatWeight(weight.glassKg)}`,
+            `Substrate ${formatWeight(weight.substrateKg)}`,
+            `Rock ${formatWeight(weight.rockKg)}`
+        ].join(' · '));
+
+        DOMHelper.setText('weightTotal', isMetric ?
+            `${Math.round(weight.totalKg)} kg (${Math.round(weight.totalLb)} lb)` :
+            `${Math.round(weight.totalLb)} lb (${Math.round(weight.totalKg)} kg)`);
+
+        const load = weight.floorLoad;
+        DOMHelper.setText('floorLoadResult', isMetric ?
+            `${Math.round(load.kgPerSqM)} kg/m² over ${load.footprintSqM.toFixed(2)} m²` :
+            `${Math.round(load.lbPerSqFt)} lb/ft² over ${load.footprintSqFt.toFixed(1)} ft²`);
+
+        const status = this.weightCalculator.checkFloorLoad(load.lbPerSqFt, limits);
+        const indicator = DOMHelper.getElement('floorLoadIndicator');
+        if (indicator) {
+            indicator.className = `load-indicator load-${status.level}`;
+        }
+        DOMHelper.setText('floorLoadText', status.message);
+    }
+
+    updateSystemDisplay(system) {
+        const isMetric = this.currentUnitSystem === UNIT_SYSTEMS.METRIC;
+        const isGallons = this.volumeUnitSystem === VOLUME_UNITS.GALLONS;
+        const unit = isMetric ? 'cm' : 'in';
+        const formatLength = (inches) => Math.round(isMetric ? inches * CONVERSIONS.INCHES_TO_CM : inches);
+        const formatVolume = (liters) => isGallons ?
+            `${this.calculator.convertToGallons(liters).toFixed(1)} gal` : `${liters.toFixed(1)} L`;
+        const formatWeight = (kg) => isMetric ?
+            `${Math.round(kg)} kg` : `${Math.round(kg * CONVERSIONS.KG_TO_LB)} lb`;
+
+        const list = DOMHelper.getElement('vesselList');
+        if (list) {
+            list.innerHTML = '';
+            system.vessels.forEach(vessel => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = `${vessel.name}: ${formatLength(vessel.length)}×${formatLength(vessel.width)}×` +
+                    `${formatLength(vessel.height)} ${unit}, filled to ${formatLength(vessel.waterLevel)} ${unit}` +
+                    ` - ${formatVolume(vessel.waterLiters)}`;
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'action-btn action-btn-secondary';
+                remove.dataset.vesselId = vessel.id;
+                remove.textContent = 'Remove';
+
+                item.append(label, remove);
+                list.appendChild(item);
+            });
+        }
+
+        const parts = [`Display ${formatVolume(system.display.waterLiters)}`,
+            ...system.vessels.map(vessel => `${vessel.name} ${formatVolume(vessel.waterLiters)}`)];
+        DOMHelper.setText('systemVolumeResult', system.vessels.length > 0 ?
+            `${formatVolume(system.totalWaterLiters)} (${parts.join(' + ')})` :
+            formatVolume(system.totalWaterLiters));
+        DOMHelper.setText('systemWeightResult', formatWeight(system.totalWeightKg));
+    }
+
+    updateEquipmentRecommendations(length, width, height, volumeGallons, surfaceArea, systemVolumeGallons = volumeGallons, thermal = null, bioload = null,
+        lighting = {}) {
+        const recommendations = this.equipmentRecommender.getAllRecommendations(
+            length, width, height, volumeGallons, surfaceArea, systemVolumeGallons, thermal, bioload, lighting
+        );
 
         if (!recommendations) {
             console.error('Failed to get equipment recommendations');
             return;
         }
 
-        const updates = {
-            filterRecommendation: recommendations.filter || '--',
-            heaterRecommendation: recommendations.heater || '--',
-            chillerRecommendation: recommendations.chiller || '--',
-            uvSterilizerRecommendation: recommendations.uvSterilizer || '--',
-            airPumpRecommendation: recommendations.airPump || '--',
-            thermometerRecommendation: recommendations.thermometer || '--',
-            circulationPumpRecommendation: recommendations.circulationPump || '--',
-            atoRecommendation: recommendations.ato || '--'
-        };
+        this.currentEquipment = recommendations;
+        // In-tank products have to fit below the water line; the rest go on the rim or in the stand
+        const products = this.productCatalog.matchAll(recommendations, {
+            tank: { width: width, length: length, height: lighting.waterDepth ?? height },
+            stand: this.getStandSpace()
+        });
+        this.renderEquipmentList(recommendations);
+        Object.entries(recommendations).forEach(([type, recommendation]) => {
+            this.renderEquipmentRecommendation(`${type}Recommendation`, recommendation, products[type]);
+        });
 
-        DOMHelper.batchUpdate(updates);
+        // The chiller is rated in HP, so only the heater and UV sterilizer count here
+        const power = this.equipmentRecommender.getTotalPower(recommendations);
+        DOMHelper.setText('equipmentPowerResult', power.categories.length === 0 ? '--' :
+            `${power.min}${power.max === null ? '+' : `-${power.max}`} ${power.unit}`);
+    }
+
+    renderEquipmentList(recommendations) {
+        const list = DOMHelper.getElement('equipmentList');
+        if (!list) return;
+
+        document.querySelectorAll('.equipment-item[data-equipment-type]').forEach(item => item.remove());
+        list.innerHTML = '';
+
+        // Known groups first in their usual order, then any group a rules file introduces
+        const groups = new Map(Object.keys(EQUIPMENT_GROUPS).map(group => [group, []]));
+        Object.keys(recommendations).forEach(type => {
+            const { group } = this.equipmentRecommender.getStrategyInfo(type);
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(type);
+        });
+
+        // A group already in the page (such as Lighting with its inputs) takes its own items. Look groups up by
+        // name rather than building a selector, since group names come from rules files.
+        const pageGroups = new Map([...document.querySelectorAll('[data-equipment-group]')]
+            .map(element => [element.dataset.equipmentGroup, element]));
+
+        groups.forEach((types, group) => {
+            if (types.length === 0) return;
+
+            let container = pageGroups.get(group);
+            if (!container) {
+                container = document.createElement('div');
+                container.className = 'equipment-group';
+                const title = document.createElement('h4');
+                title.className = 'group-title';
+                title.textContent = EQUIPMENT_GROUPS[group] ?? group;
+                container.appendChild(title);
+                list.appendChild(container);
+            }
+
+            types.forEach(type => {
+                const info = this.equipmentRecommender.getStrategyInfo(type);
+                const item = document.createElement('div');
+                item.className = 'equipment-item';
+                item.dataset.equipmentType = type;
+
+                const label = document.createElement('span');
+                label.className = 'equipment-label tooltip';
+                label.textContent = `${info.label}:`;
+                if (info.description) {
+                    const tooltip = document.createElement('span');
+                    tooltip.className = 'tooltip-text';
+                    tooltip.textContent = info.description;
+                    label.appendChild(tooltip);
+                }
+
+                const value = document.createElement('span');
+                value.className = 'equipment-value';
+                value.id = `${type}Recommendation`;
+                value.textContent = '--';
+
+                item.append(label, value);
+                container.appendChild(item);
+            });
+        });
+    }
+
+    renderEquipmentRecommendation(id, recommendation, products = []) {
+        const element = DOMHelper.getElement(id);
+        if (!element) return;
+
+        element.textContent = recommendation?.text || '--';
+        element.closest('.equipment-item')?.classList.toggle('equipment-optional', !!recommendation?.optional);
+        (recommendation?.notes ?? []).forEach(note => {
+            const noteEl = document.createElement('span');
+            noteEl.className = 'equipment-note';
+            noteEl.textContent = note.charAt(0).toUpperCase() + note.slice(1);
+            element.appendChild(noteEl);
+        });
+        if (products.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'equipment-products';
+            products.forEach(match => {
+                const item = document.createElement('li');
+                item.classList.toggle('product-no-fit', match.fits === false);
+                item.textContent = ProductCatalog.describe(match);
+                list.appendChild(item);
+            });
+            element.appendChild(list);
+        }
+        this.renderTrace(element, recommendation?.trace);
+    }
+
+    renderTrace(element, trace) {
+        if (!element || !trace) return;
+
+        const humanize = (name) => name.replace(/([A-Z])/g, ' $1').toLowerCase();
+        const lines = [
+            ...trace.inputs.map(input => {
+                const value = `${humanize(input.name)}: ${input.value}${input.unit ? ` ${input.unit}` : ''}`;
+                return input.source ? `${value} (${input.source})` : value;
+            }),
+            `Matched: ${trace.matched}`,
+            ...trace.modifiers.map(modifier => `Modifier: ${modifier}`)
+        ];
+
+        const panel = document.createElement('details');
+        panel.className = 'why-panel';
+        const summary = document.createElement('summary');
+        summary.textContent = 'why?';
+        const list = document.createElement('ul');
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line.charAt(0).toUpperCase() + line.slice(1);
+            list.appendChild(item);
+        });
+        panel.append(summary, list);
+        element.appendChild(panel);
     }
 
     updateSurfaceAreaDisplay(surfaceArea) {
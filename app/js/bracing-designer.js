@@ -0,0 +1,137 @@
+// Top bracing recommendations: rimless, perimeter euro-brace or euro-brace with center brace
+import { BRACING_TYPES, BRACING_LIMITS, GLASS_CALC_MODES } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { GlassRecommender } from './glass-recommendations.js';
+
+const BRACING_NAMES = {
+    [BRACING_TYPES.RIMLESS]: 'Rimless',
+    [BRACING_TYPES.EURO]: 'Perimeter euro-brace',
+    [BRACING_TYPES.CENTER]: 'Euro-brace with center cross-brace'
+};
+
+export class BracingDesigner {
+    /**
+     * @param {GlassRecommender} recommender - Recommender used for braced and unbraced thickness
+     */
+    constructor(recommender = new GlassRecommender()) {
+        this.recommender = recommender;
+    }
+
+    /**
+     * Pick a bracing type from the water depth and longest panel span
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} waterDepth - Water depth in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @returns {string} One of BRACING_TYPES (never AUTO)
+     */
+    getBracingType(length, width, waterDepth, shape = new TankShape()) {
+        const maxSpan = shape.getMaxPanelSpan(length, width);
+
+        if (maxSpan > BRACING_LIMITS.CENTER_BRACE_MIN_SPAN) {
+            return BRACING_TYPES.CENTER;
+        }
+        if (waterDepth > BRACING_LIMITS.RIMLESS_MAX_HEIGHT || maxSpan > BRACING_LIMITS.RIMLESS_MAX_SPAN) {
+            return BRACING_TYPES.EURO;
+        }
+        return BRACING_TYPES.RIMLESS;
+    }
+
+    /**
+     * Get brace width for a tank height, rounded to the nearest half inch
+     * @param {number} height - Tank height in inches
+     * @returns {number} Brace width in inches
+     */
+    getBraceWidth(height) {
+        const width = Math.round((height / 10 + 0.5) * 2) / 2;
+        return Math.max(BRACING_LIMITS.MIN_BRACE_WIDTH, Math.min(width, BRACING_LIMITS.MAX_BRACE_WIDTH));
+    }
+
+    /**
+     * Design the top bracing and compare wall thickness with and without it, in the chosen calculation mode
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Glass options (mode, safetyFactor, waterType, material, waterDepth) plus bracing type
+     * @returns {object} Bracing type, brace size, thickness saving, the mode it was sized in and remaining top opening
+     */
+    design(length, width, height, shape = new TankShape(), options = {}) {
+        const type = options.type && options.type !== BRACING_TYPES.AUTO ?
+            options.type : this.getBracingType(length, width, options.waterDepth ?? height, shape);
+        const braced = type !== BRACING_TYPES.RIMLESS;
+        const mode = options.mode === GLASS_CALC_MODES.ENGINEERING ? GLASS_CALC_MODES.ENGINEERING : GLASS_CALC_MODES.QUICK;
+
+        const unbraced = this.getWallThickness(length, width, height, shape, { ...options, braced: false }, mode);
+        const withBraces = this.getWallThickness(length, width, height, shape, { ...options, braced: true }, mode);
+
+        const braceWidth = braced ? this.getBraceWidth(height) : 0;
+        const opening = this.getOpening(length, width, shape, braceWidth, type === BRACING_TYPES.CENTER);
+
+        return {
+            type: type,
+            name: BRACING_NAMES[type],
+            braceWidth: braceWidth,
+            braceThicknessMm: braced ?
+                Math.max(withBraces.thicknessMm, BRACING_LIMITS.MIN_BRACE_THICKNESS_MM) : 0,
+            centerBrace: type === BRACING_TYPES.CENTER,
+            mode: mode,
+            unbracedThicknessMm: unbraced.thicknessMm,
+            bracedThicknessMm: withBraces.thicknessMm,
+            unbracedRequiredMm: unbraced.requiredMm,
+            bracedRequiredMm: withBraces.requiredMm,
+            thicknessSavingMm: unbraced.thicknessMm - withBraces.thicknessMm,
+            thicknessMm: braced ? withBraces.thicknessMm : unbraced.thicknessMm,
+            openingAreaSqIn: opening.areaSqIn,
+            openingPercent: opening.percent
+        };
+    }
+
+    /**
+     * Size the walls in one calculation mode
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape
+     * @param {object} options - Glass options including braced
+     * @param {string} mode - One of GLASS_CALC_MODES
+     * @returns {object} { requiredMm, thicknessMm } for the governing wall
+     */
+    getWallThickness(length, width, height, shape, options, mode) {
+        if (mode === GLASS_CALC_MODES.ENGINEERING) {
+            const engineering = this.recommender.getEngineeringRecommendation(length, width, height, shape, options);
+            return {
+                requiredMm: Math.max(...engineering.panels.map(panel => panel.requiredMm)),
+                thicknessMm: engineering.thicknessMm
+            };
+        }
+
+        const quick = this.recommender.getQuickThickness(length, width, height, shape, options);
+        return { requiredMm: Math.max(quick.strengthMm, quick.deflectionMm), thicknessMm: quick.thicknessMm };
+    }
+
+    /**
+     * Calculate the open top area left inside the braces
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {TankShape} shape - Tank shape
+     * @param {number} braceWidth - Brace width in inches (0 for rimless)
+     * @param {boolean} centerBrace - True if a center cross-brace spans the opening
+     * @returns {object} { areaSqIn, percent } of the footprint
+     */
+    getOpening(length, width, shape, braceWidth, centerBrace) {
+        const footprint = shape.getBaseArea(length, width);
+        const innerLength = Math.max(0, length - 2 * braceWidth);
+        const innerWidth = Math.max(0, width - 2 * braceWidth);
+
+        let areaSqIn = shape.getBaseArea(innerLength, innerWidth);
+        if (centerBrace) {
+            areaSqIn = Math.max(0, areaSqIn - braceWidth * innerLength);
+        }
+
+        return {
+            areaSqIn: areaSqIn,
+            percent: footprint > 0 ? (areaSqIn / footprint) * 100 : 0
+        };
+    }
+}
@@ -4,9 +4,429 @@ export const CONVERSIONS = {
     LITERS_TO_GALLONS: 3.78541,
     INCHES_TO_CM: 2.54,
     CM_TO_INCHES: 0.393701,
+    KG_TO_LB: 2.20462,
+    SQFT_TO_SQM: 0.092903,
     DISPLACEMENT_PERCENT: 0.1
 };
 
+export const WATER_TYPES = {
+    FRESHWATER: 'freshwater',
+    BRACKISH: 'brackish',
+    SALTWATER: 'saltwater'
+};
+
+// Densities in kg per liter (equivalent to g/cm³)
+export const DENSITIES = {
+    [WATER_TYPES.FRESHWATER]: 1.0,
+    [WATER_TYPES.BRACKISH]: 1.01,
+    [WATER_TYPES.SALTWATER]: 1.025,
+    GLASS: 2.5,
+    SUBSTRATE: 1.6,
+    ROCK: 2.5
+};
+
+export const GLASS_CALC_MODES = {
+    QUICK: 'quick',
+    ENGINEERING: 'engineering'
+};
+
+// Float glass properties for plate-stress calculations
+export const GLASS_PROPERTIES = {
+    MODULUS_OF_RUPTURE: 19.2, // N/mm²
+    ELASTIC_MODULUS: 69000, // N/mm²
+    STANDARD_THICKNESSES_MM: [3, 4, 5, 6, 8, 10, 12, 15, 19, 25],
+    SAFETY_FACTORS: [2.5, 3.0, 3.8],
+    DEFAULT_SAFETY_FACTOR: 3.8,
+    DEFLECTION_LIMIT_RATIO: 200 // Panels may bow at most span/200 under full water load
+};
+
+export const PANEL_MATERIALS = {
+    FLOAT_GLASS: 'float-glass',
+    LOW_IRON: 'low-iron',
+    TEMPERED: 'tempered',
+    ACRYLIC: 'acrylic'
+};
+
+// Strength and stiffness in N/mm², density in kg/L, cost in USD per ft² per mm of thickness,
+// thermal conductivity in W/(m·K)
+export const MATERIAL_PROPERTIES = {
+    [PANEL_MATERIALS.FLOAT_GLASS]: {
+        name: 'Float glass',
+        modulusOfRupture: GLASS_PROPERTIES.MODULUS_OF_RUPTURE,
+        elasticModulus: GLASS_PROPERTIES.ELASTIC_MODULUS,
+        density: DENSITIES.GLASS,
+        thicknesses: GLASS_PROPERTIES.STANDARD_THICKNESSES_MM,
+        costPerSqFtPerMm: 0.9,
+        thermalConductivity: 1.0,
+        drillable: true
+    },
+    [PANEL_MATERIALS.LOW_IRON]: {
+        name: 'Low-iron glass',
+        modulusOfRupture: GLASS_PROPERTIES.MODULUS_OF_RUPTURE,
+        elasticModulus: GLASS_PROPERTIES.ELASTIC_MODULUS,
+        density: DENSITIES.GLASS,
+        thicknesses: GLASS_PROPERTIES.STANDARD_THICKNESSES_MM,
+        costPerSqFtPerMm: 1.6,
+        thermalConductivity: 1.0,
+        drillable: true
+    },
+    [PANEL_MATERIALS.TEMPERED]: {
+        name: 'Tempered glass',
+        modulusOfRupture: 76.8, // About four times annealed glass
+        elasticModulus: GLASS_PROPERTIES.ELASTIC_MODULUS,
+        density: DENSITIES.GLASS,
+        thicknesses: [4, 5, 6, 8, 10, 12, 15, 19],
+        costPerSqFtPerMm: 1.4,
+        thermalConductivity: 1.0,
+        drillable: false
+    },
+    [PANEL_MATERIALS.ACRYLIC]: {
+        name: 'Acrylic',
+        modulusOfRupture: 20.7, // Long-term (creep-limited) flexural strength
+        elasticModulus: 3200,
+        density: 1.19,
+        thicknesses: [6, 9, 12, 15, 19, 25, 32, 38],
+        costPerSqFtPerMm: 2.5,
+        thermalConductivity: 0.19,
+        drillable: true
+    }
+};
+
+export const DEFAULT_PANEL_MATERIAL = PANEL_MATERIALS.FLOAT_GLASS;
+
+export const BOTTOM_SUPPORTS = {
+    FULL: 'full', // Resting on a leveling mat across the whole footprint
+    RIM: 'rim' // Carried only at its edges, e.g. by a trim frame
+};
+
+export const SIDE_ASSEMBLIES = {
+    SIDES_BETWEEN: 'sides-between', // Sides fit between full-width front and back panels
+    FRONT_BETWEEN: 'front-between' // Front and back fit between full-length sides
+};
+
+export const BOTTOM_ASSEMBLIES = {
+    WALLS_ON_BOTTOM: 'walls-on-bottom', // Walls stand on top of a full-footprint bottom
+    BOTTOM_INSIDE: 'bottom-inside' // Bottom fits inside the four walls
+};
+
+export const BRACING_TYPES = {
+    AUTO: 'auto',
+    RIMLESS: 'rimless',
+    EURO: 'euro',
+    CENTER: 'center'
+};
+
+export const BRACING_LIMITS = {
+    RIMLESS_MAX_HEIGHT: 18, // inches
+    RIMLESS_MAX_SPAN: 36, // inches
+    CENTER_BRACE_MIN_SPAN: 60, // inches
+    MIN_BRACE_WIDTH: 2, // inches
+    MAX_BRACE_WIDTH: 4, // inches
+    MIN_BRACE_THICKNESS_MM: 6
+};
+
+export const WATER_LEVEL_MODES = {
+    FREEBOARD: 'freeboard', // Distance from the water surface down from the rim
+    DEPTH: 'depth' // Water depth measured up from the tank floor
+};
+
+export const OPTIMIZER_OBJECTIVES = {
+    GLASS_AREA: 'glass-area', // Minimise total panel area
+    GLASS_COST: 'glass-cost', // Minimise estimated glass cost
+    SURFACE_AREA: 'surface-area', // Maximise water surface for gas exchange
+    GLASS_THICKNESS: 'glass-thickness', // Minimise required wall thickness
+    ASPECT_RATIO: 'aspect-ratio' // Stay close to a preferred front-to-depth ratio
+};
+
+export const OPTIMIZER_DEFAULTS = {
+    OBJECTIVES: [OPTIMIZER_OBJECTIVES.GLASS_COST, OPTIMIZER_OBJECTIVES.SURFACE_AREA],
+    PREFERRED_ASPECT_RATIO: 2, // Front width divided by front-to-back depth
+    VOLUME_STEPS: 2 // Volume samples on each side of the target within the tolerance
+};
+
+export const PLACEMENT_CONSTRAINTS = {
+    DOORWAY: 'doorway', // Tank must be carried through a doorway
+    STAND: 'stand', // Tank must sit on an existing stand top without overhang
+    FILLED_WEIGHT: 'filled-weight', // Glass plus water must stay under a weight limit
+    MIN_DEPTH: 'min-depth', // Minimum front-to-back length
+    HEIGHT_RATIO: 'height-ratio' // Front panel height divided by its length
+};
+
+export const PLACEMENT_DEFAULTS = {
+    DOORWAY_HEIGHT: 80 // inches, standard interior door
+};
+
+export const CATALOG_FAMILIES = {
+    US_STANDARD: 'us-standard', // Framed US glass tanks sold by nominal gallons
+    EU_METRIC: 'eu-metric', // Metric sizes common in Europe
+    RIMLESS: 'rimless' // Low-iron "P"-style rimless tanks
+};
+
+export const CATALOG_URL = 'data/tank-catalog.json';
+
+export const LIVESTOCK_URL = 'data/livestock.json';
+
+export const EQUIPMENT_RULES_URL = 'data/equipment-rules.json';
+
+export const PRODUCT_CATALOG_URL = 'data/products.json';
+
+// Where a product goes, which decides the space it has to fit in
+export const PRODUCT_PLACEMENTS = {
+    TANK: 'tank', // Inside the tank, below the water line
+    RIM: 'rim', // On or over the rim, along the front
+    STAND: 'stand' // In the stand cabinet
+};
+
+export const PRODUCT_MATCH_LIMIT = 3; // Products shown per recommendation
+
+export const TEMPERAMENTS = {
+    PEACEFUL: 'peaceful',
+    SEMI_AGGRESSIVE: 'semi-aggressive',
+    AGGRESSIVE: 'aggressive'
+};
+
+// Bioload is in units of roughly one inch of slim community fish
+export const STOCKING_LIMITS = {
+    BIOLOAD_PER_GALLON: 1,
+    WARNING_PERCENT: 100,
+    MAX_PERCENT: 130,
+    GPH_PER_BIOLOAD: 4 // Filter flow needed per unit of bioload
+};
+
+export const CUSTOM_PRESETS = {
+    STORAGE_KEY: 'aquarium-simulator.custom-presets',
+    VERSION: 1, // Export format version
+    MAX_NAME_LENGTH: 40
+};
+
+// Room and water temperatures in °C, relative humidity as a fraction
+export const THERMAL_DEFAULTS = {
+    ROOM_MIN_C: 18,
+    ROOM_MAX_C: 28,
+    TARGET_C: 25,
+    RELATIVE_HUMIDITY: 0.5,
+    EQUIPMENT_HEAT_W: 0 // Pumps and lights; heat they add to the water
+};
+
+// Heat transfer coefficients in W/(m²·K)
+export const THERMAL_PROPERTIES = {
+    WATER_FILM: 300, // Natural convection, water side of the glass
+    AIR_FILM: 8, // Natural convection plus radiation, room side of the glass
+    BOTTOM_FACTOR: 0.5, // Share of wall loss through a bottom resting on a stand or mat
+    OPEN_SURFACE: 10, // Open water surface to room air
+    LID_SURFACE: 4, // Water surface through a lid and its air gap
+    EVAPORATION_COEFFICIENT: 25, // kg/(m²·h) per unit of humidity ratio difference, still air
+    LID_EVAPORATION_FACTOR: 0.2, // Share of open-top evaporation left under a lid
+    LATENT_HEAT_J_PER_KG: 2.45e6,
+    ATMOSPHERIC_PRESSURE_PA: 101325,
+    HEATER_MARGIN: 1.25,
+    CHILLER_MARGIN: 1.25,
+    HEATER_SIZES_W: [25, 50, 75, 100, 150, 200, 250, 300, 400, 500, 600, 800, 1000],
+    SPLIT_HEATER_W: 300, // Above this, suggest two heaters so one stuck on cannot overheat the tank
+    // Approximate cooling capacity of common aquarium chiller ratings
+    CHILLER_SIZES: [
+        { hp: 0.1, name: '1/10 HP', coolingW: 260 },
+        { hp: 0.17, name: '1/6 HP', coolingW: 440 },
+        { hp: 0.25, name: '1/4 HP', coolingW: 590 },
+        { hp: 0.33, name: '1/3 HP', coolingW: 820 },
+        { hp: 0.5, name: '1/2 HP', coolingW: 1170 },
+        { hp: 1, name: '1 HP', coolingW: 2340 }
+    ]
+};
+
+export const TANK_TYPES = {
+    COMMUNITY: 'community',
+    PLANTED: 'planted',
+    PLANTED_HIGH_TECH: 'planted-high-tech',
+    BRACKISH: 'brackish',
+    FOWLR: 'fowlr',
+    REEF: 'reef'
+};
+
+// Light wanted at the substrate as PAR (PPFD in µmol/m²/s)
+export const LIGHTING_TARGETS = {
+    fishOnly: { name: 'fish only', minPar: 10, maxPar: 30 },
+    lowTech: { name: 'low-tech planted', minPar: 20, maxPar: 40 },
+    highTech: { name: 'high-tech planted', minPar: 50, maxPar: 100 },
+    reef: { name: 'reef', minPar: 100, maxPar: 200 }
+};
+
+// Per tank type: water, filter turnover and circulation in tank volumes per hour, lighting target,
+// equipment that is optional for the type, and type-specific equipment to add
+export const TANK_TYPE_PROFILES = {
+    [TANK_TYPES.COMMUNITY]: {
+        name: 'Freshwater community',
+        waterType: WATER_TYPES.FRESHWATER,
+        turnover: 4,
+        circulation: 10,
+        lighting: 'fishOnly',
+        optional: ['chiller', 'uvSterilizer', 'ato'],
+        extras: []
+    },
+    [TANK_TYPES.PLANTED]: {
+        name: 'Low-tech planted',
+        waterType: WATER_TYPES.FRESHWATER,
+        turnover: 5,
+        circulation: 10,
+        lighting: 'lowTech',
+        optional: ['chiller', 'uvSterilizer', 'dosingPump'],
+        extras: ['dosingPump']
+    },
+    [TANK_TYPES.PLANTED_HIGH_TECH]: {
+        name: 'High-tech planted',
+        waterType: WATER_TYPES.FRESHWATER,
+        turnover: 8,
+        circulation: 10,
+        lighting: 'highTech',
+        optional: ['chiller', 'uvSterilizer', 'airPump'], // Surface agitation drives off CO2
+        extras: ['co2', 'dosingPump']
+    },
+    [TANK_TYPES.BRACKISH]: {
+        name: 'Brackish',
+        waterType: WATER_TYPES.BRACKISH,
+        turnover: 5,
+        circulation: 10,
+        lighting: 'fishOnly',
+        optional: ['chiller', 'uvSterilizer'],
+        extras: []
+    },
+    [TANK_TYPES.FOWLR]: {
+        name: 'Fish-only with live rock',
+        waterType: WATER_TYPES.SALTWATER,
+        turnover: 6,
+        circulation: 20,
+        lighting: 'fishOnly',
+        optional: ['chiller', 'airPump'],
+        extras: ['proteinSkimmer']
+    },
+    [TANK_TYPES.REEF]: {
+        name: 'Reef',
+        waterType: WATER_TYPES.SALTWATER,
+        turnover: 8,
+        circulation: 40,
+        lighting: 'reef',
+        optional: ['airPump', 'uvSterilizer'],
+        extras: ['proteinSkimmer', 'dosingPump']
+    }
+};
+
+export const DEFAULT_TANK_TYPE = TANK_TYPES.COMMUNITY;
+
+export const LIGHTING_DEFAULTS = {
+    MOUNT_HEIGHT_IN: 0 // Fixture height above the rim
+};
+
+// Light falloff from fixture to substrate and the fixtures to choose from
+export const LIGHTING_PROPERTIES = {
+    REFERENCE_DISTANCE_IN: 12, // Fixture output is rated as PAR at this distance in air
+    SPREAD_EXPONENT: 1, // Long fixtures with reflective side panes fall off roughly as 1/distance
+    SURFACE_TRANSMISSION: 0.9, // Reflection and ripple loss at the water surface
+    WATER_ATTENUATION_PER_IN: 0.02, // Clear, filtered water absorbs about 2% per inch
+    ROW_COVERAGE_IN: 18, // Front-to-back spread one row of fixtures lights evenly
+    FIXTURE_LENGTHS_IN: [12, 18, 24, 30, 36, 48, 60, 72],
+    FIXTURES: [
+        { output: 50, text: 'basic LED' },
+        { output: 120, text: 'planted LED' },
+        { output: 250, text: 'high-output planted LED' },
+        { output: 500, text: 'reef LED' }
+    ]
+};
+
+// Equipment groups in display order; strategies in any other group are listed after these under the group's name
+export const EQUIPMENT_GROUPS = {
+    lighting: 'Lighting',
+    essential: 'Essential Equipment',
+    advanced: 'Advanced Equipment',
+    tankType: 'Tank-Type Equipment'
+};
+
+// Label, group and tooltip for each built-in equipment strategy
+export const EQUIPMENT_INFO = {
+    filter: {
+        label: 'Filter',
+        group: 'essential',
+        description: 'Removes waste and provides water circulation. GPH rating should be 3-5 times tank volume per hour.'
+    },
+    heater: {
+        label: 'Heater',
+        group: 'essential',
+        description: 'Maintains stable water temperature. 3-5 watts per gallon is typical for tropical fish.'
+    },
+    airPump: {
+        label: 'Air Pump',
+        group: 'essential',
+        description: 'Provides oxygen exchange and surface agitation. Essential for fish health and gas exchange.'
+    },
+    thermometer: {
+        label: 'Thermometer',
+        group: 'essential',
+        description: 'Monitors water temperature for stability. Critical when using heaters or in warm environments.'
+    },
+    circulationPump: {
+        label: 'Circulation Pump',
+        group: 'essential',
+        description: 'Creates water movement and eliminates dead spots. Essential for water quality and fish health.'
+    },
+    lighting: {
+        label: 'Light',
+        group: 'lighting',
+        description: "Fixture length and count for the footprint, sized so PAR at the substrate meets the tank type's target. Deeper water needs a stronger fixture."
+    },
+    uvSterilizer: {
+        label: 'UV Sterilizer',
+        group: 'advanced',
+        description: 'Controls algae and bacteria in water column. UV wattage should match filter flow rate (1W per 100 GPH).'
+    },
+    chiller: {
+        label: 'Water Chiller',
+        group: 'advanced',
+        description: 'Critical in warm climates for temperature-sensitive fish. Prevents overheating and maintains stable conditions.'
+    },
+    ato: {
+        label: 'Auto Top-Off',
+        group: 'advanced',
+        description: 'Maintains stable water levels automatically. Prevents low water emergencies.'
+    },
+    proteinSkimmer: {
+        label: 'Protein Skimmer',
+        group: 'tankType',
+        description: 'Strips dissolved organics from saltwater before they break down. Pick one rated for about twice the system volume.'
+    },
+    co2: {
+        label: 'CO2 System',
+        group: 'tankType',
+        description: 'Pressurised CO2 for fast plant growth. Larger cylinders last longer between refills.'
+    },
+    dosingPump: {
+        label: 'Dosing Pump',
+        group: 'tankType',
+        description: 'Doses fertilizers in planted tanks, or alkalinity, calcium and magnesium in reefs, in small steady amounts.'
+    }
+};
+
+// Units for the numeric range on an equipment recommendation
+export const EQUIPMENT_UNITS = {
+    WATTS: 'W',
+    GPH: 'GPH',
+    HORSEPOWER: 'HP',
+    GALLONS: 'gal',
+    POUNDS: 'lb',
+    CHANNELS: 'ch',
+    PAR: 'PAR'
+};
+
+export const DISPLACEMENT_DEFAULTS = {
+    SUBSTRATE_POROSITY: 0.4, // Fraction of substrate bulk volume filled with water
+    SUBSTRATE_DEPTH_INCHES: 2,
+    FREEBOARD_INCHES: 1
+};
+
+// Load spread over the tank footprint, in lb/ft²
+export const FLOOR_LOAD_LIMITS = {
+    WARNING_LB_PER_SQFT: 100,
+    MAX_LB_PER_SQFT: 200
+};
+
 export const UNIT_SYSTEMS = {
     IMPERIAL: 'imperial',
     METRIC: 'metric'
@@ -17,6 +437,32 @@ export const VOLUME_UNITS = {
     LITERS: 'liters'
 };
 
+// Dimension finder search ranges and steps, in inches or centimetres
+export const FINDER_UNIT_SETTINGS = {
+    [UNIT_SYSTEMS.IMPERIAL]: {
+        MIN_DIMENSION: 10,
+        MAX_DIMENSION: 120,
+        MIN_HEIGHT: 12,
+        MAX_HEIGHT: 60,
+        COARSE_STEP: 4, // First pass of the continuous search
+        MIN_STEP: 0.25, // Finest refinement of the continuous search
+        ROUNDING: 0.1, // Continuous results are rounded to this
+        RESULT_SPACING: 2, // Results closer than this in every dimension count as duplicates
+        MIN_GRID_STEP: 1 // Finer grid steps are raised to this, since the grid search blocks the page
+    },
+    [UNIT_SYSTEMS.METRIC]: {
+        MIN_DIMENSION: 25,
+        MAX_DIMENSION: 300,
+        MIN_HEIGHT: 30,
+        MAX_HEIGHT: 150,
+        COARSE_STEP: 10,
+        MIN_STEP: 1,
+        ROUNDING: 0.5,
+        RESULT_SPACING: 5,
+        MIN_GRID_STEP: 2.5 // About an inch, so a metric grid costs the same as an imperial one
+    }
+};
+
 export const DIMENSIONS = {
     WIDTH: 'width',
     LENGTH: 'length',
@@ -29,4 +475,19 @@ export const DEFAULT_VALUES = {
     HEIGHT_INCHES: 24,
     UNIT_SYSTEM: UNIT_SYSTEMS.IMPERIAL,
     VOLUME_UNIT: VOLUME_UNITS.LITERS
-};
\ No newline at end of file
+};
+
+export const VESSEL_ROLES = {
+    DISPLAY: 'display',
+    SUMP: 'sump',
+    REFUGIUM: 'refugium',
+    FRAG: 'frag'
+};
+
+export const TANK_SHAPES = {
+    RECTANGLE: 'rectangle',
+    BOWFRONT: 'bowfront',
+    CYLINDER: 'cylinder',
+    HEXAGON: 'hexagon',
+    CORNER_PENTAGON: 'corner-pentagon'
+};
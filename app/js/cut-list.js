@@ -0,0 +1,290 @@
+// Glass cut list: exact cut sizes per panel for a chosen assembly style, with CSV and text export
+import { CONVERSIONS, DENSITIES, MATERIAL_PROPERTIES, DEFAULT_PANEL_MATERIAL, SIDE_ASSEMBLIES, BOTTOM_ASSEMBLIES } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { WeightCalculator } from './weight-calculator.js';
+
+const MM_PER_INCH = CONVERSIONS.INCHES_TO_CM * 10;
+
+export class CutListGenerator {
+    constructor() {
+        this.weightCalculator = new WeightCalculator();
+    }
+
+    /**
+     * Generate the cut list for a tank
+     * @param {object} options - Tank, glass schedule and assembly
+     * @param {number} options.length - External front-to-back length in inches
+     * @param {number} options.width - External front width in inches
+     * @param {number} options.height - External height in inches
+     * @param {TankShape} options.shape - Tank shape (default: rectangular)
+     * @param {Array} options.schedule - Panel schedule from GlassRecommender.getPanelSchedule
+     * @param {string} options.sides - One of SIDE_ASSEMBLIES
+     * @param {string} options.bottom - One of BOTTOM_ASSEMBLIES
+     * @param {object} options.bracing - Design from BracingDesigner (optional)
+     * @param {string} options.material - One of PANEL_MATERIALS
+     * @returns {object} { rows, totals, exact, notes } with lengths in inches and weights in kg
+     */
+    generate({
+        length,
+        width,
+        height,
+        shape = new TankShape(),
+        schedule,
+        sides = SIDE_ASSEMBLIES.SIDES_BETWEEN,
+        bottom = BOTTOM_ASSEMBLIES.WALLS_ON_BOTTOM,
+        bracing = null,
+        material = DEFAULT_PANEL_MATERIAL
+    }) {
+        const density = MATERIAL_PROPERTIES[material]?.density ?? DENSITIES.GLASS;
+        const bottomPanel = schedule.find(panel => panel.bottom);
+        const walls = schedule.filter(panel => !panel.bottom);
+        const bottomInches = bottomPanel.thicknessMm / MM_PER_INCH;
+        const wallHeight = bottom === BOTTOM_ASSEMBLIES.WALLS_ON_BOTTOM ? height - bottomInches : height;
+
+        const layout = shape.isRectangular() ?
+            this.getRectangularLayout(length, width, height, walls, bottomPanel, sides, bottom, bracing) :
+            this.getShapedLayout(length, width, wallHeight, shape, walls, bottomPanel);
+
+        const rows = layout.panels.map(panel => {
+            const areaSqIn = panel.cutWidth * panel.cutHeight * panel.count;
+            return {
+                ...panel,
+                areaSqIn: areaSqIn,
+                weightKg: this.weightCalculator.calculateGlassWeight([{ areaSqIn }], panel.thicknessMm, density),
+                polishLength: 2 * (panel.cutWidth + panel.cutHeight) * panel.count
+            };
+        });
+
+        return {
+            rows: rows,
+            totals: {
+                count: rows.reduce((total, row) => total + row.count, 0),
+                areaSqIn: rows.reduce((total, row) => total + row.areaSqIn, 0),
+                weightKg: rows.reduce((total, row) => total + row.weightKg, 0),
+                polishLength: rows.reduce((total, row) => total + row.polishLength, 0),
+                siliconeLength: layout.siliconeLength
+            },
+            exact: shape.isRectangular(),
+            notes: layout.notes
+        };
+    }
+
+    /**
+     * Cut sizes for a rectangular tank
+     * @param {number} length - External length in inches
+     * @param {number} width - External width in inches
+     * @param {number} height - External height in inches
+     * @param {Array} walls - Wall panels from the schedule
+     * @param {object} bottomPanel - Bottom panel from the schedule
+     * @param {string} sides - One of SIDE_ASSEMBLIES
+     * @param {string} bottom - One of BOTTOM_ASSEMBLIES
+     * @param {object} bracing - Bracing design or null
+     * @returns {object} { panels, siliconeLength, notes }
+     */
+    getRectangularLayout(length, width, height, walls, bottomPanel, sides, bottom, bracing) {
+        const frontPanel = walls.find(panel => panel.name === 'Front/Back');
+        const sidePanel = walls.find(panel => panel.name === 'Side');
+        const frontInches = frontPanel.thicknessMm / MM_PER_INCH;
+        const sideInches = sidePanel.thicknessMm / MM_PER_INCH;
+        const bottomInches = bottomPanel.thicknessMm / MM_PER_INCH;
+
+        // Inside of the walls: sides close off the width, front and back close off the length
+        const innerWidth = width - 2 * sideInches;
+        const innerLength = length - 2 * frontInches;
+        const wallHeight = bottom === BOTTOM_ASSEMBLIES.WALLS_ON_BOTTOM ? height - bottomInches : height;
+        const sidesBetween = sides === SIDE_ASSEMBLIES.SIDES_BETWEEN;
+
+        const panels = [
+            {
+                name: 'Front/Back',
+                count: 2,
+                cutWidth: sidesBetween ? width : innerWidth,
+                cutHeight: wallHeight,
+                thicknessMm: frontPanel.thicknessMm
+            },
+            {
+                name: 'Side',
+                count: 2,
+                cutWidth: sidesBetween ? innerLength : length,
+                cutHeight: wallHeight,
+                thicknessMm: sidePanel.thicknessMm
+            },
+            {
+                name: 'Bottom',
+                count: 1,
+                cutWidth: bottom === BOTTOM_ASSEMBLIES.WALLS_ON_BOTTOM ? width : innerWidth,
+                cutHeight: bottom === BOTTOM_ASSEMBLIES.WALLS_ON_BOTTOM ? length : innerLength,
+                thicknessMm: bottomPanel.thicknessMm
+            }
+        ];
+
+        // One bead up each inside corner and one around the inside of the bottom
+        const innerHeight = height - bottomInches;
+        let siliconeLength = 4 * innerHeight + 2 * (innerWidth + innerLength);
+
+        if (bracing && bracing.braceWidth > 0) {
+            const braceWidth = bracing.braceWidth;
+            const sideBraceLength = innerLength - 2 * braceWidth;
+
+            panels.push(
+                { name: 'Brace (front/back)', count: 2, cutWidth: innerWidth, cutHeight: braceWidth, thicknessMm: bracing.braceThicknessMm },
+                { name: 'Brace (side)', count: 2, cutWidth: sideBraceLength, cutHeight: braceWidth, thicknessMm: bracing.braceThicknessMm }
+            );
+            siliconeLength += 2 * innerWidth + 2 * sideBraceLength;
+
+            if (bracing.centerBrace) {
+                panels.push({ name: 'Center brace', count: 1, cutWidth: sideBraceLength, cutHeight: braceWidth, thicknessMm: bracing.braceThicknessMm });
+                siliconeLength += 2 * braceWidth;
+            }
+        }
+
+        return { panels, siliconeLength, notes: [] };
+    }
+
+    /**
+     * Approximate cut sizes for non-rectangular tanks, taken from the outside outline
+     * @param {number} length - External length in inches
+     * @param {number} width - External width in inches
+     * @param {number} wallHeight - Wall panel height in inches
+     * @param {TankShape} shape - Tank shape
+     * @param {Array} walls - Wall panels from the schedule
+     * @param {object} bottomPanel - Bottom panel from the schedule
+     * @returns {object} { panels, siliconeLength, notes }
+     */
+    getShapedLayout(length, width, wallHeight, shape, walls, bottomPanel) {
+        const panels = walls.map(panel => ({
+            name: panel.name,
+            count: panel.count,
+            cutWidth: panel.width,
+            cutHeight: wallHeight,
+            thicknessMm: panel.thicknessMm
+        }));
+        panels.push({
+            name: bottomPanel.name,
+            count: 1,
+            cutWidth: bottomPanel.width,
+            cutHeight: bottomPanel.height,
+            thicknessMm: bottomPanel.thicknessMm
+        });
+
+        // Every wall panel meets its neighbour at one vertical joint
+        const jointCount = walls.reduce((total, panel) => total + panel.count, 0);
+        const notes = ['Non-rectangular shape: sizes are taken from the outside outline - trim for joints and cut the bottom to a template'];
+        if (walls.some(panel => panel.curved)) {
+            notes.push('Curved panels are listed by arc length and must be bent by a specialist');
+        }
+
+        return {
+            panels: panels,
+            siliconeLength: jointCount * wallHeight + shape.getPerimeter(length, width),
+            notes: notes
+        };
+    }
+
+    /**
+     * Export a cut list as CSV
+     * @param {object} cutList - Result of generate()
+     * @param {boolean} isMetric - Use mm and kg instead of inches and lb
+     * @returns {string} CSV text with a header row and a totals row
+     */
+    toCSV(cutList, isMetric = false) {
+        const units = this.getUnits(isMetric);
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [[
+            'Panel', 'Count', `Width (${units.length})`, `Height (${units.length})`, 'Thickness (mm)',
+            `Area (${units.area})`, `Weight (${units.weight})`, `Edge polish (${units.run})`
+        ]];
+
+        cutList.rows.forEach(row => {
+            lines.push([
+                row.name, row.count, units.formatLength(row.cutWidth), units.formatLength(row.cutHeight), row.thicknessMm,
+                units.formatArea(row.areaSqIn), units.formatWeight(row.weightKg), units.formatRun(row.polishLength)
+            ]);
+        });
+
+        const totals = cutList.totals;
+        lines.push([
+            'Total', totals.count, '', '', '',
+            units.formatArea(totals.areaSqIn), units.formatWeight(totals.weightKg), units.formatRun(totals.polishLength)
+        ]);
+        lines.push(['Silicone bead', '', '', '', '', '', '', units.formatRun(totals.siliconeLength)]);
+
+        return lines.map(line => line.map(escape).join(',')).join('\n');
+    }
+
+    /**
+     * Export a cut list as fixed-width text for printing
+     * @param {object} cutList - Result of generate()
+     * @param {boolean} isMetric - Use mm and kg instead of inches and lb
+     * @param {string} title - Heading line (default: 'Glass cut list')
+     * @returns {string} Plain text table
+     */
+    toText(cutList, isMetric = false, title = 'Glass cut list') {
+        const units = this.getUnits(isMetric);
+        const widths = [Math.max(5, ...cutList.rows.map(row => row.name.length)), 5, 20, 9, 11, 12];
+        const line = (cells) => cells.map((cell, i) => i === 0 ?
+            String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i])).join('  ');
+
+        const rows = [
+            title,
+            '='.repeat(title.length),
+            '',
+            line(['Panel', 'Count', `Cut size (${units.length})`, 'Thickness', `Area (${units.area})`, `Weight (${units.weight})`]),
+            ...cutList.rows.map(row => line([
+                row.name,
+                row.count,
+                `${units.formatLength(row.cutWidth)} × ${units.formatLength(row.cutHeight)}`,
+                `${row.thicknessMm} mm`,
+                units.formatArea(row.areaSqIn),
+                units.formatWeight(row.weightKg)
+            ])),
+            '',
+            `Total panels:   ${cutList.totals.count}`,
+            `Total area:     ${units.formatArea(cutList.totals.areaSqIn)} ${units.area}`,
+            `Total weight:   ${units.formatWeight(cutList.totals.weightKg)} ${units.weight}`,
+            `Edge polish:    ${units.formatRun(cutList.totals.polishLength)} ${units.run}`,
+            `Silicone bead:  ${units.formatRun(cutList.totals.siliconeLength)} ${units.run}`
+        ];
+
+        if (cutList.notes.length > 0) {
+            rows.push('', ...cutList.notes.map(note => `* ${note}`));
+        }
+
+        return rows.join('\n');
+    }
+
+    /**
+     * Get unit labels and formatters for export
+     * @param {boolean} isMetric - Use metric units
+     * @returns {object} Labels and formatters for lengths, areas, weights and edge runs
+     */
+    getUnits(isMetric) {
+        if (isMetric) {
+            return {
+                length: 'mm',
+                area: 'm²',
+                weight: 'kg',
+                run: 'm',
+                formatLength: (inches) => Math.round(inches * MM_PER_INCH),
+                formatArea: (sqIn) => (sqIn / 144 * CONVERSIONS.SQFT_TO_SQM).toFixed(3),
+                formatWeight: (kg) => kg.toFixed(1),
+                formatRun: (inches) => (inches * MM_PER_INCH / 1000).toFixed(2)
+            };
+        }
+
+        return {
+            length: 'in',
+            area: 'ft²',
+            weight: 'lb',
+            run: 'ft',
+            formatLength: (inches) => (Math.round(inches * 16) / 16).toFixed(4).replace(/\.?0+$/, ''), // 1/16" is 0.0625
+            formatArea: (sqIn) => (sqIn / 144).toFixed(2),
+            formatWeight: (kg) => (kg * CONVERSIONS.KG_TO_LB).toFixed(1),
+            formatRun: (inches) => (inches / 12).toFixed(1)
+        };
+    }
+}
@@ -1,102 +1,501 @@
 // Reverse calculator: Find dimensions for a target volume
+import { OPTIMIZER_OBJECTIVES, OPTIMIZER_DEFAULTS, FINDER_UNIT_SETTINGS, UNIT_SYSTEMS, VOLUME_UNITS, CONVERSIONS } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { GlassRecommender } from './glass-recommendations.js';
+import { PlacementConstraints } from './placement-constraints.js';
+import { TankCatalog } from './tank-catalog.js';
+
+// Score key for each objective. Scores are compared lower-is-better unless maximize is set.
+const OBJECTIVES = {
+    [OPTIMIZER_OBJECTIVES.GLASS_AREA]: { key: 'glassAreaSqFt' },
+    [OPTIMIZER_OBJECTIVES.GLASS_COST]: { key: 'glassCost' },
+    [OPTIMIZER_OBJECTIVES.SURFACE_AREA]: { key: 'surfaceAreaSqIn', maximize: true },
+    [OPTIMIZER_OBJECTIVES.GLASS_THICKNESS]: { key: 'requiredThicknessMm' },
+    [OPTIMIZER_OBJECTIVES.ASPECT_RATIO]: { key: 'aspectDeviation' }
+};
+
 export class DimensionFinder {
-    constructor() {
-        this.minDimension = 10; // Minimum dimension in inches
-        this.maxDimension = 120; // Maximum dimension in inches
+    /**
+     * @param {GlassRecommender} recommender - Recommender used for glass area, cost and thickness scores
+     * @param {TankCatalog} catalog - Catalog of standard sizes used for popular presets
+     */
+    constructor(recommender = new GlassRecommender(), catalog = new TankCatalog()) {
         this.tolerancePercent = 0.1; // 10% tolerance for volume matching
+        this.recommender = recommender;
+        this.catalog = catalog;
+        this.shape = new TankShape();
     }
 
     /**
-     * Find dimension combinations for a target volume
-     * @param {number} targetVolumeGallons - Target volume in gallons
-     * @param {object} constraints - Optional constraints (maxWidth, maxLength, maxHeight)
+     * Find the Pareto-optimal dimension sets for a target volume. Volume error is always
+     * an objective, so the set trades closeness to the target against the chosen objectives.
+     * @param {number} targetVolume - Target volume in options.volumeUnit (default: gallons)
+     * @param {object} constraints - Optional size limits (maxWidth, maxLength, maxHeight) plus
+     *   the placement limits accepted by PlacementConstraints, lengths in options.unitSystem
      * @param {number} maxResults - Maximum number of results to return (default: 10)
-     * @returns {Array} Array of dimension objects sorted by closeness to target volume
-     */
-    findDimensions(targetVolumeGallons, constraints = {}, maxResults = 10) {
-        const targetLiters = targetVolumeGallons / 0.264172; // Convert to liters for calculation
-        const results = [];
-
-        const maxWidth = constraints.maxWidth || this.maxDimension;
-        const maxLength = constraints.maxLength || this.maxDimension;
-        const maxHeight = constraints.maxHeight || 60; // Default max height 60 inches
-
-        // Iterate through reasonable dimension ranges
-        const widthRange = this.getDimensionRange(this.minDimension, maxWidth);
-        const lengthRange = this.getDimensionRange(this.minDimension, maxLength);
-        const heightRange = this.getDimensionRange(12, maxHeight); // Minimum 12 inches height
-
-        for (const width of widthRange) {
-            for (const length of lengthRange) {
-                for (const height of heightRange) {
-                    const volume = this.calculateVolume(length, width, height);
-                    const volumeGallons = volume * 0.264172;
-
-                    const difference = Math.abs(volumeGallons - targetVolumeGallons);
-                    const percentDifference = (difference / targetVolumeGallons) * 100;
-
-                    if (percentDifference <= this.tolerancePercent * 100) {
-                        results.push({
-                            width: Math.round(width),
-                            length: Math.round(length),
-                            height: Math.round(height),
-                            volumeGallons: volumeGallons.toFixed(1),
-                            percentDifference: percentDifference.toFixed(1),
-                            aspectRatio: this.getAspectRatio(length, width, height),
-                            footprint: Math.round(length * width),
-                            depth: Math.round(height)
-                        });
+     * @param {object} options - Search options (see search)
+     * @returns {Array} Pareto-optimal dimension objects with their objective scores, best balanced first
+     */
+    findDimensions(targetVolume, constraints = {}, maxResults = 10, options = {}) {
+        return this.search(targetVolume, constraints, maxResults, options).results;
+    }
+
+    /**
+     * Search for dimension sets and explain the best ones rejected by placement limits
+     * @param {number} targetVolume - Target volume in options.volumeUnit (default: gallons)
+     * @param {object} constraints - Optional size limits (maxWidth, maxLength, maxHeight) plus
+     *   the placement limits accepted by PlacementConstraints, lengths in options.unitSystem
+     * @param {number} maxResults - Maximum number of results (and rejected sizes) to return
+     * @param {object} options - Search options
+     * @param {string} options.unitSystem - UNIT_SYSTEMS for lengths in and out (default: imperial)
+     * @param {string} options.volumeUnit - VOLUME_UNITS for volumes in and out (default: gallons)
+     * @param {Array} options.objectives - OPTIMIZER_OBJECTIVES to optimise (default: cost and surface area)
+     * @param {number} options.step - Grid step in inches or cm, raised to the unit system's MIN_GRID_STEP;
+     *   0 or omitted searches continuously
+     * @param {number} options.preferredAspectRatio - Preferred front width to depth ratio
+     * @param {object} options.glassOptions - Glass options passed to the recommender
+     * @returns {object} { results, rejected, violationCounts, step } where rejected sizes carry their violations,
+     *   violationCounts tallies how many candidates each PLACEMENT_CONSTRAINTS id ruled out and step is the
+     *   grid step searched (0 for a continuous search)
+     */
+    search(targetVolume, constraints = {}, maxResults = 10, options = {}) {
+        const glassOptions = options.glassOptions ?? {};
+        const unitSystem = FINDER_UNIT_SETTINGS[options.unitSystem] ? options.unitSystem : UNIT_SYSTEMS.IMPERIAL;
+        const volumeUnit = options.volumeUnit ?? VOLUME_UNITS.GALLONS;
+        const units = {
+            system: unitSystem,
+            volumeUnit: volumeUnit,
+            settings: FINDER_UNIT_SETTINGS[unitSystem],
+            toInches: (value) => unitSystem === UNIT_SYSTEMS.METRIC ? value / CONVERSIONS.INCHES_TO_CM : value
+        };
+        const state = {
+            targetLiters: this.toLiters(targetVolume, volumeUnit),
+            units: units,
+            bounds: this.getBounds(constraints, units.settings),
+            settings: {
+                objectives: (options.objectives ?? OPTIMIZER_DEFAULTS.OBJECTIVES).filter(id => {
+                    if (!OBJECTIVES[id]) {
+                        console.warn(`Unknown optimizer objective: ${id}`);
+                        return false;
                     }
+                    return true;
+                }),
+                preferredAspectRatio: options.preferredAspectRatio ?? OPTIMIZER_DEFAULTS.PREFERRED_ASPECT_RATIO,
+                glassOptions: glassOptions,
+                units: units
+            },
+            placement: new PlacementConstraints(this.getPlacementInInches(constraints, units), glassOptions),
+            front: [],
+            rejected: [],
+            violationCounts: {}
+        };
+
+        const step = options.step > 0 ? Math.max(options.step, units.settings.MIN_GRID_STEP) : 0;
+        if (step > 0) {
+            this.searchGrid(state, step);
+        } else {
+            this.searchContinuous(state, maxResults);
+        }
+
+        const format = (candidate) => this.formatResult(candidate, state);
+        const spacing = units.settings.RESULT_SPACING;
+        return {
+            results: this.selectResults(state.front, maxResults, spacing).map(format),
+            rejected: this.selectResults(state.rejected, maxResults, spacing).map(candidate => ({
+                ...format(candidate),
+                violations: candidate.violations
+            })),
+            violationCounts: state.violationCounts,
+            step: step
+        };
+    }
+
+    /**
+     * Evaluate a candidate and add it to the feasible front or the rejected front
+     * @param {object} state - Search state from search()
+     * @param {number} width - Width in search units
+     * @param {number} length - Length in search units
+     * @param {number} height - Height in search units
+     */
+    consider(state, width, length, height) {
+        const { toInches } = state.units;
+        const candidate = this.evaluateCandidate(width, length, height, state.targetLiters, state.settings);
+        const violations = state.placement.check(toInches(width), toInches(length), toInches(height), candidate.liters);
+
+        if (violations.length === 0) {
+            state.front = this.addToFront(state.front, candidate);
+            return;
+        }
+
+        new Set(violations.map(v => v.constraint)).forEach(constraint => {
+            state.violationCounts[constraint] = (state.violationCounts[constraint] ?? 0) + 1;
+        });
+        // Fewer broken limits is an extra objective, so near-misses rank first
+        state.rejected = this.addToFront(state.rejected, {
+            ...candidate,
+            violations: violations,
+            values: [...candidate.values, violations.length]
+        });
+    }
+
+    /**
+     * Get the search bounds from user constraints
+     * @param {object} constraints - Optional constraints (maxWidth, maxLength, maxHeight) in search units
+     * @param {object} settings - FINDER_UNIT_SETTINGS entry for the search units
+     * @returns {object} Min and max width, length and height in search units
+     */
+    getBounds(constraints, settings) {
+        return {
+            minWidth: settings.MIN_DIMENSION,
+            maxWidth: constraints.maxWidth || settings.MAX_DIMENSION,
+            minLength: settings.MIN_DIMENSION,
+            maxLength: constraints.maxLength || settings.MAX_DIMENSION,
+            minHeight: settings.MIN_HEIGHT,
+            maxHeight: constraints.maxHeight || settings.MAX_HEIGHT
+        };
+    }
+
+    /**
+     * Convert placement limits from search units to the inches PlacementConstraints expects
+     * @param {object} constraints - Placement limits in search units (weight stays in kg)
+     * @param {object} units - Search units from search()
+     * @returns {object} Placement limits in inches
+     */
+    getPlacementInInches(constraints, { toInches }) {
+        const convert = (value) => value > 0 ? toInches(value) : undefined;
+        return {
+            ...constraints,
+            doorwayWidth: convert(constraints.doorwayWidth),
+            doorwayHeight: convert(constraints.doorwayHeight),
+            minLength: convert(constraints.minLength),
+            stand: constraints.stand && {
+                width: convert(constraints.stand.width),
+                length: convert(constraints.stand.length)
+            }
+        };
+    }
+
+    /**
+     * Evaluate every footprint on a fixed grid
+     * @param {object} state - Search state from search()
+     * @param {number} step - Grid step in search units
+     */
+    searchGrid(state, step) {
+        const { bounds, targetLiters, units } = state;
+
+        for (const width of this.getDimensionRange(bounds.minWidth, bounds.maxWidth, step)) {
+            for (const length of this.getDimensionRange(bounds.minLength, bounds.maxLength, step)) {
+                for (const height of this.getCandidateHeights(width, length, targetLiters, bounds, step, units)) {
+                    this.consider(state, width, length, height);
                 }
             }
         }
+    }
 
-        // Sort by how close they are to target volume
-        results.sort((a, b) => {
-            return parseFloat(a.percentDifference) - parseFloat(b.percentDifference);
-        });
+    /**
+     * Search a coarse grid, then repeatedly halve the step around the best front members
+     * @param {object} state - Search state from search()
+     * @param {number} maxResults - Number of results the caller will keep
+     */
+    searchContinuous(state, maxResults) {
+        const { bounds, targetLiters, units } = state;
+        const { COARSE_STEP, MIN_STEP, ROUNDING, RESULT_SPACING } = units.settings;
+        const visited = new Set();
+
+        const visit = (width, length) => {
+            const key = `${width}x${length}`;
+            if (visited.has(key)) return;
+            visited.add(key);
+
+            for (const height of this.getCandidateHeights(width, length, targetLiters, bounds, 0, units)) {
+                this.consider(state, width, length, height);
+            }
+        };
 
-        // Return unique results (avoid duplicates)
-        return this.getUniqueResults(results, maxResults);
+        for (const width of this.getDimensionRange(bounds.minWidth, bounds.maxWidth, COARSE_STEP)) {
+            for (const length of this.getDimensionRange(bounds.minLength, bounds.maxLength, COARSE_STEP)) {
+                visit(width, length);
+            }
+        }
+
+        for (let step = COARSE_STEP / 2; step >= MIN_STEP; step /= 2) {
+            // Refine around near-misses too, so the closest rejected sizes are well placed
+            const seeds = [
+                ...this.selectResults(state.front, maxResults * 2, RESULT_SPACING),
+                ...this.selectResults(state.rejected, maxResults, RESULT_SPACING)
+            ];
+
+            for (const seed of seeds) {
+                for (const dw of [-step, 0, step]) {
+                    for (const dl of [-step, 0, step]) {
+                        const width = this.roundTo(seed.width + dw, ROUNDING);
+                        const length = this.roundTo(seed.length + dl, ROUNDING);
+                        if (width < bounds.minWidth || width > bounds.maxWidth ||
+                            length < bounds.minLength || length > bounds.maxLength) continue;
+                        visit(width, length);
+                    }
+                }
+            }
+        }
     }
 
     /**
-     * Get dimension range with reasonable step sizes
+     * Get dimension values from min to max at a fixed step, always including max
      * @param {number} min - Minimum dimension
      * @param {number} max - Maximum dimension
+     * @param {number} step - Step in search units
      * @returns {Array} Array of dimension values
      */
-    getDimensionRange(min, max) {
+    getDimensionRange(min, max, step) {
         const range = [];
-        let current = min;
-
-        while (current <= max) {
-            range.push(current);
-            // Use larger step sizes for larger dimensions
-            if (current < 24) {
-                current += 2;
-            } else if (current < 48) {
-                current += 4;
-            } else {
-                current += 6;
-            }
+
+        for (let i = 0; min + i * step <= max; i++) {
+            range.push(this.roundTo(min + i * step, 0.001));
+        }
+        if (range[range.length - 1] < max) {
+            range.push(max);
         }
 
         return range;
     }
 
     /**
-     * Calculate volume in liters from dimensions (inches)
-     * @param {number} length - Length in inches
-     * @param {number} width - Width in inches
-     * @param {number} height - Height in inches
+     * Get heights that bring a footprint within the volume tolerance
+     * @param {number} width - Width in search units
+     * @param {number} length - Length in search units
+     * @param {number} targetLiters - Target volume in liters
+     * @param {object} bounds - Search bounds from getBounds
+     * @param {number} step - Grid step in search units; 0 samples the tolerance band evenly
+     * @param {object} units - Search units from search()
+     * @returns {Array} Heights in search units
+     */
+    getCandidateHeights(width, length, targetLiters, bounds, step, units) {
+        const exactHeight = targetLiters / this.calculateVolume(length, width, 1, units.system);
+        let heights;
+
+        if (step > 0) {
+            // Every grid height inside the tolerance band
+            const first = Math.ceil(exactHeight * (1 - this.tolerancePercent) / step);
+            const last = Math.floor(exactHeight * (1 + this.tolerancePercent) / step);
+            heights = [];
+            for (let i = first; i <= last; i++) {
+                heights.push(this.roundTo(i * step, 0.001));
+            }
+        } else {
+            const samples = OPTIMIZER_DEFAULTS.VOLUME_STEPS;
+            heights = [];
+            for (let i = -samples; i <= samples; i++) {
+                heights.push(this.roundTo(exactHeight * (1 + this.tolerancePercent * i / samples), units.settings.ROUNDING));
+            }
+        }
+
+        return heights.filter(height => height >= bounds.minHeight && height <= bounds.maxHeight);
+    }
+
+    /**
+     * Score a candidate against volume error and the selected objectives
+     * @param {number} width - Width in search units
+     * @param {number} length - Length in search units
+     * @param {number} height - Height in search units
+     * @param {number} targetLiters - Target volume in liters
+     * @param {object} settings - Objectives, preferred aspect ratio, glass options and search units
+     * @returns {object} Candidate with dimensions, scores and comparable objective values
+     */
+    evaluateCandidate(width, length, height, targetLiters, settings) {
+        const { system, toInches } = settings.units;
+        const liters = this.calculateVolume(length, width, height, system);
+        // Glass sizing works in inches whatever the search units
+        const [widthIn, lengthIn, heightIn] = [width, length, height].map(toInches);
+        const scores = {
+            volumeErrorPercent: Math.abs(liters - targetLiters) / targetLiters * 100
+        };
+        const selected = new Set(settings.objectives);
+
+        if (selected.has(OPTIMIZER_OBJECTIVES.GLASS_AREA) || selected.has(OPTIMIZER_OBJECTIVES.GLASS_COST)) {
+            const estimate = this.recommender.estimateCost(lengthIn, widthIn, heightIn, this.shape, settings.glassOptions);
+            scores.glassAreaSqFt = estimate.areaSqFt;
+            scores.glassCost = estimate.cost;
+        }
+        if (selected.has(OPTIMIZER_OBJECTIVES.SURFACE_AREA)) {
+            scores.surfaceAreaSqIn = lengthIn * widthIn;
+        }
+        if (selected.has(OPTIMIZER_OBJECTIVES.GLASS_THICKNESS)) {
+            // Required rather than standard thickness, so the score varies smoothly
+            const engineering = this.recommender.getEngineeringRecommendation(lengthIn, widthIn, heightIn, this.shape, settings.glassOptions);
+            scores.requiredThicknessMm = Math.max(...engineering.panels.map(panel => panel.requiredMm));
+        }
+        if (selected.has(OPTIMIZER_OBJECTIVES.ASPECT_RATIO)) {
+            scores.aspectDeviation = Math.abs(Math.log((width / length) / settings.preferredAspectRatio));
+        }
+
+        return {
+            width: width,
+            length: length,
+            height: height,
+            liters: liters,
+            scores: scores,
+            values: [
+                scores.volumeErrorPercent,
+                ...settings.objectives.map(id => {
+                    const objective = OBJECTIVES[id];
+                    return objective.maximize ? -scores[objective.key] : scores[objective.key];
+                })
+            ]
+        };
+    }
+
+    /**
+     * Check whether one candidate Pareto-dominates another
+     * @param {object} a - Candidate
+     * @param {object} b - Candidate
+     * @returns {boolean} True if a is no worse on every objective and better on at least one
+     */
+    dominates(a, b) {
+        let better = false;
+        for (let i = 0; i < a.values.length; i++) {
+            if (a.values[i] > b.values[i]) return false;
+            if (a.values[i] < b.values[i]) better = true;
+        }
+        return better;
+    }
+
+    /**
+     * Add a candidate to a Pareto front, dropping members it dominates
+     * @param {Array} front - Current front
+     * @param {object} candidate - Evaluated candidate
+     * @returns {Array} Updated front
+     */
+    addToFront(front, candidate) {
+        if (front.some(member => this.dominates(member, candidate) ||
+            member.values.every((value, i) => value === candidate.values[i]))) {
+            return front;
+        }
+        return [...front.filter(member => !this.dominates(candidate, member)), candidate];
+    }
+
+    /**
+     * Order a front by the sum of objective values normalised across the front
+     * @param {Array} front - Pareto front
+     * @returns {Array} Front sorted best balanced first, ties broken by volume error
+     */
+    rankFront(front) {
+        if (front.length === 0) return [];
+        const count = front[0].values.length;
+        const min = Array.from({ length: count }, (_, i) => Math.min(...front.map(c => c.values[i])));
+        const max = Array.from({ length: count }, (_, i) => Math.max(...front.map(c => c.values[i])));
+
+        const balance = (candidate) => candidate.values.reduce((total, value, i) =>
+            total + (max[i] > min[i] ? (value - min[i]) / (max[i] - min[i]) : 0), 0);
+
+        return front
+            .map(candidate => ({ candidate, score: balance(candidate) }))
+            .sort((a, b) => a.score - b.score || a.candidate.values[0] - b.candidate.values[0])
+            .map(entry => entry.candidate);
+    }
+
+    /**
+     * Pick a spread of front members: the best balanced one, the best for each objective,
+     * then the next best balanced ones that differ from those already picked
+     * @param {Array} front - Pareto front
+     * @param {number} maxResults - Maximum number of members to pick
+     * @param {number} spacing - Members closer than this in every dimension count as duplicates
+     * @returns {Array} Picked members
+     */
+    selectResults(front, maxResults, spacing) {
+        const ranked = this.rankFront(front);
+        if (ranked.length === 0) return [];
+
+        const extremes = ranked[0].values.map((_, i) =>
+            ranked.reduce((best, candidate) => candidate.values[i] < best.values[i] ? candidate : best));
+        const picked = [];
+        const isSimilar = (a, b) => ['width', 'length', 'height'].every(dim =>
+            Math.abs(a[dim] - b[dim]) < spacing);
+
+        for (const candidate of [ranked[0], ...extremes]) {
+            if (picked.length < maxResults && !picked.includes(candidate)) picked.push(candidate);
+        }
+        for (const candidate of ranked) {
+            if (picked.length >= maxResults) break;
+            if (!picked.some(member => isSimilar(member, candidate))) picked.push(candidate);
+        }
+        // Fall back to near-duplicates if the front is too small to spread out
+        for (const candidate of ranked) {
+            if (picked.length >= maxResults) break;
+            if (!picked.includes(candidate)) picked.push(candidate);
+        }
+
+        return picked;
+    }
+
+    /**
+     * Format a candidate as a finder result
+     * @param {object} candidate - Evaluated candidate
+     * @param {object} state - Search state from search()
+     * @returns {object} Dimensions and volume in the search units, aspect description and objective scores
+     */
+    formatResult(candidate, state) {
+        const { width, length, height } = candidate;
+        const { system, volumeUnit } = state.units;
+
+        return {
+            width: width,
+            length: length,
+            height: height,
+            unit: system === UNIT_SYSTEMS.METRIC ? 'cm' : 'in',
+            volume: this.roundTo(this.fromLiters(candidate.liters, volumeUnit), 0.1),
+            volumeUnit: volumeUnit,
+            percentDifference: (Math.abs(candidate.liters - state.targetLiters) / state.targetLiters * 100).toFixed(1),
+            aspectRatio: this.getAspectRatio(length, width, height),
+            footprint: Math.round(length * width),
+            depth: height,
+            scores: candidate.scores
+        };
+    }
+
+    /**
+     * Round a value to a multiple of an increment, removing floating point noise
+     * @param {number} value - Value to round
+     * @param {number} increment - Increment, e.g. 0.5
+     * @returns {number} Rounded value
+     */
+    roundTo(value, increment) {
+        return Math.round(Math.round(value / increment) * increment * 1000) / 1000;
+    }
+
+    /**
+     * Convert a volume to liters
+     * @param {number} volume - Volume in volumeUnit
+     * @param {string} volumeUnit - One of VOLUME_UNITS
      * @returns {number} Volume in liters
      */
-    calculateVolume(length, width, height) {
-        // Convert inches to cm
-        const lengthCm = length * 2.54;
-        const widthCm = width * 2.54;
-        const heightCm = height * 2.54;
+    toLiters(volume, volumeUnit) {
+        return volumeUnit === VOLUME_UNITS.LITERS ? volume : volume / CONVERSIONS.GALLONS_TO_LITERS;
+    }
+
+    /**
+     * Convert liters to a volume unit
+     * @param {number} liters - Volume in liters
+     * @param {string} volumeUnit - One of VOLUME_UNITS
+     * @returns {number} Volume in volumeUnit
+     */
+    fromLiters(liters, volumeUnit) {
+        return volumeUnit === VOLUME_UNITS.LITERS ? liters : liters * CONVERSIONS.GALLONS_TO_LITERS;
+    }
+
+    /**
+     * Calculate volume in liters from dimensions
+     * @param {number} length - Length in inches or cm
+     * @param {number} width - Width in inches or cm
+     * @param {number} height - Height in inches or cm
+     * @param {string} unitSystem - UNIT_SYSTEMS of the dimensions (default: imperial)
+     * @returns {number} Volume in liters
+     */
+    calculateVolume(length, width, height, unitSystem = UNIT_SYSTEMS.IMPERIAL) {
+        // Convert to cm
+        const factor = unitSystem === UNIT_SYSTEMS.METRIC ? 1 : CONVERSIONS.INCHES_TO_CM;
+        const lengthCm = length * factor;
+        const widthCm = width * factor;
+        const heightCm = height * factor;
 
         // Volume in cm³
         const volumeCm3 = lengthCm * widthCm * heightCm;
@@ -129,31 +528,6 @@ export class DimensionFinder {
         }
     }
 
-    /**
-     * Remove duplicate or very similar results
-     * @param {Array} results - Array of results
-     * @param {number} maxResults - Maximum results to return
-     * @returns {Array} Unique results
-     */
-    getUniqueResults(results, maxResults) {
-        const unique = [];
-        const seen = new Set();
-
-        for (const result of results) {
-            const key = `${result.width}x${result.length}x${result.height}`;
-            if (!seen.has(key)) {
-                seen.add(key);
-                unique.push(result);
-
-                if (unique.length >= maxResults) {
-                    break;
-                }
-            }
-        }
-
-        return unique;
-    }
-
     /**
      * Get category for tank size
      * @param {number} volumeGallons - Volume in gallons
@@ -168,31 +542,29 @@ export class DimensionFinder {
     }
 
     /**
-     * Get popular tank presets for a volume
-     * @param {number} volumeGallons - Target volume in gallons
-     * @returns {Array} Array of popular tank dimensions
-     */
-    getPopularPresets(volumeGallons) {
-        const presets = [
-            { name: '10 Gallon', width: 20, length: 10, height: 12, volume: 10 },
-            { name: '20 Gallon Long', width: 30, length: 12, height: 12, volume: 20 },
-            { name: '20 Gallon High', width: 24, length: 12, height: 16, volume: 20 },
-            { name: '29 Gallon', width: 30, length: 12, height: 18, volume: 29 },
-            { name: '30 Gallon', width: 36, length: 12, height: 16, volume: 30 },
-            { name: '40 Gallon Breeder', width: 36, length: 18, height: 16, volume: 40 },
-            { name: '40 Gallon Long', width: 48, length: 12, height: 16, volume: 40 },
-            { name: '55 Gallon', width: 48, length: 12, height: 21, volume: 55 },
-            { name: '75 Gallon', width: 48, length: 18, height: 21, volume: 75 },
-            { name: '90 Gallon', width: 48, length: 18, height: 24, volume: 90 },
-            { name: '120 Gallon', width: 48, length: 24, height: 24, volume: 120 },
-            { name: '125 Gallon', width: 72, length: 18, height: 21, volume: 125 },
-            { name: '150 Gallon', width: 72, length: 18, height: 24, volume: 150 },
-            { name: '180 Gallon', width: 72, length: 24, height: 24, volume: 180 }
-        ];
-
-        const tolerance = volumeGallons * 0.2; // 20% tolerance
-        return presets.filter(preset => {
-            return Math.abs(preset.volume - volumeGallons) <= tolerance;
-        });
+     * Get catalog tanks near a volume. Metric searches get catalog sizes measured in cm
+     * rather than converted US sizes.
+     * @param {number} volume - Target volume in options.volumeUnit (default: gallons)
+     * @param {object} options - { unitSystem, volumeUnit } (default: imperial, gallons)
+     * @returns {Array} Catalog tanks with actual dimensions and nominal volume in the requested units
+     */
+    getPopularPresets(volume, options = {}) {
+        const volumeUnit = options.volumeUnit ?? VOLUME_UNITS.GALLONS;
+        const unit = options.unitSystem === UNIT_SYSTEMS.METRIC ? 'cm' : 'in';
+        const targetLiters = this.toLiters(volume, volumeUnit);
+
+        const tolerance = targetLiters * 0.2; // 20% tolerance
+        return this.catalog.search({ minLiters: targetLiters - tolerance, maxLiters: targetLiters + tolerance })
+            .filter(entry => entry.actual.unit === unit)
+            .map(entry => ({
+                id: entry.id,
+                name: `${entry.manufacturer} ${entry.name}`,
+                width: entry.actual.width,
+                length: entry.actual.length,
+                height: entry.actual.height,
+                unit: unit,
+                volume: this.roundTo(this.fromLiters(this.catalog.getLiters(entry), volumeUnit), 0.1),
+                volumeUnit: volumeUnit
+            }));
     }
 }
@@ -0,0 +1,108 @@
+// Water volume after glass, freeboard, substrate and rock displacement
+import { CONVERSIONS, DENSITIES, DISPLACEMENT_DEFAULTS } from './constants.js';
+import { TankShape } from './tank-shape.js';
+
+const CM3_PER_CUBIC_INCH = CONVERSIONS.INCHES_TO_CM ** 3;
+
+export class DisplacementModel {
+    /**
+     * @param {number} substratePorosity - Fraction of substrate volume that holds water
+     */
+    constructor(substratePorosity = DISPLACEMENT_DEFAULTS.SUBSTRATE_POROSITY) {
+        this.substratePorosity = substratePorosity;
+    }
+
+    /**
+     * Calculate water volume and what displaces it
+     * @param {object} options - Tank and contents
+     * @param {number} options.length - External length in inches
+     * @param {number} options.width - External width in inches
+     * @param {number} options.height - External height in inches
+     * @param {TankShape} options.shape - Tank shape (default: rectangular)
+     * @param {number} options.glassThicknessMm - Wall glass thickness in mm
+     * @param {number} options.bottomThicknessMm - Bottom glass thickness in mm (default: wall thickness)
+     * @param {number} options.substrateDepth - Substrate depth in inches
+     * @param {number} options.rockKg - Rock weight in kg
+     * @param {number} options.freeboard - Gap between water surface and rim in inches
+     * @returns {object} Geometric and water volume with displacement breakdown, in liters
+     */
+    calculate({
+        length,
+        width,
+        height,
+        shape = new TankShape(),
+        glassThicknessMm = 0,
+        bottomThicknessMm = glassThicknessMm,
+        substrateDepth = 0,
+        rockKg = 0,
+        freeboard = 0
+    }) {
+        const glassInches = glassThicknessMm / 10 / CONVERSIONS.INCHES_TO_CM;
+        const bottomInches = bottomThicknessMm / 10 / CONVERSIONS.INCHES_TO_CM;
+        const toLiters = (cubicInches) => (cubicInches * CM3_PER_CUBIC_INCH) / 1000;
+
+        // Walls take glass off each side of the footprint, the bottom panel off the height
+        const innerArea = shape.getBaseArea(
+            Math.max(0, length - 2 * glassInches),
+            Math.max(0, width - 2 * glassInches)
+        );
+        const innerHeight = Math.max(0, height - bottomInches);
+
+        const geometricLiters = toLiters(shape.getBaseArea(length, width) * height);
+        const glassLiters = geometricLiters - toLiters(innerArea * innerHeight);
+        const freeboardLiters = toLiters(innerArea * Math.min(freeboard, innerHeight));
+        const substrateLiters = toLiters(innerArea * substrateDepth) * (1 - this.substratePorosity);
+        const rockLiters = rockKg / DENSITIES.ROCK;
+
+        const displacedLiters = glassLiters + freeboardLiters + substrateLiters + rockLiters;
+        const waterLiters = Math.max(0, geometricLiters - displacedLiters);
+
+        return {
+            geometricLiters: geometricLiters,
+            glassLiters: glassLiters,
+            freeboardLiters: freeboardLiters,
+            substrateLiters: substrateLiters,
+            rockLiters: rockLiters,
+            displacedLiters: displacedLiters,
+            waterLiters: waterLiters,
+            displacementPercent: geometricLiters > 0 ? (displacedLiters / geometricLiters) * 100 : 0
+        };
+    }
+
+    /**
+     * Find how much to scale all dimensions so the tank holds a target water volume
+     * @param {number} targetWaterLiters - Desired water volume in liters
+     * @param {object} options - Same options as calculate(), for the current tank
+     * @returns {number} Scale factor to apply to length, width, height and the shape's length parameters
+     */
+    findScaleForWaterVolume(targetWaterLiters, options) {
+        const shape = options.shape ?? new TankShape();
+        // Bow and return depths scale with the tank so it keeps its proportions
+        const waterAt = (scale) => this.calculate({
+            ...options,
+            length: options.length * scale,
+            width: options.width * scale,
+            height: options.height * scale,
+            shape: shape.scale(scale)
+        }).waterLiters;
+
+        // Water volume grows with scale, so bracket the target and bisect
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 20 && waterAt(high) < targetWaterLiters; i++) {
+            low = high;
+            high *= 2;
+        }
+
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (waterAt(mid) < targetWaterLiters) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+}
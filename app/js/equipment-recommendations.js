@@ -1,39 +1,184 @@
 // Equipment recommendations using strategy pattern
-import { EquipmentStrategyFactory } from './equipment-strategy.js';
+import { EquipmentStrategy, EquipmentStrategyFactory } from './equipment-strategy.js';
+import { EQUIPMENT_UNITS, TANK_TYPE_PROFILES, DEFAULT_TANK_TYPE, LIGHTING_DEFAULTS, EQUIPMENT_INFO, EQUIPMENT_RULES_URL } from './constants.js';
 
 export class EquipmentRecommender {
-    constructor() {
+    /**
+     * @param {string} tankType - One of TANK_TYPES (default: community)
+     */
+    constructor(tankType = DEFAULT_TANK_TYPE) {
+        // Registered strategies by name, kept across tank type changes: { strategy, info }
+        this.registered = new Map();
+        this.setTankType(tankType);
+    }
+
+    /**
+     * Switch tank type and rebuild the strategies that depend on it
+     * @param {string} tankType - One of TANK_TYPES
+     * @returns {object} The tank type profile in use
+     */
+    setTankType(tankType) {
+        if (!TANK_TYPE_PROFILES[tankType]) {
+            console.warn(`Unknown tank type: ${tankType}`);
+            tankType = DEFAULT_TANK_TYPE;
+        }
+        this.tankType = tankType;
+        this.profile = TANK_TYPE_PROFILES[tankType];
+
         // Initialize all equipment strategies
         this.strategies = {
-            filter: EquipmentStrategyFactory.createFilterStrategy(),
+            filter: EquipmentStrategyFactory.createFilterStrategy(this.profile),
             heater: EquipmentStrategyFactory.createHeaterStrategy(),
             chiller: EquipmentStrategyFactory.createChillerStrategy(),
             uvSterilizer: EquipmentStrategyFactory.createUVSterilizerStrategy(),
             airPump: EquipmentStrategyFactory.createAirPumpStrategy(),
             thermometer: EquipmentStrategyFactory.createThermometerStrategy(),
-            circulationPump: EquipmentStrategyFactory.createCirculationPumpStrategy(),
-            ato: EquipmentStrategyFactory.createATOStrategy()
+            circulationPump: EquipmentStrategyFactory.createCirculationPumpStrategy(this.profile),
+            ato: EquipmentStrategyFactory.createATOStrategy(),
+            lighting: EquipmentStrategyFactory.createLightingStrategy(this.profile),
+            proteinSkimmer: EquipmentStrategyFactory.createProteinSkimmerStrategy(),
+            co2: EquipmentStrategyFactory.createCO2Strategy(),
+            dosingPump: EquipmentStrategyFactory.createDosingPumpStrategy(this.profile)
         };
+        this.registered.forEach(({ strategy }, name) => {
+            this.strategies[name] = strategy;
+        });
+        // Rules can test the tank type alongside the measures
+        Object.values(this.strategies).forEach(strategy => strategy.setContext({ tankType: this.tankType }));
+        return this.profile;
+    }
+
+    /**
+     * Register an equipment strategy, replacing any built-in or registered strategy of the same name.
+     * getAllRecommendations calls every registered strategy, including one that replaces a built-in, with
+     * (volumeGallons, surfaceArea, flow, length, width, bioload), where flow is the turnover estimate and bioload
+     * the StockingPlanner bioload or null; rules read the stock's needs through the requiredGph and bioloadPercent measures.
+     * @param {string} name - Equipment type the strategy recommends
+     * @param {EquipmentStrategy|object} definition - A strategy, or a rule-table definition for
+     *        EquipmentStrategyFactory.fromDefinition with optional label, group, description, tankTypes and optionalFor
+     * @returns {EquipmentStrategy} The registered strategy
+     * @throws {Error} If the name is missing or the definition is invalid
+     */
+    registerStrategy(name, definition) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Equipment strategy needs a name');
+        }
+
+        let strategy = definition;
+        if (!(definition instanceof EquipmentStrategy)) {
+            const errors = EquipmentStrategyFactory.validateDefinition(definition);
+            if (errors.length > 0) {
+                throw new Error(`Invalid equipment strategy ${name}: ${errors.join('; ')}`);
+            }
+            strategy = EquipmentStrategyFactory.fromDefinition(name, definition);
+        }
+
+        const info = { label: name, group: 'advanced', description: '', ...EQUIPMENT_INFO[name] };
+        ['label', 'group', 'description', 'tankTypes', 'optionalFor'].forEach(field => {
+            if (definition[field] !== undefined) info[field] = definition[field];
+        });
+
+        strategy.setContext({ tankType: this.tankType });
+        this.registered.set(name, { strategy, info });
+        this.strategies[name] = strategy;
+        return strategy;
+    }
+
+    /**
+     * Register every strategy in parsed equipment rules JSON
+     * @param {Array|object} data - Array of definitions with a name, or { strategies: [...] }
+     * @param {string} source - Where the rules came from, for warnings
+     * @returns {object} { added, skipped } where skipped lists { name, errors } for invalid definitions
+     */
+    addRules(data, source = 'import') {
+        const list = Array.isArray(data) ? data : data?.strategies;
+        if (!Array.isArray(list)) {
+            console.warn(`Equipment rules from ${source} have no strategies array`);
+            return { added: 0, skipped: [] };
+        }
+
+        let added = 0;
+        const skipped = [];
+        list.forEach((definition, index) => {
+            try {
+                this.registerStrategy(definition?.name, definition);
+                added++;
+            } catch (error) {
+                skipped.push({ name: definition?.name ?? `#${index + 1}`, errors: [error.message] });
+            }
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`Skipped ${skipped.length} invalid equipment strategies from ${source}:`, skipped);
+        }
+        return { added, skipped };
+    }
+
+    /**
+     * Fetch an equipment rules JSON file and register its strategies
+     * @param {string} url - Rules URL (default: the bundled rules)
+     * @returns {Promise<object>} { added, skipped } from addRules
+     */
+    async loadRules(url = EQUIPMENT_RULES_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.addRules(await response.json(), url);
+        } catch (error) {
+            console.error(`Could not load equipment rules from ${url}:`, error);
+            return { added: 0, skipped: [] };
+        }
+    }
+
+    /**
+     * Display details for an equipment type
+     * @param {string} name - Equipment type
+     * @returns {object} { label, group, description, tankTypes, optionalFor }
+     */
+    getStrategyInfo(name) {
+        return this.registered.get(name)?.info ?? { label: name, group: 'advanced', description: '', ...EQUIPMENT_INFO[name] };
+    }
+
+    /**
+     * Check a registered strategy's tank types allow the current tank type
+     * @param {string} name - Equipment type
+     * @returns {boolean} True if the strategy applies (built-ins always do)
+     */
+    appliesToTankType(name) {
+        const tankTypes = this.registered.get(name)?.info.tankTypes;
+        return !tankTypes || tankTypes.includes(this.tankType);
     }
 
     /**
      * Get equipment recommendation using strategy pattern
      * @param {string} equipmentType - Type of equipment
      * @param {...any} params - Parameters for recommendation
-     * @returns {string} Equipment recommendation
+     * @returns {object|null} Recommendation { category, min, max, unit, text, notes, trace }, or null for an unknown type
      */
     getRecommendation(equipmentType, ...params) {
         const strategy = this.strategies[equipmentType];
         if (!strategy) {
             console.warn(`Unknown equipment type: ${equipmentType}`);
-            return '--';
+            return null;
         }
         return strategy.getRecommendation(...params);
     }
 
+    /**
+     * Get an equipment recommendation as display text
+     * @param {string} equipmentType - Type of equipment
+     * @param {...any} params - Parameters for recommendation
+     * @returns {string} Recommendation text with its notes
+     */
+    getRecommendationText(equipmentType, ...params) {
+        return EquipmentStrategy.toText(this.getRecommendation(equipmentType, ...params));
+    }
+
     // Convenience methods for backward compatibility
-    getFilterRecommendation(volumeGallons, surfaceArea) {
-        return this.getRecommendation('filter', volumeGallons, surfaceArea);
+    getFilterRecommendation(volumeGallons, surfaceArea, bioload = null) {
+        return this.getRecommendation('filter', volumeGallons, surfaceArea, bioload);
     }
 
     getHeaterRecommendation(volumeGallons) {
@@ -57,7 +202,7 @@ export class EquipmentRecommender {
     }
 
     getCirculationPumpRecommendation(volumeGallons, length, width) {
-        return this.getRecommendation('circulationPump', volumeGallons, null, length, width);
+        return this.getRecommendation('circulationPump', volumeGallons, null, null, length, width);
     }
 
     getATORcommendation(surfaceArea) {
@@ -85,7 +230,7 @@ export class EquipmentRecommender {
     }
 
     getCirculationPumpRecommendation(volumeGallons, length, width) {
-        return this.getRecommendation('circulationPump', volumeGallons, null, length, width);
+        return this.getRecommendation('circulationPump', volumeGallons, null, null, length, width);
     }
 
     getATORcommendation(surfaceArea) {
@@ -93,8 +238,8 @@ export class EquipmentRecommender {
     }
 
     // Convenience methods for backward compatibility - all use strategy pattern
-    getFilterRecommendation(volumeGallons, surfaceArea) {
-        return this.getRecommendation('filter', volumeGallons, surfaceArea);
+    getFilterRecommendation(volumeGallons, surfaceArea, bioload = null) {
+        return this.getRecommendation('filter', volumeGallons, surfaceArea, bioload);
     }
 
     getHeaterRecommendation(volumeGallons) {
@@ -118,13 +263,25 @@ export class EquipmentRecommender {
     }
 
     getCirculationPumpRecommendation(volumeGallons, length, width) {
-        return this.getRecommendation('circulationPump', volumeGallons, null, length, width);
+        return this.getRecommendation('circulationPump', volumeGallons, null, null, length, width);
     }
 
     getATORcommendation(surfaceArea) {
         return this.getRecommendation('ato', 0, surfaceArea);
     }
 
+    /**
+     * Get a lighting recommendation with the estimated PAR at the substrate
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @param {number} waterDepth - Water depth above the substrate in inches
+     * @param {number} airGap - Fixture to water surface in inches
+     * @returns {object} Recommendation with fixture layout and parAtSubstrate
+     */
+    getLightingRecommendation(length, width, waterDepth, airGap) {
+        return this.getRecommendation('lighting', 0, null, null, length, width, waterDepth, airGap);
+    }
+
     /**
      * Get all equipment recommendations for a tank
      * @param {number} length - Tank length in inches
@@ -132,22 +289,171 @@ export class EquipmentRecommender {
      * @param {number} height - Tank height in inches
      * @param {number} volumeGallons - Tank volume in gallons
      * @param {object} surfaceArea - Surface area object
-     * @returns {object} All equipment recommendations
+     * @param {number} systemVolumeGallons - Total system volume including sumps and other vessels
+     *                                       (default: tank volume)
+     * @param {object|null} thermal - ThermalModel result; when given, heater and chiller are sized from heat loss
+     *                              unless a registered strategy replaces them
+     * @param {object|null} bioload - StockingPlanner bioload; a heavily stocked tank gets a larger filter
+     * @param {object} lighting - { waterDepth, substrateDepth, mountHeightIn } in inches (default: full tank, no
+     *                            substrate, fixture on the rim)
+     * @returns {object} Recommendation objects keyed by equipment type, plus the tank type's extras and
+     *                   registered strategies for the tank type; items the tank type can do without are marked optional
      */
-    getAllRecommendations(length, width, height, volumeGallons, surfaceArea) {
-        // Estimate filter flow rate for UV sterilizer recommendation
-        const filterFlow = this.estimateFilterFlow(volumeGallons);
+    getAllRecommendations(length, width, height, volumeGallons, surfaceArea, systemVolumeGallons = volumeGallons, thermal = null, bioload = null,
+        { waterDepth = height, substrateDepth = 0, mountHeightIn = LIGHTING_DEFAULTS.MOUNT_HEIGHT_IN } = {}) {
+        // Heating, chilling and sterilizing treat all the water in the system, not just the display
+        const filterFlow = this.estimateFilterFlow(systemVolumeGallons);
+        // Light travels from the fixture through the gap above the water, then down to the top of the substrate
+        const airGap = Math.max(0, height - waterDepth) + mountHeightIn;
 
-        return {
-            filter: this.getFilterRecommendation(volumeGallons, surfaceArea),
-            heater: this.getHeaterRecommendation(volumeGallons),
-            chiller: this.getChillerRecommendation(volumeGallons),
+        const recommendations = {
+            filter: this.getFilterRecommendation(volumeGallons, surfaceArea, bioload),
+            heater: this.getHeaterRecommendation(systemVolumeGallons),
+            chiller: this.getChillerRecommendation(systemVolumeGallons),
             uvSterilizer: this.getUVSterilizerRecommendation(filterFlow),
             airPump: this.getAirPumpRecommendation(surfaceArea),
-            thermometer: this.getThermometerRecommendation(volumeGallons),
+            thermometer: this.getThermometerRecommendation(systemVolumeGallons),
             circulationPump: this.getCirculationPumpRecommendation(volumeGallons, length, width),
-            ato: this.getATORcommendation(surfaceArea)
+            ato: this.getATORcommendation(surfaceArea),
+            lighting: this.getLightingRecommendation(length, width, Math.max(0, waterDepth - substrateDepth), airGap),
+            ...(thermal ? this.getThermalRecommendations(thermal) : {})
+        };
+        this.profile.extras.forEach(type => {
+            recommendations[type] = this.getRecommendation(type, type === 'proteinSkimmer' ? systemVolumeGallons : volumeGallons);
+        });
+        // Registered strategies, including replacements for built-ins, all read (volumeGallons, surfaceArea, flow,
+        // length, width, bioload) rather than the parameters the built-in they replace was given; a registered heater
+        // or chiller replaces the thermal model's sizing too
+        this.registered.forEach((registration, name) => {
+            if (name in recommendations || !(name in EQUIPMENT_INFO)) {
+                recommendations[name] = this.getRecommendation(name, volumeGallons, surfaceArea, filterFlow, length, width, bioload);
+            }
+        });
+        // The UV sterilizer is sized from a flow nobody entered, so say where it came from
+        const flowInput = recommendations.uvSterilizer.trace?.inputs.find(input => input.name === 'flow');
+        if (flowInput && filterFlow > 0) {
+            flowInput.source = `estimateFilterFlow: ${Math.round(systemVolumeGallons * 100) / 100} gal × ${this.profile.turnover} turnover`;
+        }
+
+        Object.keys(recommendations).forEach(type => {
+            if (!this.appliesToTankType(type)) {
+                delete recommendations[type];
+                return;
+            }
+            const optionalFor = this.getStrategyInfo(type).optionalFor ?? [];
+            recommendations[type].optional = this.profile.optional.includes(type) || optionalFor.includes(this.tankType);
+        });
+        return recommendations;
+    }
+
+    /**
+     * Size the heater and chiller from a thermal model result instead of volume buckets
+     * @param {object} thermal - Result from ThermalModel.calculate or combine
+     * @returns {object} { heater, chiller } recommendations
+     */
+    getThermalRecommendations(thermal) {
+        const { heater, chiller } = thermal;
+        const heaterRec = {
+            category: 'heater',
+            min: Math.ceil(heater.requiredW),
+            max: heater.sizeW,
+            unit: EQUIPMENT_UNITS.WATTS,
+            text: heater.requiredW === 0 ? 'No heater needed' :
+                heater.sizeW === null ? `${Math.ceil(heater.requiredW)}W+ of heaters` : `${heater.sizeW}W heater`,
+            notes: heater.requiredW === 0 ? ['room never drops below the target temperature'] :
+                [`loses ${Math.round(thermal.heating.lossW)} W in the coldest room`],
+            optional: false,
+            trace: {
+                inputs: [
+                    { name: 'targetTemperature', value: thermal.targetC, unit: '°C' },
+                    { name: 'coldestRoom', value: thermal.heating.roomC, unit: '°C' },
+                    { name: 'heatLoss', value: Math.round(thermal.heating.lossW), unit: 'W' }
+                ],
+                matched: heater.requiredW === 0 ? 'no heat loss at the coldest room temperature' :
+                    `needs ${Math.ceil(heater.requiredW)} W with margin; ` +
+                    (heater.sizeW === null ? 'larger than any single heater' : `smallest heater at least that size is ${heater.sizeW} W`),
+                modifiers: []
+            }
         };
+        if (heater.split) {
+            heaterRec.notes.push('split across two heaters so one stuck on cannot overheat the tank');
+            heaterRec.trace.modifiers.push('split across two heaters above the single-heater safety limit');
+        }
+        const coolingInputs = [
+            { name: 'targetTemperature', value: thermal.targetC, unit: '°C' },
+            { name: 'hottestRoom', value: thermal.cooling.roomC, unit: '°C' },
+            { name: 'heatGain', value: Math.round(thermal.cooling.gainW), unit: 'W' }
+        ];
+
+        const chillerRec = chiller ? {
+            category: 'chiller',
+            min: chiller.size?.hp ?? null,
+            max: chiller.size?.hp ?? null,
+            unit: EQUIPMENT_UNITS.HORSEPOWER,
+            text: chiller.size ? `${chiller.size.name} chiller` : 'Chiller larger than 1 HP or multiple units',
+            notes: [`needs ${Math.round(chiller.requiredW)} W of cooling in the hottest room`],
+            optional: false,
+            trace: {
+                inputs: coolingInputs,
+                matched: `needs ${Math.round(chiller.requiredW)} W with margin; ` +
+                    (chiller.size ? `smallest chiller at least that size is ${chiller.size.name}` : 'larger than any listed chiller'),
+                modifiers: []
+            }
+        } : {
+            category: 'chiller',
+            min: 0,
+            max: 0,
+            unit: EQUIPMENT_UNITS.HORSEPOWER,
+            text: 'No chiller needed',
+            notes: ['evaporation and room air keep the water below the target temperature'],
+            optional: false,
+            trace: {
+                inputs: coolingInputs,
+                matched: 'no heat gain at the hottest room temperature',
+                modifiers: []
+            }
+        };
+
+        return { heater: heaterRec, chiller: chillerRec };
+    }
+
+    /**
+     * Sum the wattage of every recommendation rated in watts
+     * @param {object} recommendations - Recommendations from getAllRecommendations
+     * @param {Array} exclude - Equipment types to leave out (e.g. a heater the chiller replaces)
+     * @returns {object} { min, max, unit, categories }; max is null if any item is open-ended
+     */
+    getTotalPower(recommendations, exclude = []) {
+        const rated = Object.entries(recommendations)
+            .filter(([type, rec]) => rec?.unit === EQUIPMENT_UNITS.WATTS && !exclude.includes(type))
+            .map(([, rec]) => rec);
+
+        return {
+            min: rated.reduce((total, rec) => total + rec.min, 0),
+            max: rated.some(rec => rec.max === null) ? null : rated.reduce((total, rec) => total + rec.max, 0),
+            unit: EQUIPMENT_UNITS.WATTS,
+            categories: rated.map(rec => rec.category)
+        };
+    }
+
+    /**
+     * Export recommendations as CSV
+     * @param {object} recommendations - Recommendations from getAllRecommendations
+     * @returns {string} CSV text with one row per equipment type
+     */
+    toCSV(recommendations) {
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [['Equipment', 'Min', 'Max', 'Unit', 'Recommendation', 'Notes', 'Optional']];
+        Object.entries(recommendations).forEach(([type, rec]) => {
+            if (!rec) return;
+            lines.push([type, rec.min, rec.max, rec.unit, rec.text, rec.notes.join('; '), rec.optional ? 'yes' : 'no']);
+        });
+
+        return lines.map(line => line.map(escape).join(',')).join('\n');
     }
 
     /**
@@ -156,9 +462,7 @@ export class EquipmentRecommender {
      * @returns {number} Estimated flow rate in GPH
      */
     estimateFilterFlow(volumeGallons) {
-        // Typical filter turnover: 3-5x tank volume per hour
-        const minFlow = volumeGallons * 3;
-        const maxFlow = volumeGallons * 5;
-        return (minFlow + maxFlow) / 2; // Use average for estimation
+        // Turnover for the tank type: 4x tank volume per hour for a community tank, up to 8x for a reef
+        return volumeGallons * this.profile.turnover;
     }
 }
\ No newline at end of file
@@ -1,14 +1,135 @@
 // Generic equipment recommendation strategy
+import { EQUIPMENT_UNITS, STOCKING_LIMITS, TANK_TYPES, TANK_TYPE_PROFILES, DEFAULT_TANK_TYPE, LIGHTING_TARGETS } from './constants.js';
+import { LightingModel } from './lighting-model.js';
+import { RuleEngine } from './rule-engine.js';
+
+// Turnover and circulation tables are written for a freshwater community tank
+const BASE_PROFILE = TANK_TYPE_PROFILES[TANK_TYPES.COMMUNITY];
+
+// Row threshold property for each criteria type a rule table can use. A "dimensions" row's threshold is
+// a { length, width } footprint the tank has to fit within, either way round.
+const CRITERIA_PROPERTIES = {
+    volume: 'maxVolume',
+    surfaceArea: 'maxArea',
+    flow: 'maxFlow',
+    dimensions: 'maxDimensions'
+};
+
+// Facts a rule can test, read from (volumeGallons, surfaceArea, flow, length, width, bioload); tankType comes from the context
+const RULE_MEASURES = {
+    volume: ([volumeGallons]) => volumeGallons,
+    topArea: ([, surfaceArea]) => surfaceArea?.topSqFt,
+    flow: ([, , flow]) => flow,
+    length: ([, , , length]) => length,
+    width: ([, , , , width]) => width,
+    aspectRatio: ([, , , length, width]) => Math.max(length, width) / Math.min(length, width),
+    // The filter flow and fill level StockingPlanner worked out for the stock, 0 without a stock list
+    requiredGph: ([, , , , , bioload]) => Math.ceil(bioload?.requiredGph ?? (bioload?.total ?? 0) * STOCKING_LIMITS.GPH_PER_BIOLOAD),
+    bioloadPercent: ([, , , , , bioload]) => Math.round(bioload?.percent ?? 0)
+};
+
+// Name and unit of the criteria value for each criteria type, shown in the reasoning trace
+const CRITERIA_TRACE = {
+    volume: { name: 'volume', unit: 'gal' },
+    surfaceArea: { name: 'topArea', unit: 'ft²' },
+    flow: { name: 'flow', unit: 'GPH' },
+    dimensions: { name: 'footprint', unit: 'in' },
+    par: { name: 'requiredOutput', unit: 'PAR' }
+};
+
+// Units of the facts listed as trace inputs
+const FACT_UNITS = {
+    volume: 'gal',
+    topArea: 'ft²',
+    flow: 'GPH',
+    length: 'in',
+    width: 'in',
+    aspectRatio: ':1',
+    turnover: '×/h',
+    turnoverFactor: '×',
+    circulation: '×/h',
+    circulationFactor: '×',
+    bioloadPercent: '%',
+    requiredGph: 'GPH'
+};
+
+// Measures listed as trace inputs whenever they were given
+const TRACE_MEASURES = ['volume', 'topArea', 'flow'];
+
+const roundForTrace = (value) => typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+
+// A footprint's sides, longest first, so a tank matches a row whichever way round it stands
+const getSides = ({ length, width }) => [Math.max(length, width), Math.min(length, width)];
+
+// Check a criteria value is within a row threshold: a number up to the threshold, or a footprint inside it
+const isWithin = (value, threshold) => {
+    if (typeof threshold !== 'object') return value <= threshold;
+    const [long, short] = getSides(value);
+    const [maxLong, maxShort] = getSides(threshold);
+    return long <= maxLong && short <= maxShort;
+};
+
+// An open-ended last row's threshold
+const isOpenEnded = (threshold) => typeof threshold === 'object' ?
+    threshold.length === Infinity && threshold.width === Infinity : threshold === Infinity;
+
+// A criteria value or threshold as trace text
+const formatCriteria = (value) => typeof value === 'object' ?
+    `${roundForTrace(value.width)} × ${roundForTrace(value.length)}` : `${roundForTrace(value)}`;
+
 export class EquipmentStrategy {
     /**
-     * @param {string} type - Type of criteria ('volume', 'surfaceArea', 'flow', 'dimensions')
-     * @param {Array} recommendations - Array of recommendation objects
-     * @param {Function} criteriaExtractor - Function to extract criteria value from parameters
+     * @param {string} category - Equipment category the strategy recommends ('filter', 'heater', ...)
+     * @param {string} type - Type of criteria ('volume', 'surfaceArea', 'flow', 'dimensions', 'par')
+     * @param {Array} recommendations - Rows of { maxVolume|maxArea|maxFlow|maxDimensions|maxPar, min, max, unit, text } in
+     *        ascending order, where maxDimensions is a { length, width } footprint in inches
+     * @param {object} options - Optional hooks
+     * @param {Function} options.criteriaExtractor - Function to extract criteria value from parameters
+     * @param {Function} options.adjust - Function (recommendation, params) returning an adjusted recommendation
+     * @param {Array} options.rules - RuleEngine rules applied to the matched row before adjust
+     * @param {Function} options.facts - Function (params) returning the facts rules test (default: RULE_MEASURES)
+     * @param {string} options.criteriaName - Name of the criteria value in the trace when criteriaExtractor derives it
+     * @param {string} options.criteriaUnit - Unit of that value in the trace, if not the criteria type's own
      */
-    constructor(type, recommendations, criteriaExtractor = null) {
+    constructor(category, type, recommendations, {
+        criteriaExtractor = null, adjust = null, rules = null, facts = null, criteriaName = null, criteriaUnit = null
+    } = {}) {
+        this.category = category;
         this.type = type;
         this.recommendations = recommendations;
         this.criteriaExtractor = criteriaExtractor || this.getDefaultExtractor(type);
+        this.adjust = adjust;
+        this.ruleEngine = rules ? new RuleEngine(rules) : null;
+        this.factsExtractor = facts || EquipmentStrategy.getMeasures;
+        this.criteriaName = criteriaName;
+        this.criteriaUnit = criteriaUnit;
+        this.context = {};
+    }
+
+    /**
+     * Set facts that do not come from the parameters, such as the tank type
+     * @param {object} context - Fact values by name
+     */
+    setContext(context) {
+        this.context = { ...context };
+    }
+
+    /**
+     * Facts for the rules: measures from the parameters plus the context
+     * @param {Array} params - Parameters passed to getRecommendation
+     * @returns {object} Fact values by name
+     */
+    getFacts(params) {
+        return { ...this.factsExtractor(params), ...this.context };
+    }
+
+    /**
+     * Read every RULE_MEASURES value from (volumeGallons, surfaceArea, flow, length, width, bioload)
+     * @param {Array} params - Parameters passed to getRecommendation
+     * @returns {object} Measure values by name
+     */
+    static getMeasures(params) {
+        return Object.fromEntries(Object.entries(RULE_MEASURES).map(([name, read]) => [name, read(params)]));
     }
 
     /**
@@ -17,6 +138,7 @@ export class EquipmentStrategy {
      * @returns {Function} Extractor function
      */
     getDefaultExtractor(type) {
+        // Parameters follow (volumeGallons, surfaceArea, flow, length, width, bioload)
         switch (type) {
             case 'volume':
                 return (params) => params[0]; // volumeGallons
@@ -25,7 +147,7 @@ export class EquipmentStrategy {
             case 'flow':
                 return (params) => params[2] || 300; // estimated flow
             case 'dimensions':
-                return (params) => [params[0], params[3], params[4]]; // [volumeGallons, length, width]
+                return (params) => ({ length: params[3] ?? 0, width: params[4] ?? 0 }); // footprint
             default:
                 return () => 0;
         }
@@ -34,25 +156,58 @@ export class EquipmentStrategy {
     /**
      * Get recommendation based on criteria
      * @param {...any} params - Parameters for criteria extraction
-     * @returns {string} Recommendation text
+     * @returns {object} Recommendation { category, min, max, unit, text, notes, optional, trace }
      */
     getRecommendation(...params) {
         const criteriaValue = this.criteriaExtractor(params);
 
-        if (this.type === 'dimensions') {
-            // Special handling for dimensions-based recommendations
-            return this.getDimensionsRecommendation(criteriaValue);
-        }
-
-        // Find matching recommendation
-        const recommendation = this.recommendations.find(rec => {
+        // Find matching recommendation, falling back to the largest
+        const index = this.recommendations.findIndex(rec => {
             const property = this.getCriteriaProperty(rec);
-            return criteriaValue <= rec[property];
+            return isWithin(criteriaValue, rec[property]);
         });
+        const row = this.recommendations[index] ?? this.recommendations[this.recommendations.length - 1];
 
-        return recommendation ?
-            recommendation.recommendation :
-            this.recommendations[this.recommendations.length - 1]?.recommendation || '--';
+        let recommendation = this.createRecommendation(row);
+        recommendation.trace = this.createTrace(criteriaValue, index, params);
+        if (this.ruleEngine) {
+            recommendation = this.ruleEngine.apply(recommendation, this.getFacts(params));
+        }
+        return this.adjust ? this.adjust(recommendation, params) : recommendation;
+    }
+
+    /**
+     * Start the reasoning trace: the inputs the strategy reads and the threshold that matched
+     * @param {number} criteriaValue - Value compared against the row thresholds
+     * @param {number} index - Index of the matched row, or -1 if the value is beyond the table
+     * @param {Array} params - Parameters passed to getRecommendation
+     * @returns {object} Trace { inputs: [{ name, value, unit }], matched, modifiers }
+     */
+    createTrace(criteriaValue, index, params) {
+        const name = this.criteriaName ?? CRITERIA_TRACE[this.type]?.name;
+        const unit = this.criteriaUnit ?? CRITERIA_TRACE[this.type]?.unit;
+        const value = `${name} ${formatCriteria(criteriaValue)} ${unit ?? ''}`.trim();
+        const thresholdOf = (row) => row[this.getCriteriaProperty(row)];
+
+        let matched;
+        if (index < 0) {
+            matched = `${value} is beyond the table; the largest row is used`;
+        } else if (isOpenEnded(thresholdOf(this.recommendations[index]))) {
+            matched = index > 0 ?
+                `${value} > ${formatCriteria(thresholdOf(this.recommendations[index - 1]))} ${unit ?? ''}`.trim() : `${value}: single row`;
+        } else {
+            matched = `${value} ≤ ${formatCriteria(thresholdOf(this.recommendations[index]))} ${unit ?? ''}`.trim();
+        }
+
+        // Inputs are the tank measures given, then whatever else the rules test (including context such as the tank type)
+        const facts = this.getFacts(params);
+        const measured = TRACE_MEASURES.filter(fact => typeof facts[fact] === 'number' && facts[fact] > 0);
+        const tested = (this.ruleEngine?.getFactNames() ?? [])
+            .filter(fact => facts[fact] !== undefined && facts[fact] !== null && !Number.isNaN(facts[fact]));
+        const inputs = [...new Set([...measured, ...tested])]
+            .map(fact => ({ name: fact, value: roundForTrace(facts[fact]), unit: FACT_UNITS[fact] ?? '' }));
+
+        return { inputs: inputs, matched: matched, modifiers: [] };
     }
 
     /**
@@ -64,29 +219,36 @@ export class EquipmentStrategy {
         if ('maxVolume' in rec) return 'maxVolume';
         if ('maxArea' in rec) return 'maxArea';
         if ('maxFlow' in rec) return 'maxFlow';
+        if ('maxDimensions' in rec) return 'maxDimensions';
+        if ('maxPar' in rec) return 'maxPar';
         return 'maxVolume'; // fallback
     }
 
     /**
-     * Special handling for dimensions-based recommendations
-     * @param {Array} dimensionsData - [volumeGallons, length, width]
-     * @returns {string} Recommendation with positioning advice
+     * Build a recommendation from a table row
+     * @param {object} row - Table row, or undefined for an empty table
+     * @returns {object} Recommendation { category, min, max, unit, text, notes, optional }
      */
-    getDimensionsRecommendation([volumeGallons, length, width]) {
-        const recommendation = this.recommendations.find(rec =>
-            volumeGallons <= rec.maxVolume
-        );
-
-        let baseRec = recommendation ?
-            recommendation.recommendation :
-            this.recommendations[this.recommendations.length - 1]?.recommendation || '--';
-
-        // Add positioning advice for long/narrow tanks
-        if (length > width * 1.5) {
-            baseRec += ' - consider multiple units for even flow in long tanks';
-        }
+    createRecommendation(row) {
+        return {
+            category: this.category,
+            min: row?.min ?? null,
+            max: row?.max ?? null, // null when open-ended ('600W+')
+            unit: row?.unit ?? null,
+            text: row?.text ?? '--',
+            notes: [...(row?.notes ?? [])],
+            optional: false
+        };
+    }
 
-        return baseRec;
+    /**
+     * Format a recommendation with its notes as a single line
+     * @param {object|null} recommendation - Recommendation from getRecommendation
+     * @returns {string} Display text, or '--' if there is none
+     */
+    static toText(recommendation) {
+        if (!recommendation) return '--';
+        return [recommendation.text, ...recommendation.notes].join(' - ');
     }
 }
 
@@ -94,34 +256,67 @@ export class EquipmentStrategy {
 export class EquipmentStrategyFactory {
     /**
      * Create filter strategy
+     * @param {object} profile - Tank type profile from TANK_TYPE_PROFILES (default: community)
      * @returns {EquipmentStrategy} Filter recommendation strategy
      */
-    static createFilterStrategy() {
+    static createFilterStrategy(profile = TANK_TYPE_PROFILES[DEFAULT_TANK_TYPE]) {
+        const GPH = EQUIPMENT_UNITS.GPH;
         const recommendations = [
-            { maxVolume: 20, recommendation: '10-20 GPH canister or small HOB filter' },
-            { maxVolume: 40, recommendation: '20-40 GPH canister or medium HOB filter' },
-            { maxVolume: 75, recommendation: '40-75 GPH canister filter' },
-            { maxVolume: 125, recommendation: '75-125 GPH canister filter' },
-            { maxVolume: 200, recommendation: '125-200 GPH canister filter' },
-            { maxVolume: Infinity, recommendation: '200+ GPH canister filter or sump system' }
+            { maxVolume: 20, min: 10, max: 20, unit: GPH, text: '10-20 GPH canister or small HOB filter' },
+            { maxVolume: 40, min: 20, max: 40, unit: GPH, text: '20-40 GPH canister or medium HOB filter' },
+            { maxVolume: 75, min: 40, max: 75, unit: GPH, text: '40-75 GPH canister filter' },
+            { maxVolume: 125, min: 75, max: 125, unit: GPH, text: '75-125 GPH canister filter' },
+            { maxVolume: 200, min: 125, max: 200, unit: GPH, text: '125-200 GPH canister filter' },
+            { maxVolume: Infinity, min: 200, max: null, unit: GPH, text: '200+ GPH canister filter or sump system' }
         ];
 
-        return new EquipmentStrategy('volume', recommendations, (params) => {
-            const [volumeGallons, surfaceArea] = params;
-            let rec = recommendations.find(r => volumeGallons <= r.maxVolume)?.recommendation ||
-                     recommendations[recommendations.length - 1].recommendation;
-
-            const topAreaFt = surfaceArea?.topSqFt || 0;
-
-            if (topAreaFt < 1.5 && volumeGallons < 20) {
-                rec = '5-10 GPH sponge filter ideal for shallow tanks with small surface area';
-            } else if (topAreaFt > 6) {
-                rec += ' + surface skimmer for large surface area';
-            } else if (topAreaFt < 3 && volumeGallons > 30) {
-                rec += ' - consider adding powerhead for better circulation in tall/deep tanks';
-            }
+        // Rows give 1× the volume in GPH, so the table reads as flow: the tank type's turnover, or the flow
+        // StockingPlanner asks for the stock (GPH_PER_BIOLOAD per unit of bioload), whichever is more
+        const turnoverFactor = profile.turnover / BASE_PROFILE.turnover;
+        const getRequiredGph = (bioload) => bioload?.requiredGph ?? (bioload?.total ?? 0) * STOCKING_LIMITS.GPH_PER_BIOLOAD;
+        const getSizingFlow = (volumeGallons, bioload) => Math.max(volumeGallons * turnoverFactor, getRequiredGph(bioload));
 
-            return rec;
+        return new EquipmentStrategy('filter', 'volume', recommendations, {
+            criteriaExtractor: ([volumeGallons, , bioload]) => getSizingFlow(volumeGallons, bioload),
+            criteriaName: 'sizingFlow',
+            criteriaUnit: GPH,
+            adjust: (recommendation, [, , bioload]) => {
+                // The open-ended row starts at 200 GPH; a stock that needs more sets the minimum
+                const requiredGph = Math.ceil(getRequiredGph(bioload));
+                if (recommendation.max === null && requiredGph > recommendation.min) {
+                    recommendation.min = requiredGph;
+                    recommendation.text = `${requiredGph}+ GPH canister filter or sump system`;
+                }
+                return recommendation;
+            },
+            facts: ([volumeGallons, surfaceArea, bioload]) => ({
+                volume: volumeGallons,
+                topArea: surfaceArea?.topSqFt || 0,
+                turnover: profile.turnover,
+                turnoverFactor: turnoverFactor,
+                tankTypeName: profile.name.toLowerCase(),
+                stockedUp: getRequiredGph(bioload) > volumeGallons * turnoverFactor,
+                bioloadPercent: Math.round(bioload?.percent ?? 0),
+                requiredGph: Math.ceil(getRequiredGph(bioload))
+            }),
+            rules: [
+                { id: 'turnover', priority: 40, when: { turnoverFactor: { above: 1 } }, note: 'aim for {turnover}× turnover in a {tankTypeName} tank' },
+                { id: 'stocked', priority: 30, when: { stockedUp: true }, note: 'sized up for a {bioloadPercent}% stocked tank that needs about {requiredGph} GPH' },
+                {
+                    id: 'sponge',
+                    priority: 20,
+                    when: { turnoverFactor: { atMost: 1 }, stockedUp: false, topArea: { below: 1.5 }, volume: { below: 20 } },
+                    set: { min: 5, max: 10, text: '5-10 GPH sponge filter', notes: ['ideal for shallow tanks with small surface area'] },
+                    final: true
+                },
+                { id: 'surface-skimmer', priority: 10, when: { topArea: { above: 6 } }, note: 'add a surface skimmer for large surface area' },
+                {
+                    id: 'powerhead',
+                    priority: 10,
+                    when: { topArea: { below: 3 }, volume: { above: 30 } },
+                    note: 'consider adding powerhead for better circulation in tall/deep tanks'
+                }
+            ]
         });
     }
 
@@ -130,17 +325,18 @@ export class EquipmentStrategyFactory {
      * @returns {EquipmentStrategy} Heater recommendation strategy
      */
     static createHeaterStrategy() {
+        const W = EQUIPMENT_UNITS.WATTS;
         const recommendations = [
-            { maxVolume: 10, recommendation: '50-100W submersible heater' },
-            { maxVolume: 20, recommendation: '100-150W submersible heater' },
-            { maxVolume: 40, recommendation: '150-200W submersible heater' },
-            { maxVolume: 75, recommendation: '200-300W submersible heater' },
-            { maxVolume: 125, recommendation: '300-400W submersible heater' },
-            { maxVolume: 200, recommendation: '400-600W submersible heater' },
-            { maxVolume: Infinity, recommendation: '600W+ submersible or inline heater' }
+            { maxVolume: 10, min: 50, max: 100, unit: W, text: '50-100W submersible heater' },
+            { maxVolume: 20, min: 100, max: 150, unit: W, text: '100-150W submersible heater' },
+            { maxVolume: 40, min: 150, max: 200, unit: W, text: '150-200W submersible heater' },
+            { maxVolume: 75, min: 200, max: 300, unit: W, text: '200-300W submersible heater' },
+            { maxVolume: 125, min: 300, max: 400, unit: W, text: '300-400W submersible heater' },
+            { maxVolume: 200, min: 400, max: 600, unit: W, text: '400-600W submersible heater' },
+            { maxVolume: Infinity, min: 600, max: null, unit: W, text: '600W+ submersible or inline heater' }
         ];
 
-        return new EquipmentStrategy('volume', recommendations);
+        return new EquipmentStrategy('heater', 'volume', recommendations);
     }
 
     /**
@@ -148,14 +344,15 @@ export class EquipmentStrategyFactory {
      * @returns {EquipmentStrategy} Chiller recommendation strategy
      */
     static createChillerStrategy() {
+        const HP = EQUIPMENT_UNITS.HORSEPOWER;
         const recommendations = [
-            { maxVolume: 20, recommendation: '1/10 HP chiller for small tanks in warm climates' },
-            { maxVolume: 75, recommendation: '1/4 HP chiller for medium tanks' },
-            { maxVolume: 125, recommendation: '1/3 HP chiller for large tanks' },
-            { maxVolume: Infinity, recommendation: '1/2 to 1 HP chiller for very large tanks' }
+            { maxVolume: 20, min: 0.1, max: 0.1, unit: HP, text: '1/10 HP chiller for small tanks in warm climates' },
+            { maxVolume: 75, min: 0.25, max: 0.25, unit: HP, text: '1/4 HP chiller for medium tanks' },
+            { maxVolume: 125, min: 0.33, max: 0.33, unit: HP, text: '1/3 HP chiller for large tanks' },
+            { maxVolume: Infinity, min: 0.5, max: 1, unit: HP, text: '1/2 to 1 HP chiller for very large tanks' }
         ];
 
-        return new EquipmentStrategy('volume', recommendations);
+        return new EquipmentStrategy('chiller', 'volume', recommendations);
     }
 
     /**
@@ -163,14 +360,15 @@ export class EquipmentStrategyFactory {
      * @returns {EquipmentStrategy} UV sterilizer recommendation strategy
      */
     static createUVSterilizerStrategy() {
+        const W = EQUIPMENT_UNITS.WATTS;
         const recommendations = [
-            { maxFlow: 100, recommendation: '5-9W UV sterilizer' },
-            { maxFlow: 200, recommendation: '11-18W UV sterilizer' },
-            { maxFlow: 400, recommendation: '25-36W UV sterilizer' },
-            { maxFlow: Infinity, recommendation: '55W+ UV sterilizer or multiple units' }
+            { maxFlow: 100, min: 5, max: 9, unit: W, text: '5-9W UV sterilizer' },
+            { maxFlow: 200, min: 11, max: 18, unit: W, text: '11-18W UV sterilizer' },
+            { maxFlow: 400, min: 25, max: 36, unit: W, text: '25-36W UV sterilizer' },
+            { maxFlow: Infinity, min: 55, max: null, unit: W, text: '55W+ UV sterilizer or multiple units' }
         ];
 
-        return new EquipmentStrategy('flow', recommendations);
+        return new EquipmentStrategy('uvSterilizer', 'flow', recommendations);
     }
 
     /**
@@ -178,13 +376,14 @@ export class EquipmentStrategyFactory {
      * @returns {EquipmentStrategy} Air pump recommendation strategy
      */
     static createAirPumpStrategy() {
+        const GPH = EQUIPMENT_UNITS.GPH;
         const recommendations = [
-            { maxArea: 2, recommendation: '10-30 GPH air pump with single airstone' },
-            { maxArea: 4, recommendation: '30-60 GPH air pump with dual airstones' },
-            { maxArea: Infinity, recommendation: '60-100 GPH air pump with manifold system' }
+            { maxArea: 2, min: 10, max: 30, unit: GPH, text: '10-30 GPH air pump with single airstone' },
+            { maxArea: 4, min: 30, max: 60, unit: GPH, text: '30-60 GPH air pump with dual airstones' },
+            { maxArea: Infinity, min: 60, max: 100, unit: GPH, text: '60-100 GPH air pump with manifold system' }
         ];
 
-        return new EquipmentStrategy('surfaceArea', recommendations);
+        return new EquipmentStrategy('airPump', 'surfaceArea', recommendations);
     }
 
     /**
@@ -193,27 +392,45 @@ export class EquipmentStrategyFactory {
      */
     static createThermometerStrategy() {
         const recommendations = [
-            { maxVolume: 20, recommendation: 'Digital stick thermometer' },
-            { maxVolume: 75, recommendation: 'Digital thermometer with external probe' },
-            { maxVolume: Infinity, recommendation: 'Digital thermometer with multiple probes' }
+            { maxVolume: 20, text: 'Digital stick thermometer' },
+            { maxVolume: 75, text: 'Digital thermometer with external probe' },
+            { maxVolume: Infinity, text: 'Digital thermometer with multiple probes' }
         ];
 
-        return new EquipmentStrategy('volume', recommendations);
+        return new EquipmentStrategy('thermometer', 'volume', recommendations);
     }
 
     /**
      * Create circulation pump strategy
+     * @param {object} profile - Tank type profile from TANK_TYPE_PROFILES (default: community)
      * @returns {EquipmentStrategy} Circulation pump recommendation strategy
      */
-    static createCirculationPumpStrategy() {
+    static createCirculationPumpStrategy(profile = TANK_TYPE_PROFILES[DEFAULT_TANK_TYPE]) {
+        const GPH = EQUIPMENT_UNITS.GPH;
         const recommendations = [
-            { maxVolume: 20, recommendation: '200-400 GPH powerhead' },
-            { maxVolume: 55, recommendation: '400-800 GPH powerhead' },
-            { maxVolume: 75, recommendation: '800-1200 GPH powerhead or multiple units' },
-            { maxVolume: Infinity, recommendation: '1200+ GPH powerhead or multiple units' }
+            { maxVolume: 20, min: 200, max: 400, unit: GPH, text: '200-400 GPH powerhead' },
+            { maxVolume: 55, min: 400, max: 800, unit: GPH, text: '400-800 GPH powerhead' },
+            { maxVolume: 75, min: 800, max: 1200, unit: GPH, text: '800-1200 GPH powerhead or multiple units' },
+            { maxVolume: Infinity, min: 1200, max: null, unit: GPH, text: '1200+ GPH powerhead or multiple units' }
         ];
 
-        return new EquipmentStrategy('dimensions', recommendations);
+        const circulationFactor = profile.circulation / BASE_PROFILE.circulation;
+
+        return new EquipmentStrategy('circulationPump', 'volume', recommendations, {
+            criteriaExtractor: ([volumeGallons]) => volumeGallons * circulationFactor,
+            criteriaName: 'circulationVolume',
+            facts: (params) => ({
+                ...EquipmentStrategy.getMeasures(params),
+                circulation: profile.circulation,
+                circulationFactor: circulationFactor,
+                tankTypeName: profile.name.toLowerCase()
+            }),
+            rules: [
+                { id: 'circulation', priority: 20, when: { circulationFactor: { above: 1 } }, note: '{tankTypeName} tanks want about {circulation}× turnover' },
+                // Positioning advice for long/narrow tanks
+                { id: 'multiple-units', priority: 10, when: { aspectRatio: { above: 1.5 } }, note: 'consider multiple units for even flow in long tanks' }
+            ]
+        });
     }
 
     /**
@@ -221,12 +438,267 @@ export class EquipmentStrategyFactory {
      * @returns {EquipmentStrategy} Auto top-off recommendation strategy
      */
     static createATOStrategy() {
+        const GALLONS = EQUIPMENT_UNITS.GALLONS;
+        const recommendations = [
+            { maxArea: 2, min: 1, max: 2, unit: GALLONS, text: '1-2 gallon reservoir with small pump' },
+            { maxArea: 4, min: 2, max: 5, unit: GALLONS, text: '2-5 gallon reservoir with medium pump' },
+            { maxArea: Infinity, min: 5, max: null, unit: GALLONS, text: '5+ gallon reservoir with large pump' }
+        ];
+
+        return new EquipmentStrategy('ato', 'surfaceArea', recommendations);
+    }
+
+    /**
+     * Create protein skimmer strategy
+     * @returns {EquipmentStrategy} Protein skimmer recommendation strategy
+     */
+    static createProteinSkimmerStrategy() {
+        const GALLONS = EQUIPMENT_UNITS.GALLONS;
+        // Manufacturer ratings are optimistic, so pick a skimmer rated for about twice the water
         const recommendations = [
-            { maxArea: 2, recommendation: '1-2 gallon reservoir with small pump' },
-            { maxArea: 4, recommendation: '2-5 gallon reservoir with medium pump' },
-            { maxArea: Infinity, recommendation: '5+ gallon reservoir with large pump' }
+            { maxVolume: 30, min: 40, max: 60, unit: GALLONS, text: 'Hang-on-back or nano skimmer rated 40-60 gal' },
+            { maxVolume: 75, min: 100, max: 150, unit: GALLONS, text: 'In-sump skimmer rated 100-150 gal' },
+            { maxVolume: 150, min: 200, max: 300, unit: GALLONS, text: 'In-sump skimmer rated 200-300 gal' },
+            { maxVolume: Infinity, min: 300, max: null, unit: GALLONS, text: 'In-sump skimmer rated 300+ gal' }
         ];
 
-        return new EquipmentStrategy('surfaceArea', recommendations);
+        return new EquipmentStrategy('proteinSkimmer', 'volume', recommendations);
     }
-}
\ No newline at end of file
+
+    /**
+     * Create CO2 system strategy
+     * @returns {EquipmentStrategy} CO2 recommendation strategy
+     */
+    static createCO2Strategy() {
+        const POUNDS = EQUIPMENT_UNITS.POUNDS;
+        const recommendations = [
+            { maxVolume: 20, min: 2, max: 5, unit: POUNDS, text: '2-5 lb cylinder with regulator and inline diffuser' },
+            { maxVolume: 55, min: 5, max: 10, unit: POUNDS, text: '5-10 lb cylinder with solenoid regulator' },
+            { maxVolume: Infinity, min: 10, max: 20, unit: POUNDS, text: '10-20 lb cylinder with solenoid regulator and reactor' }
+        ];
+
+        return new EquipmentStrategy('co2', 'volume', recommendations, {
+            adjust: (recommendation) => {
+                recommendation.notes.push('add a drop checker to confirm CO2 levels');
+                return recommendation;
+            }
+        });
+    }
+
+    /**
+     * Create dosing pump strategy
+     * @param {object} profile - Tank type profile from TANK_TYPE_PROFILES (default: community)
+     * @returns {EquipmentStrategy} Dosing pump recommendation strategy
+     */
+    static createDosingPumpStrategy(profile = TANK_TYPE_PROFILES[DEFAULT_TANK_TYPE]) {
+        const CHANNELS = EQUIPMENT_UNITS.CHANNELS;
+        // Reefs dose alkalinity, calcium and magnesium; planted tanks dose macro and micro fertilizers
+        const recommendations = profile.waterType === BASE_PROFILE.waterType ? [
+            { maxVolume: 40, min: 1, max: 2, unit: CHANNELS, text: '1-2 channel pump for liquid fertilizers' },
+            { maxVolume: Infinity, min: 2, max: 3, unit: CHANNELS, text: '2-3 channel pump for macro and micro fertilizers' }
+        ] : [
+            { maxVolume: 40, min: 2, max: 3, unit: CHANNELS, text: '2-3 channel pump for alkalinity and calcium' },
+            { maxVolume: Infinity, min: 3, max: 4, unit: CHANNELS, text: '3-4 channel pump for alkalinity, calcium and magnesium' }
+        ];
+
+        return new EquipmentStrategy('dosingPump', 'volume', recommendations);
+    }
+
+    /**
+     * Create lighting strategy. Picks the weakest fixture that still reaches the tank type's
+     * target PAR at the substrate; parameters are (0, null, null, length, width, waterDepth, airGap).
+     * @param {object} profile - Tank type profile from TANK_TYPE_PROFILES (default: community)
+     * @param {LightingModel} model - Falloff model and fixture sizes
+     * @returns {EquipmentStrategy} Lighting recommendation strategy
+     */
+    static createLightingStrategy(profile = TANK_TYPE_PROFILES[DEFAULT_TANK_TYPE], model = new LightingModel()) {
+        const target = LIGHTING_TARGETS[profile.lighting];
+        const fixtures = model.properties.FIXTURES;
+        const recommendations = fixtures.map(fixture => ({
+            maxPar: fixture.output,
+            min: target.minPar,
+            max: target.maxPar,
+            unit: EQUIPMENT_UNITS.PAR,
+            text: fixture.text
+        }));
+        // Rated output a fixture needs to light the substrate to the middle of the target
+        const getRequiredOutput = (waterDepth, airGap) =>
+            ((target.minPar + target.maxPar) / 2) / model.getFalloff(airGap, waterDepth);
+
+        return new EquipmentStrategy('lighting', 'par', recommendations, {
+            criteriaExtractor: ([, , , , , waterDepth, airGap]) => getRequiredOutput(waterDepth, airGap),
+            adjust: (recommendation, [, , , length, width, waterDepth, airGap]) => {
+                const required = getRequiredOutput(waterDepth, airGap);
+                const fixture = fixtures.find(f => f.output >= required) ?? fixtures[fixtures.length - 1];
+                const layout = model.getFixtureLayout(length, width);
+                const par = model.estimatePar(fixture.output, airGap, waterDepth);
+
+                recommendation.text = `${layout.count}× ${layout.lengthIn}" ${fixture.text}${layout.count > 1 ? 's' : ''}`;
+                recommendation.fixture = { ...layout, output: fixture.output };
+                recommendation.parAtSubstrate = par;
+                recommendation.notes.push(`about ${Math.round(par)} PAR at the substrate for a ${target.name} tank`);
+                if (par < target.minPar) {
+                    recommendation.notes.push('short of the target even at full power; lower the fixture or add another row');
+                } else if (par > target.maxPar) {
+                    recommendation.notes.push(`dim to about ${Math.round((target.maxPar / par) * 100)}% to avoid algae`);
+                }
+                if (layout.rows > 1) {
+                    recommendation.notes.push(`${layout.rows} rows front to back for even coverage`);
+                }
+                if (!layout.fits) {
+                    recommendation.notes.push(`no standard fixture fits a ${roundForTrace(width)}" front; ` +
+                        `the shortest, ${layout.lengthIn}", overhangs - consider a clip-on or puck light`);
+                }
+                recommendation.trace.inputs.push(
+                    { name: 'waterDepth', value: roundForTrace(waterDepth), unit: 'in' },
+                    { name: 'airGap', value: roundForTrace(airGap), unit: 'in' },
+                    { name: 'targetPar', value: `${target.minPar}-${target.maxPar}`, unit: 'PAR' }
+                );
+                recommendation.trace.modifiers.push(
+                    `${fixture.output} PAR fixture × ${roundForTrace(model.getFalloff(airGap, waterDepth))} falloff ≈ ${Math.round(par)} PAR at the substrate`,
+                    `${layout.perRow} per row × ${layout.rows} row${layout.rows > 1 ? 's' : ''} of ${layout.lengthIn}" fixtures for ${roundForTrace(width)}" × ${roundForTrace(length)}"`
+                );
+                return recommendation;
+            }
+        });
+    }
+
+    /**
+     * Check a rule-table definition before building a strategy from it
+     * @param {object} definition - Definition with criteria, rows and optional modifiers, tankTypes and optionalFor
+     * @returns {Array} Error messages; empty if the definition is valid
+     */
+    static validateDefinition(definition) {
+        if (!definition || typeof definition !== 'object') return ['Definition is not an object'];
+
+        const errors = [];
+        if (!(definition.criteria in CRITERIA_PROPERTIES)) {
+            errors.push(`Unknown criteria: ${definition.criteria}`);
+        }
+
+        const rows = definition.rows;
+        if (!Array.isArray(rows) || rows.length === 0) {
+            errors.push('rows must be a non-empty array');
+        } else {
+            rows.forEach((row, index) => {
+                const label = `Row ${index + 1}`;
+                if (typeof row?.text !== 'string' || row.text.trim() === '') {
+                    errors.push(`${label} is missing text`);
+                }
+                // Only the last row may leave upTo open to catch everything larger
+                const isLast = index === rows.length - 1;
+                const previous = rows[index - 1]?.upTo;
+                const isFootprint = (upTo) => typeof upTo?.length === 'number' && typeof upTo?.width === 'number';
+                if (row?.upTo === undefined || row?.upTo === null) {
+                    if (!isLast) {
+                        errors.push(`${label} needs ${definition.criteria === 'dimensions' ? 'an upTo with numeric length and width' : 'a numeric upTo'}`);
+                    }
+                } else if (definition.criteria === 'dimensions') {
+                    // Each footprint has to hold the one before, so rows still run smallest first
+                    if (!isFootprint(row.upTo)) {
+                        errors.push(`${label} needs an upTo with numeric length and width`);
+                    } else if (index > 0 && isFootprint(previous) && (!isWithin(previous, row.upTo) || isWithin(row.upTo, previous))) {
+                        errors.push(`${label} upTo must hold the footprint of the row before`);
+                    }
+                } else if (typeof row.upTo !== 'number') {
+                    errors.push(`${label} needs a numeric upTo`);
+                } else if (index > 0 && !(row.upTo > previous)) {
+                    errors.push(`${label} upTo must be larger than the row before`);
+                }
+                ['min', 'max'].forEach(field => {
+                    if (row?.[field] !== undefined && row?.[field] !== null && typeof row[field] !== 'number') {
+                        errors.push(`${label} ${field} must be a number or null`);
+                    }
+                });
+                if (row?.notes !== undefined && !Array.isArray(row.notes)) {
+                    errors.push(`${label} notes must be an array`);
+                }
+            });
+        }
+
+        if (definition.modifiers !== undefined) {
+            if (!Array.isArray(definition.modifiers)) {
+                errors.push('modifiers must be an array');
+            } else {
+                definition.modifiers.forEach((modifier, index) => {
+                    const label = `Modifier ${index + 1}`;
+                    if (!(modifier?.when?.measure in RULE_MEASURES)) {
+                        errors.push(`${label} has unknown measure: ${modifier?.when?.measure}`);
+                    }
+                    // A modifier without bounds would match every tank
+                    const bounded = modifier?.when?.above !== undefined || modifier?.when?.below !== undefined;
+                    if (!bounded) {
+                        errors.push(`${label} needs an above or below bound`);
+                    }
+                    // Check the rule it becomes, so modifiers get the same checks as rules (the measure is checked above)
+                    const [rule] = EquipmentStrategyFactory.getModifierRules([{ ...modifier, when: modifier?.when ?? {} }]);
+                    RuleEngine.validateRule(bounded ? rule : { ...rule, when: {} }).forEach(error => errors.push(`${label}: ${error}`));
+                });
+            }
+        }
+
+        if (definition.rules !== undefined) {
+            if (!Array.isArray(definition.rules)) {
+                errors.push('rules must be an array');
+            } else {
+                const facts = [...Object.keys(RULE_MEASURES), 'tankType'];
+                definition.rules.forEach((rule, index) => {
+                    RuleEngine.validateRule(rule, facts).forEach(error => errors.push(`Rule ${rule?.id ?? index + 1}: ${error}`));
+                });
+            }
+        }
+
+        ['tankTypes', 'optionalFor'].forEach(field => {
+            const types = definition[field];
+            if (types === undefined) return;
+            if (!Array.isArray(types)) {
+                errors.push(`${field} must be an array`);
+            } else {
+                types.filter(type => !TANK_TYPE_PROFILES[type]).forEach(type => errors.push(`${field} has unknown tank type: ${type}`));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Build a strategy from a rule-table definition, such as one from an equipment rules JSON file.
+     * Rows are { upTo, min, max, unit, text, notes } where upTo null on the last row means no upper limit;
+     * with "dimensions" criteria upTo is a { length, width } footprint in inches.
+     * rules are RuleEngine rules over RULE_MEASURES and tankType; modifiers { when: { measure, above, below },
+     * note, set } are shorthand for single-condition rules below priority 0. Later modifiers get higher priorities,
+     * so as before rules the last matching modifier's set wins (and notes from later modifiers come first).
+     * @param {string} category - Equipment category the strategy recommends
+     * @param {object} definition - Definition that passes validateDefinition
+     * @returns {EquipmentStrategy} Strategy for the rule table
+     */
+    static fromDefinition(category, definition) {
+        const property = CRITERIA_PROPERTIES[definition.criteria];
+        const openEnded = definition.criteria === 'dimensions' ? { length: Infinity, width: Infinity } : Infinity;
+        const recommendations = definition.rows.map(row => ({
+            [property]: row.upTo ?? openEnded,
+            min: row.min ?? null,
+            max: row.max ?? null,
+            unit: row.unit ?? definition.unit ?? null,
+            text: row.text,
+            notes: row.notes ?? []
+        }));
+        const rules = [...(definition.rules ?? []), ...EquipmentStrategyFactory.getModifierRules(definition.modifiers ?? [])];
+
+        return new EquipmentStrategy(category, definition.criteria, recommendations, {
+            rules: rules.length > 0 ? rules : null
+        });
+    }
+
+    /**
+     * Turn rule-table modifiers into single-condition rules below priority 0, later modifiers higher
+     * @param {Array} modifiers - Modifiers of { when: { measure, above, below }, note, set }
+     * @returns {Array} RuleEngine rules
+     */
+    static getModifierRules(modifiers) {
+        return modifiers.map(({ when, note, set }, index) => {
+            const bounds = Object.fromEntries(['above', 'below'].filter(bound => when[bound] !== undefined).map(bound => [bound, when[bound]]));
+            return { id: `modifier-${index + 1}`, priority: index - modifiers.length, when: { [when.measure]: bounds }, note, set };
+        });
+    }
+}
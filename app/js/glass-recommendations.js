@@ -1,4 +1,32 @@
 // Glass thickness recommendations based on tank volume and depth
+import { TankShape } from './tank-shape.js';
+import { PlateStressCalculator } from './plate-stress-calculator.js';
+import { GLASS_CALC_MODES, GLASS_PROPERTIES, PANEL_MATERIALS, MATERIAL_PROPERTIES, DEFAULT_PANEL_MATERIAL, BOTTOM_SUPPORTS } from './constants.js';
+
+const SUPPORT_NAMES = {
+    wall: 'three edges, free top',
+    bracedWall: 'three edges, braced top',
+    [BOTTOM_SUPPORTS.FULL]: 'fully supported on a mat',
+    [BOTTOM_SUPPORTS.RIM]: 'supported at rim only'
+};
+
+const MATERIAL_CONSIDERATIONS = {
+    [PANEL_MATERIALS.FLOAT_GLASS]: [
+        'Float glass is the standard aquarium material; laminated float adds a margin against cracks'
+    ],
+    [PANEL_MATERIALS.LOW_IRON]: [
+        'Low-iron glass has the strength of float glass with higher clarity and no green tint'
+    ],
+    [PANEL_MATERIALS.TEMPERED]: [
+        'Tempered panels cannot be drilled or cut - have bulkhead and overflow holes made before tempering',
+        'Tempered glass shatters completely if its edges are chipped; handle and support edges with care'
+    ],
+    [PANEL_MATERIALS.ACRYLIC]: [
+        'Acrylic is about 20× more flexible than glass - expect visible bowing without top bracing',
+        'Acrylic scratches easily; use acrylic-safe cleaning pads'
+    ]
+};
+
 export class GlassRecommender {
     constructor() {
         // Glass thickness recommendations based on research
@@ -17,71 +45,367 @@ export class GlassRecommender {
      * @param {number} length - Tank length in inches
      * @param {number} width - Tank width in inches
      * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (mode, safetyFactor, waterType, material, braced, bottomSupport, waterDepth)
      * @returns {string} Glass thickness recommendation
      */
-    getRecommendation(length, width, height) {
+    getRecommendation(length, width, height, shape = new TankShape(), options = {}) {
+        const material = this.getMaterial(options.material);
+        const materialLabel = material.id === DEFAULT_PANEL_MATERIAL ? '' : ` ${material.name.toLowerCase()}`;
+
+        if (options.mode === GLASS_CALC_MODES.ENGINEERING) {
+            const engineering = this.getEngineeringRecommendation(length, width, height, shape, options);
+            return `${engineering.thicknessMm}mm${materialLabel} (engineering, safety factor ${engineering.safetyFactor})`;
+        }
+
+        const { tableThickness, thicknessMm } = this.getQuickThickness(length, width, height, shape, options);
+
+        // Return the description for the recommended thickness
+        const thicknessRec = this.recommendations.find(rec => rec.thickness === tableThickness);
+        const description = thicknessRec ? thicknessRec.description : this.recommendations[this.recommendations.length - 1].description;
+
+        if (!materialLabel) {
+            if (thicknessMm === tableThickness) return description;
+            const reason = thicknessMm < tableThickness ? 'braced top' : 'stiffness limit';
+            return `${thicknessMm}mm (${reason}; table gives ${tableThickness}mm)`;
+        }
+        return `${thicknessMm}mm${materialLabel} (equivalent to ${tableThickness}mm float glass)`;
+    }
+
+    /**
+     * Look up panel material properties
+     * @param {string} id - One of PANEL_MATERIALS (default: float glass)
+     * @returns {object} Material properties with its id
+     */
+    getMaterial(id = DEFAULT_PANEL_MATERIAL) {
+        if (!MATERIAL_PROPERTIES[id]) {
+            console.warn(`Unknown panel material: ${id}`);
+            id = DEFAULT_PANEL_MATERIAL;
+        }
+        return { id: id, ...MATERIAL_PROPERTIES[id] };
+    }
+
+    /**
+     * Get recommended glass thickness in mm for tank dimensions
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (mode, safetyFactor, waterType, material, braced, bottomSupport, waterDepth)
+     * @returns {number} Recommended thickness in mm
+     */
+    getRecommendedThickness(length, width, height, shape = new TankShape(), options = {}) {
+        if (options.mode === GLASS_CALC_MODES.ENGINEERING) {
+            return this.getEngineeringRecommendation(length, width, height, shape, options).thicknessMm;
+        }
+
+        return this.getQuickThickness(length, width, height, shape, options).thicknessMm;
+    }
+
+    /**
+     * Quick-mode thickness: the table's float glass thickness scaled to the material's strength and,
+     * for a braced top, to the lower bending coefficient, then raised if needed so the stiffest-loaded
+     * wall stays within the deflection limit
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (waterType, material, braced, waterDepth)
+     * @param {object} trace - Reasoning trace to record the matched row and modifiers in (optional)
+     * @returns {object} { tableThickness, strengthMm, deflectionMm, thicknessMm } in mm
+     */
+    getQuickThickness(length, width, height, shape = new TankShape(), options = {}, trace = null) {
+        const material = this.getMaterial(options.material);
+        const waterDepth = Math.min(options.waterDepth ?? height, height);
+        const tableThickness = this.getTableThickness(length, width, waterDepth, shape, trace);
+
+        // Bending stress scales with β/t², so equal stress needs t × √(strength ratio) × √(braced β / free β);
+        // the table assumes a free top and is read for the longest panel, so that panel's β ratio applies
+        const plateCalculator = new PlateStressCalculator(material);
+        const wallPanels = shape.getWallPanels(length, width);
+        const longestRatio = shape.getMaxPanelSpan(length, width) / waterDepth;
+        const braceFactor = !options.braced ? 1 :
+            Math.sqrt(plateCalculator.getCoefficients(longestRatio, true).beta / plateCalculator.getCoefficients(longestRatio).beta);
+        const strengthMm = tableThickness * Math.sqrt(GLASS_PROPERTIES.MODULUS_OF_RUPTURE / material.modulusOfRupture) * braceFactor;
+
+        // The table only covers strength; a flexible material such as acrylic needs checking for bowing too,
+        // unless there is no water to bow the walls
+        const deflectionMm = waterDepth <= 0 ? 0 : Math.max(0, ...wallPanels.map(panel => plateCalculator.calculatePanel({
+            lengthMm: PlateStressCalculator.toMm(panel.span ?? panel.width),
+            depthMm: PlateStressCalculator.toMm(waterDepth),
+            topSupported: Boolean(options.braced)
+        }, GLASS_PROPERTIES.DEFAULT_SAFETY_FACTOR, options.waterType).deflectionRequiredMm));
+
+        const requiredMm = Math.max(strengthMm, deflectionMm);
+        const thicknessMm = material.thicknesses.find(thickness => thickness >= requiredMm - 1e-9) ??
+            material.thicknesses[material.thicknesses.length - 1];
+
+        if (trace) {
+            if (material.id !== DEFAULT_PANEL_MATERIAL || braceFactor < 1) {
+                const scaledBy = [material.id !== DEFAULT_PANEL_MATERIAL ? 'strength' : null, braceFactor < 1 ? 'the braced top' : null];
+                trace.modifiers.push(`${tableThickness}mm float glass scaled by ${scaledBy.filter(Boolean).join(' and ')} to ` +
+                    `${Math.round(strengthMm * 100) / 100}mm ${material.name.toLowerCase()}`);
+            }
+            if (deflectionMm > strengthMm) {
+                trace.modifiers.push(`span/${GLASS_PROPERTIES.DEFLECTION_LIMIT_RATIO} deflection limit needs ${Math.round(deflectionMm * 100) / 100}mm`);
+            }
+            if (thicknessMm !== tableThickness) {
+                trace.modifiers.push(`next available ${material.name.toLowerCase()} thickness is ${thicknessMm}mm`);
+            }
+        }
+        return { tableThickness, strengthMm, deflectionMm, thicknessMm };
+    }
+
+    /**
+     * Get the quick-table float glass thickness for tank dimensions
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} waterDepth - Water depth in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} trace - Reasoning trace to record the matched row and modifiers in (optional)
+     * @returns {number} Float glass thickness in mm
+     */
+    getTableThickness(length, width, waterDepth, shape = new TankShape(), trace = null) {
         // Calculate the maximum panel dimension (longest side of any panel)
-        const maxPanelDimension = Math.max(length, width);
+        const maxPanelDimension = shape.getMaxPanelSpan(length, width);
 
         // Use the glass thickness recommendations based on both depth and panel size
-        let recommendedThickness = this.getThicknessForDimensions(height, maxPanelDimension);
+        let recommendedThickness = this.getThicknessForDimensions(waterDepth, maxPanelDimension, trace);
 
         // Add safety considerations for very large panels
         if (maxPanelDimension > 60) {
             // For panels over 5 feet, consider additional bracing or thicker glass
+            if (trace && recommendedThickness < 10) {
+                trace.modifiers.push(`at least 10mm for a panel over 60": ${recommendedThickness}mm → 10mm`);
+            }
             recommendedThickness = Math.max(recommendedThickness, 10);
         }
 
-        // Return the description for the recommended thickness
-        const thicknessRec = this.recommendations.find(rec => rec.thickness === recommendedThickness);
-        return thicknessRec ? thicknessRec.description : this.recommendations[this.recommendations.length - 1].description;
+        return recommendedThickness;
+    }
+
+    /**
+     * Calculate thickness per wall panel using the plate-under-hydrostatic-load formula
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - { safetyFactor, waterType, material, braced, bottomSupport, waterDepth }
+     * @returns {object} Per-wall results, the rim-supported bottom (or null) and the governing wall thickness
+     */
+    getEngineeringRecommendation(length, width, height, shape = new TankShape(), options = {}) {
+        const safetyFactor = options.safetyFactor ?? GLASS_PROPERTIES.DEFAULT_SAFETY_FACTOR;
+        const plateCalculator = new PlateStressCalculator(this.getMaterial(options.material));
+        const depthMm = PlateStressCalculator.toMm(Math.min(options.waterDepth ?? height, height));
+
+        const panels = shape.getWallPanels(length, width).map(panel => ({
+            name: panel.name,
+            count: panel.count,
+            curved: panel.curved,
+            ...plateCalculator.calculatePanel({
+                // Curved panels are checked as flat panels across their chord (conservative)
+                lengthMm: PlateStressCalculator.toMm(panel.span ?? panel.width),
+                depthMm: depthMm,
+                topSupported: Boolean(options.braced)
+            }, safetyFactor, options.waterType)
+        }));
+
+        // A bottom on a mat isn't in bending; one carried at its rim spans the whole footprint
+        let bottom = null;
+        if (options.bottomSupport === BOTTOM_SUPPORTS.RIM) {
+            const bottomPanel = shape.getPanels(length, width, height).find(panel => panel.bottom);
+            bottom = {
+                name: bottomPanel.name,
+                ...plateCalculator.calculateBottomPanel({
+                    lengthMm: PlateStressCalculator.toMm(bottomPanel.height),
+                    widthMm: PlateStressCalculator.toMm(bottomPanel.width),
+                    depthMm: depthMm
+                }, safetyFactor, options.waterType)
+            };
+        }
+
+        return {
+            panels: panels,
+            bottom: bottom,
+            thicknessMm: Math.max(...panels.map(panel => panel.thicknessMm)),
+            adequate: panels.every(panel => panel.adequate) && (!bottom || bottom.adequate),
+            safetyFactor: safetyFactor
+        };
+    }
+
+    /**
+     * Get the glass schedule: every panel with its own thickness and assumed support
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (mode, safetyFactor, waterType, material, braced, bottomSupport, waterDepth)
+     * @returns {Array} Panels from TankShape.getPanels with thicknessMm and support added
+     */
+    getPanelSchedule(length, width, height, shape = new TankShape(), options = {}) {
+        const material = this.getMaterial(options.material);
+        const bottomSupport = options.bottomSupport ?? BOTTOM_SUPPORTS.FULL;
+        const engineering = options.mode === GLASS_CALC_MODES.ENGINEERING ?
+            this.getEngineeringRecommendation(length, width, height, shape, options) : null;
+        const wallThicknessMm = engineering ?
+            engineering.thicknessMm : this.getRecommendedThickness(length, width, height, shape, options);
+
+        return shape.getPanels(length, width, height).map(panel => {
+            if (panel.bottom) {
+                let thicknessMm = wallThicknessMm;
+                if (bottomSupport === BOTTOM_SUPPORTS.RIM) {
+                    // Quick mode goes one step thicker than the walls for a rim-supported bottom
+                    thicknessMm = engineering ? Math.max(engineering.bottom.thicknessMm, wallThicknessMm) :
+                        (material.thicknesses.find(thickness => thickness > wallThicknessMm) ?? wallThicknessMm);
+                }
+                return { ...panel, thicknessMm: thicknessMm, support: SUPPORT_NAMES[bottomSupport] };
+            }
+
+            const engineered = engineering?.panels.find(wall => wall.name === panel.name);
+            return {
+                ...panel,
+                thicknessMm: engineered ? engineered.thicknessMm : wallThicknessMm,
+                support: options.braced ? SUPPORT_NAMES.bracedWall : SUPPORT_NAMES.wall
+            };
+        });
+    }
+
+    /**
+     * Estimate panel material cost for the whole tank
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (mode, safetyFactor, waterType, material, braced, bottomSupport, waterDepth)
+     * @returns {object} { areaSqFt, cost } with cost in USD
+     */
+    estimateCost(length, width, height, shape = new TankShape(), options = {}) {
+        const material = this.getMaterial(options.material);
+        const schedule = this.getPanelSchedule(length, width, height, shape, options);
+
+        return {
+            areaSqFt: schedule.reduce((total, panel) => total + panel.areaSqIn, 0) / 144,
+            cost: schedule.reduce((total, panel) => total + (panel.areaSqIn / 144) * panel.thicknessMm, 0) *
+                material.costPerSqFtPerMm
+        };
     }
 
     /**
      * Calculate recommended glass thickness based on depth and panel size
      * @param {number} depth - Water depth in inches
      * @param {number} panelSize - Longest panel dimension in inches
+     * @param {object} trace - Reasoning trace to record the matched row and modifiers in (optional)
      * @returns {number} Recommended thickness in mm
      */
-    getThicknessForDimensions(depth, panelSize) {
-        // Base thickness on depth (primary factor)
-        let baseThickness;
-
-        if (depth <= 12) baseThickness = 3;
-        else if (depth <= 15) baseThickness = 5;
-        else if (depth <= 24) baseThickness = 6;
-        else if (depth <= 30) baseThickness = 8;
-        else if (depth <= 36) baseThickness = 10;
-        else baseThickness = 12;
+    getThicknessForDimensions(depth, panelSize, trace = null) {
+        // Base thickness on depth (primary factor); anything deeper than the table gets the thickest row
+        const row = this.recommendations.find(rec => depth <= rec.maxDepth) ??
+            this.recommendations[this.recommendations.length - 1];
+        let baseThickness = row.thickness;
+        if (trace) {
+            trace.matched = depth <= row.maxDepth ?
+                `water depth ${depth}" ≤ ${row.maxDepth}" → ${row.thickness}mm` :
+                `water depth ${depth}" is beyond the table; the ${row.thickness}mm row is used`;
+        }
 
         // Increase thickness for larger panels (span stress)
-        if (panelSize > 48) baseThickness += 2; // Add 2mm for panels over 4 feet
-        if (panelSize > 60) baseThickness += 2; // Add another 2mm for panels over 5 feet
+        if (panelSize > 48) {
+            baseThickness += 2; // Add 2mm for panels over 4 feet
+            trace?.modifiers.push(`+2mm for a panel over 48" (${panelSize}")`);
+        }
+        if (panelSize > 60) {
+            baseThickness += 2; // Add another 2mm for panels over 5 feet
+            trace?.modifiers.push('+2mm more for a panel over 60"');
+        }
 
         // Cap at maximum recommended thickness
+        if (baseThickness > 12) {
+            trace?.modifiers.push(`capped at 12mm (from ${baseThickness}mm)`);
+        }
         return Math.min(baseThickness, 12);
     }
 
+    /**
+     * Explain a thickness: the inputs used, the table row or governing panel that set it, and what adjusted it
+     * @param {number} length - Tank length in inches
+     * @param {number} width - Tank width in inches
+     * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (mode, safetyFactor, waterType, material, braced, bottomSupport, waterDepth)
+     * @returns {object} Trace { inputs: [{ name, value, unit }], matched, modifiers }
+     */
+    getTrace(length, width, height, shape = new TankShape(), options = {}) {
+        const material = this.getMaterial(options.material);
+        const waterDepth = Math.min(options.waterDepth ?? height, height);
+        const trace = {
+            inputs: [
+                { name: 'waterDepth', value: waterDepth, unit: 'in' },
+                { name: 'longestPanel', value: shape.getMaxPanelSpan(length, width), unit: 'in' },
+                { name: 'material', value: material.name, unit: '' }
+            ],
+            matched: '',
+            modifiers: []
+        };
+
+        let wallThicknessMm;
+        if (options.mode === GLASS_CALC_MODES.ENGINEERING) {
+            const engineering = this.getEngineeringRecommendation(length, width, height, shape, options);
+            const governing = engineering.panels.reduce((worst, panel) => panel.thicknessMm > worst.thicknessMm ? panel : worst);
+            const round = (value) => Math.round(value * 100) / 100;
+            trace.inputs.push(
+                { name: 'safetyFactor', value: engineering.safetyFactor, unit: '' },
+                { name: 'braced', value: Boolean(options.braced), unit: '' }
+            );
+            trace.matched = `${governing.name} panel governs: needs ${round(governing.requiredMm)}mm for ${governing.governedBy} ` +
+                `(deflection ${round(governing.deflectionMm)} of ${round(governing.deflectionLimitMm)}mm allowed), ` +
+                `next stocked thickness ${governing.thicknessMm}mm (stress ${round(governing.stress)} of ${round(governing.allowableStress)} N/mm² allowed)`;
+            engineering.panels.filter(panel => panel !== governing).forEach(panel => {
+                trace.modifiers.push(`${panel.name} panel needs ${round(panel.requiredMm)}mm → ${panel.thicknessMm}mm`);
+            });
+            if (engineering.bottom) {
+                trace.modifiers.push(`rim-supported bottom needs ${round(engineering.bottom.requiredMm)}mm → ${engineering.bottom.thicknessMm}mm`);
+            }
+            wallThicknessMm = engineering.thicknessMm;
+        } else {
+            wallThicknessMm = this.getQuickThickness(length, width, height, shape, options, trace).thicknessMm;
+        }
+
+        const bottom = this.getPanelSchedule(length, width, height, shape, options).find(panel => panel.bottom);
+        if (bottom.thicknessMm > wallThicknessMm) {
+            trace.modifiers.push(`bottom ${bottom.thicknessMm}mm: supported at the rim only, so thicker than the walls`);
+        }
+        return trace;
+    }
+
     /**
      * Get detailed recommendation with safety notes
      * @param {number} length - Tank length in inches
      * @param {number} width - Tank width in inches
      * @param {number} height - Tank height in inches
-     * @returns {object} Detailed recommendation with notes
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} options - Calculation options (mode, safetyFactor, waterType, material, braced, bottomSupport, waterDepth)
+     * @returns {object} Detailed recommendation with notes and the reasoning trace
      */
-    getDetailedRecommendation(length, width, height) {
-        const thickness = this.getRecommendation(length, width, height);
-        const maxPanelDimension = Math.max(length, width);
+    getDetailedRecommendation(length, width, height, shape = new TankShape(), options = {}) {
+        const material = this.getMaterial(options.material);
+        const thickness = this.getRecommendation(length, width, height, shape, options);
+        const engineering = options.mode === GLASS_CALC_MODES.ENGINEERING ?
+            this.getEngineeringRecommendation(length, width, height, shape, options) : null;
+        const maxPanelDimension = shape.getMaxPanelSpan(length, width);
+        const panels = this.getPanelSchedule(length, width, height, shape, options);
+        const bottom = panels.find(panel => panel.bottom);
+
+        const waterDepth = Math.min(options.waterDepth ?? height, height);
 
         let safetyNote = '';
-        if (height > 36 || maxPanelDimension > 60) {
+        if (waterDepth > 36 || maxPanelDimension > 60) {
             safetyNote = 'Consider professional consultation for tanks over 36" deep or panels over 5\' long.';
-        } else if (height > 24 || maxPanelDimension > 48) {
+        } else if (waterDepth > 24 || maxPanelDimension > 48) {
             safetyNote = 'Ensure proper bracing and frame support for optimal safety.';
         }
 
         const considerations = [
-            'Always use tempered or laminated glass for safety',
+            ...MATERIAL_CONSIDERATIONS[material.id],
             'Consider professional installation for larger tanks',
             'Regular inspection of seals and supports recommended'
         ];
@@ -91,10 +415,30 @@ export class GlassRecommender {
             considerations.push('Extra reinforcement recommended for panels over 4 feet long');
         }
 
+        if (panels.some(panel => panel.curved)) {
+            considerations.push('Curved panels require bent glass or acrylic from a specialist supplier');
+        }
+
+        if (bottom.thicknessMm > Math.max(...panels.filter(panel => !panel.bottom).map(panel => panel.thicknessMm))) {
+            considerations.push('Rim-supported bottom needs thicker glass - a full-footprint leveling mat lets it match the walls');
+        }
+
+        if (engineering && !engineering.adequate) {
+            safetyNote = `Required thickness exceeds the thickest ${material.name.toLowerCase()} available - add bracing, reduce depth or use laminated panels.`;
+        }
+
         return {
             thickness: thickness,
+            thicknessMm: engineering ? engineering.thicknessMm : this.getRecommendedThickness(length, width, height, shape, options),
+            bottomThicknessMm: bottom.thicknessMm,
+            mode: engineering ? GLASS_CALC_MODES.ENGINEERING : GLASS_CALC_MODES.QUICK,
+            material: { id: material.id, name: material.name, drillable: material.drillable },
+            estimatedCost: this.estimateCost(length, width, height, shape, options),
+            engineering: engineering,
             safetyNote: safetyNote,
-            considerations: considerations
+            considerations: considerations,
+            panels: panels,
+            trace: this.getTrace(length, width, height, shape, options)
         };
     }
 
@@ -103,10 +447,12 @@ export class GlassRecommender {
      * @param {number} length - Tank length in inches
      * @param {number} width - Tank width in inches
      * @param {number} height - Tank height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {number} waterDepth - Water depth in inches (default: full height; capped at the height)
      * @returns {boolean} True if special consideration needed
      */
-    requiresSpecialAttention(length, width, height) {
-        const maxPanelDimension = Math.max(length, width);
-        return height > 36 || maxPanelDimension > 60;
+    requiresSpecialAttention(length, width, height, shape = new TankShape(), waterDepth = height) {
+        const maxPanelDimension = shape.getMaxPanelSpan(length, width);
+        return Math.min(waterDepth, height) > 36 || maxPanelDimension > 60;
     }
 }
\ No newline at end of file
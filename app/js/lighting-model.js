@@ -0,0 +1,64 @@
+// Light falloff from fixture to substrate and fixture layout over the tank footprint
+import { LIGHTING_PROPERTIES } from './constants.js';
+
+export class LightingModel {
+    /**
+     * @param {object} properties - Falloff coefficients and fixture sizes (default: LIGHTING_PROPERTIES)
+     */
+    constructor(properties = LIGHTING_PROPERTIES) {
+        this.properties = properties;
+    }
+
+    /**
+     * Fraction of a fixture's rated output that reaches a depth
+     * @param {number} airGapIn - Fixture to water surface in inches
+     * @param {number} depthIn - Depth below the surface in inches
+     * @returns {number} Fraction of rated PAR (above 1 when closer than the rating distance)
+     */
+    getFalloff(airGapIn, depthIn) {
+        const airGap = Math.max(0, airGapIn);
+        const depth = Math.max(0, depthIn);
+        // Spread over the full light path, then surface loss and absorption (Beer-Lambert) in the water.
+        // Closer than half the rating distance a long fixture stops acting like a point source, so stop there.
+        const distance = Math.max(this.properties.REFERENCE_DISTANCE_IN / 2, airGap + depth);
+        const spread = Math.pow(this.properties.REFERENCE_DISTANCE_IN / distance, this.properties.SPREAD_EXPONENT);
+        const transmission = depth > 0 ? this.properties.SURFACE_TRANSMISSION : 1;
+        return spread * transmission * Math.exp(-this.properties.WATER_ATTENUATION_PER_IN * depth);
+    }
+
+    /**
+     * Estimate PAR at a depth below a fixture
+     * @param {number} output - Fixture PAR at the rating distance in air
+     * @param {number} airGapIn - Fixture to water surface in inches
+     * @param {number} depthIn - Depth below the surface in inches
+     * @returns {number} PAR in µmol/m²/s
+     */
+    estimatePar(output, airGapIn, depthIn) {
+        return output * this.getFalloff(airGapIn, depthIn);
+    }
+
+    /**
+     * Lay fixtures out over the footprint: the longest standard length that fits the front,
+     * several along the front for very wide tanks, and extra rows for deep footprints. A front narrower than
+     * the shortest standard length still gets that length, with fits false so callers can say it overhangs.
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {object} { lengthIn, perRow, rows, count, fits }
+     */
+    getFixtureLayout(length, width) {
+        const lengths = this.properties.FIXTURE_LENGTHS_IN;
+        const longest = lengths[lengths.length - 1];
+        const perRow = Math.max(1, Math.ceil(width / longest));
+        const span = width / perRow;
+        const rows = Math.max(1, Math.ceil(length / this.properties.ROW_COVERAGE_IN));
+        const lengthIn = [...lengths].reverse().find(size => size <= span);
+
+        return {
+            lengthIn: lengthIn ?? lengths[0],
+            perRow: perRow,
+            rows: rows,
+            count: perRow * rows,
+            fits: lengthIn !== undefined
+        };
+    }
+}
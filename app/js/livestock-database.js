@@ -0,0 +1,137 @@
+// Data-driven livestock database: adult size, bioload, space needs and water parameters
+import { LIVESTOCK_URL, TEMPERAMENTS, WATER_TYPES } from './constants.js';
+
+export class LivestockDatabase {
+    /**
+     * @param {Array} species - Initial species
+     */
+    constructor(species = []) {
+        this.species = [];
+        this.addSpecies(species, 'initial');
+    }
+
+    /**
+     * Fetch a livestock JSON file and add its species
+     * @param {string} url - Livestock URL (default: the bundled database)
+     * @returns {Promise<object>} { added, skipped } from addSpecies
+     */
+    async load(url = LIVESTOCK_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.addSpecies(await response.json(), url);
+        } catch (error) {
+            console.error(`Could not load livestock database from ${url}:`, error);
+            return { added: 0, skipped: [] };
+        }
+    }
+
+    /**
+     * Add species from parsed livestock JSON. Species with an existing id replace it.
+     * @param {Array|object} data - Array of species, or { species: [...] }
+     * @param {string} source - Where the species came from, kept on each species
+     * @returns {object} { added, skipped } where skipped lists { id, errors } for invalid species
+     */
+    addSpecies(data, source = 'import') {
+        const list = Array.isArray(data) ? data : data?.species;
+        if (!Array.isArray(list)) {
+            console.warn(`Livestock data from ${source} has no species array`);
+            return { added: 0, skipped: [] };
+        }
+
+        let added = 0;
+        const skipped = [];
+        list.forEach((species, index) => {
+            const errors = this.validateSpecies(species);
+            if (errors.length > 0) {
+                skipped.push({ id: species?.id ?? `#${index + 1}`, errors });
+                return;
+            }
+
+            this.species = this.species.filter(existing => existing.id !== species.id);
+            this.species.push({ minGroup: 1, ...species, source });
+            added++;
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`Skipped ${skipped.length} invalid species from ${source}:`, skipped);
+        }
+        return { added, skipped };
+    }
+
+    /**
+     * Check a species has everything the stocking planner needs
+     * @param {object} species - Livestock entry
+     * @returns {Array} Error messages; empty if the species is valid
+     */
+    validateSpecies(species) {
+        if (!species || typeof species !== 'object') return ['Species is not an object'];
+
+        const errors = [];
+        ['id', 'name'].forEach(field => {
+            if (typeof species[field] !== 'string' || species[field].trim() === '') {
+                errors.push(`Missing ${field}`);
+            }
+        });
+        if (!Object.values(WATER_TYPES).includes(species.waterType)) {
+            errors.push(`Unknown water type: ${species.waterType}`);
+        }
+        if (!Object.values(TEMPERAMENTS).includes(species.temperament)) {
+            errors.push(`Unknown temperament: ${species.temperament}`);
+        }
+
+        ['adultSizeIn', 'minTankLengthIn', 'minFootprintSqIn'].forEach(field => {
+            if (!(species[field] > 0)) errors.push(`${field} must be a positive number`);
+        });
+        if (!(species.bioload >= 0)) {
+            errors.push('bioload must be zero or more');
+        }
+        if (species.minGroup !== undefined && !(Number.isInteger(species.minGroup) && species.minGroup >= 1)) {
+            errors.push('minGroup must be a whole number of at least 1');
+        }
+
+        ['temperatureC', 'ph'].forEach(field => {
+            const range = species[field];
+            if (!(typeof range?.min === 'number' && typeof range?.max === 'number' && range.min <= range.max)) {
+                errors.push(`${field} needs a min no greater than its max`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Search species by name
+     * @param {object} filters - Filters; omitted filters match everything
+     * @param {string} filters.query - Text matched against common and scientific name
+     * @param {string} filters.waterType - One of WATER_TYPES
+     * @returns {Array} Matching species in name order
+     */
+    search({ query = '', waterType } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.species
+            .filter(species => {
+                if (waterType && species.waterType !== waterType) return false;
+                const text = `${species.name} ${species.scientificName ?? ''}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a species by id
+     * @param {string} id - Species id
+     * @returns {object|null} Species or null if not found
+     */
+    get(id) {
+        const species = this.species.find(s => s.id === id);
+        if (!species) {
+            console.warn(`Unknown species: ${id}`);
+            return null;
+        }
+        return species;
+    }
+}
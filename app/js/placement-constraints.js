@@ -0,0 +1,153 @@
+// Physical placement limits for a tank: doorways, stands, weight and proportions
+import { PLACEMENT_CONSTRAINTS, PLACEMENT_DEFAULTS, CONVERSIONS, WATER_TYPES } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { GlassRecommender } from './glass-recommendations.js';
+import { WeightCalculator } from './weight-calculator.js';
+
+export class PlacementConstraints {
+    /**
+     * @param {object} constraints - Placement limits; omitted limits are not checked
+     * @param {number} constraints.doorwayWidth - Doorway clear width in inches
+     * @param {number} constraints.doorwayHeight - Doorway clear height in inches (default: 80)
+     * @param {object} constraints.stand - Stand top { width, length } in inches
+     * @param {number} constraints.maxFilledWeightKg - Maximum glass plus water weight in kg
+     * @param {number} constraints.minLength - Minimum front-to-back length in inches
+     * @param {number} constraints.minHeightRatio - Minimum front panel height-to-length ratio
+     * @param {number} constraints.maxHeightRatio - Maximum front panel height-to-length ratio
+     * @param {object} glassOptions - Glass options used to size the glass for the weight check
+     */
+    constructor(constraints = {}, glassOptions = {}) {
+        this.constraints = constraints;
+        this.glassOptions = glassOptions;
+        this.shape = new TankShape();
+        this.recommender = new GlassRecommender();
+        this.weightCalculator = new WeightCalculator();
+    }
+
+    /**
+     * Check whether any placement limit is set
+     * @returns {boolean} True if at least one limit will be checked
+     */
+    hasConstraints() {
+        const { doorwayWidth, stand, maxFilledWeightKg, minLength, minHeightRatio, maxHeightRatio } = this.constraints;
+        return [doorwayWidth, stand?.width, stand?.length, maxFilledWeightKg, minLength, minHeightRatio, maxHeightRatio]
+            .some(value => value > 0);
+    }
+
+    /**
+     * Check a tank against every placement limit
+     * @param {number} width - Front width in inches
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} height - Height in inches
+     * @param {number} liters - Water volume when filled, in liters
+     * @returns {Array} Violations { constraint, actual, limit, unit, message }; empty if the tank fits
+     */
+    check(width, length, height, liters) {
+        const c = this.constraints;
+        const violations = [];
+        const add = (constraint, actual, limit, unit, kind) => {
+            const violation = { constraint, actual, limit, unit, kind };
+            violation.message = PlacementConstraints.describe(violation);
+            violations.push(violation);
+        };
+
+        if (c.doorwayWidth > 0) {
+            // Carried on edge: the two smallest dimensions must fit the doorway opening
+            const [smallest, middle] = [width, length, height].sort((a, b) => a - b);
+            const doorwayHeight = c.doorwayHeight || PLACEMENT_DEFAULTS.DOORWAY_HEIGHT;
+            if (smallest > c.doorwayWidth) {
+                add(PLACEMENT_CONSTRAINTS.DOORWAY, smallest, c.doorwayWidth, 'in', 'doorway-width');
+            } else if (middle > doorwayHeight) {
+                add(PLACEMENT_CONSTRAINTS.DOORWAY, middle, doorwayHeight, 'in', 'doorway-height');
+            }
+        }
+
+        if (c.stand?.width > 0 && width > c.stand.width) {
+            add(PLACEMENT_CONSTRAINTS.STAND, width, c.stand.width, 'in', 'stand-width');
+        }
+        if (c.stand?.length > 0 && length > c.stand.length) {
+            add(PLACEMENT_CONSTRAINTS.STAND, length, c.stand.length, 'in', 'stand-length');
+        }
+
+        if (c.minLength > 0 && length < c.minLength) {
+            add(PLACEMENT_CONSTRAINTS.MIN_DEPTH, length, c.minLength, 'in', 'min-depth');
+        }
+
+        const heightRatio = height / width;
+        if (c.minHeightRatio > 0 && heightRatio < c.minHeightRatio) {
+            add(PLACEMENT_CONSTRAINTS.HEIGHT_RATIO, heightRatio, c.minHeightRatio, 'ratio', 'min-height-ratio');
+        }
+        if (c.maxHeightRatio > 0 && heightRatio > c.maxHeightRatio) {
+            add(PLACEMENT_CONSTRAINTS.HEIGHT_RATIO, heightRatio, c.maxHeightRatio, 'ratio', 'max-height-ratio');
+        }
+
+        if (c.maxFilledWeightKg > 0) {
+            const weightKg = this.getFilledWeight(width, length, height, liters);
+            if (weightKg > c.maxFilledWeightKg) {
+                add(PLACEMENT_CONSTRAINTS.FILLED_WEIGHT, weightKg, c.maxFilledWeightKg, 'kg', 'filled-weight');
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Get the weight of the glass plus water for a filled tank
+     * @param {number} width - Front width in inches
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} height - Height in inches
+     * @param {number} liters - Water volume in liters
+     * @returns {number} Filled weight in kg
+     */
+    getFilledWeight(width, length, height, liters) {
+        return this.weightCalculator.getWeightBreakdown({
+            length,
+            width,
+            height,
+            waterLiters: liters,
+            waterType: this.glassOptions.waterType ?? WATER_TYPES.FRESHWATER,
+            glassThicknessMm: this.recommender.getRecommendedThickness(length, width, height, this.shape, this.glassOptions),
+            panelMaterial: this.glassOptions.material
+        }).totalKg;
+    }
+
+    /**
+     * Explain a violation in words
+     * @param {object} violation - Violation from check()
+     * @param {boolean} isMetric - Describe lengths in cm and weights in kg
+     * @returns {string} Explanation
+     */
+    static describe(violation, isMetric = false) {
+        const formatValue = (value) => {
+            if (violation.unit === 'ratio') return value.toFixed(2);
+            if (violation.unit === 'kg') {
+                return isMetric ? `${Math.round(value)} kg` : `${Math.round(value * CONVERSIONS.KG_TO_LB)} lb`;
+            }
+            return isMetric ? `${Math.round(value * CONVERSIONS.INCHES_TO_CM)} cm` : `${Math.round(value * 10) / 10}"`;
+        };
+        const actual = formatValue(violation.actual);
+        const limit = formatValue(violation.limit);
+
+        switch (violation.kind) {
+            case 'doorway-width':
+                return `Smallest side ${actual} won't fit through the ${limit} doorway`;
+            case 'doorway-height':
+                return `Carried on edge it stands ${actual} tall, over the ${limit} doorway height`;
+            case 'stand-width':
+                return `Front width ${actual} overhangs the ${limit} stand`;
+            case 'stand-length':
+                return `Front-to-back ${actual} overhangs the ${limit} deep stand`;
+            case 'min-depth':
+                return `Front-to-back ${actual} is less than the ${limit} minimum`;
+            case 'min-height-ratio':
+                return `Height-to-length ratio ${actual} is below the ${limit} minimum`;
+            case 'max-height-ratio':
+                return `Height-to-length ratio ${actual} is above the ${limit} maximum`;
+            case 'filled-weight':
+                return `Filled weight ${actual} exceeds the ${limit} limit`;
+            default:
+                console.warn(`Unknown placement violation: ${violation.kind}`);
+                return `${violation.constraint}: ${actual} (limit ${limit})`;
+        }
+    }
+}
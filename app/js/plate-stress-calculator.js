@@ -0,0 +1,211 @@
+// Plate-under-hydrostatic-load calculations for aquarium panels
+import { CONVERSIONS, DENSITIES, WATER_TYPES, GLASS_PROPERTIES } from './constants.js';
+
+// Bending (β) and deflection (α) coefficients for a wall panel under hydrostatic load, simply supported
+// on its sides and bottom, indexed by length-to-height ratio and referred to the water depth H. Both tables
+// come from the same Lévy series solution (Timoshenko & Woinowsky-Krieger, Theory of Plates and Shells) with
+// ν = 0.3, so a brace can only lower them; the braced table matches Roark's Table 11.4 case 1d.
+
+// Free top edge (rimless): long panels span between the side joints, so α climbs steeply with the ratio
+const PLATE_COEFFICIENTS = [
+    { ratio: 0.5, beta: 0.0854, alpha: 0.0038 },
+    { ratio: 0.667, beta: 0.1229, alpha: 0.0096 },
+    { ratio: 1.0, beta: 0.2014, alpha: 0.0402 },
+    { ratio: 1.5, beta: 0.3579, alpha: 0.1679 },
+    { ratio: 2.0, beta: 0.473, alpha: 0.4008 },
+    { ratio: 2.5, beta: 0.545, alpha: 0.7346 },
+    { ratio: 3.0, beta: 0.5882, alpha: 1.1625 }
+];
+
+// Top edge held by a brace: simply supported on all four edges
+const BRACED_PLATE_COEFFICIENTS = [
+    { ratio: 0.5, beta: 0.084, alpha: 0.0037 },
+    { ratio: 0.667, beta: 0.1142, alpha: 0.0086 },
+    { ratio: 1.0, beta: 0.1619, alpha: 0.0224 },
+    { ratio: 1.5, beta: 0.2578, alpha: 0.0424 },
+    { ratio: 2.0, beta: 0.3171, alpha: 0.0555 },
+    { ratio: 2.5, beta: 0.3498, alpha: 0.0629 },
+    { ratio: 3.0, beta: 0.367, alpha: 0.0669 }
+];
+
+// Coefficients for a panel simply supported on all four edges under uniform pressure
+// (a bottom panel resting on its rim), indexed by long-to-short side ratio
+const UNIFORM_PLATE_COEFFICIENTS = [
+    { ratio: 1.0, beta: 0.2874, alpha: 0.0444 },
+    { ratio: 1.2, beta: 0.3762, alpha: 0.0616 },
+    { ratio: 1.4, beta: 0.453, alpha: 0.077 },
+    { ratio: 1.6, beta: 0.5172, alpha: 0.0906 },
+    { ratio: 1.8, beta: 0.5688, alpha: 0.1017 },
+    { ratio: 2.0, beta: 0.6102, alpha: 0.111 },
+    { ratio: 3.0, beta: 0.7134, alpha: 0.1335 },
+    { ratio: 4.0, beta: 0.741, alpha: 0.14 },
+    { ratio: 5.0, beta: 0.7476, alpha: 0.1417 }
+];
+
+const GRAVITY = 9.81; // m/s²
+
+export class PlateStressCalculator {
+    /**
+     * @param {object} material - Panel material properties in N/mm²
+     * @param {number} material.modulusOfRupture - Breaking stress
+     * @param {number} material.elasticModulus - Young's modulus
+     * @param {Array} material.thicknesses - Available thicknesses in mm
+     * @param {number} deflectionLimitRatio - Largest allowed bow as a fraction of the span (span / ratio)
+     */
+    constructor(material = {}, deflectionLimitRatio = GLASS_PROPERTIES.DEFLECTION_LIMIT_RATIO) {
+        this.modulusOfRupture = material.modulusOfRupture ?? GLASS_PROPERTIES.MODULUS_OF_RUPTURE;
+        this.elasticModulus = material.elasticModulus ?? GLASS_PROPERTIES.ELASTIC_MODULUS;
+        this.thicknesses = material.thicknesses ?? GLASS_PROPERTIES.STANDARD_THICKNESSES_MM;
+        this.deflectionLimitRatio = deflectionLimitRatio;
+    }
+
+    /**
+     * Get β and α for a panel's length-to-height ratio, interpolating between table rows
+     * @param {number} ratio - Panel length divided by water depth
+     * @param {boolean} topSupported - True when a brace supports the top edge
+     * @returns {object} { beta, alpha }
+     */
+    getCoefficients(ratio, topSupported = false) {
+        return this.interpolate(topSupported ? BRACED_PLATE_COEFFICIENTS : PLATE_COEFFICIENTS, ratio);
+    }
+
+    /**
+     * Look up β and α in a coefficient table, interpolating between rows
+     * @param {Array} table - Rows of { ratio, beta, alpha } in ascending ratio order
+     * @param {number} ratio - Panel aspect ratio
+     * @returns {object} { beta, alpha }
+     */
+    interpolate(table, ratio) {
+        const first = table[0];
+        const last = table[table.length - 1];
+
+        if (ratio <= first.ratio) return { beta: first.beta, alpha: first.alpha };
+        if (ratio >= last.ratio) return { beta: last.beta, alpha: last.alpha };
+
+        const upperIndex = table.findIndex(row => row.ratio >= ratio);
+        const lower = table[upperIndex - 1];
+        const upper = table[upperIndex];
+        const t = (ratio - lower.ratio) / (upper.ratio - lower.ratio);
+
+        return {
+            beta: lower.beta + t * (upper.beta - lower.beta),
+            alpha: lower.alpha + t * (upper.alpha - lower.alpha)
+        };
+    }
+
+    /**
+     * Hydrostatic pressure at the bottom of the water column
+     * @param {number} depthMm - Water depth in mm
+     * @param {string} waterType - One of WATER_TYPES
+     * @returns {number} Pressure in N/mm²
+     */
+    getBasePressure(depthMm, waterType = WATER_TYPES.FRESHWATER) {
+        const densityKgPerM3 = (DENSITIES[waterType] ?? 1) * 1000;
+        return (densityKgPerM3 * GRAVITY * depthMm / 1000) / 1e6;
+    }
+
+    /**
+     * Calculate required thickness, stress and deflection for a wall panel
+     * @param {object} panel - Panel to check
+     * @param {number} panel.lengthMm - Panel length (span) in mm
+     * @param {number} panel.depthMm - Water depth against the panel in mm
+     * @param {boolean} panel.topSupported - True when a brace supports the top edge
+     * @param {number} safetyFactor - Divisor applied to the modulus of rupture
+     * @param {string} waterType - One of WATER_TYPES
+     * @returns {object} Coefficients, required and chosen thickness (the larger of the stress and deflection
+     *                   thicknesses, with governedBy naming which), stress and deflection
+     */
+    calculatePanel({ lengthMm, depthMm, topSupported = false }, safetyFactor = GLASS_PROPERTIES.DEFAULT_SAFETY_FACTOR, waterType = WATER_TYPES.FRESHWATER) {
+        const ratio = lengthMm / depthMm;
+        const { beta, alpha } = this.getCoefficients(ratio, topSupported);
+        const pressure = this.getBasePressure(depthMm, waterType);
+
+        // σ = β·p·H² / t² and δ = α·p·H⁴ / (E·t³), limited to the shorter span / DEFLECTION_LIMIT_RATIO
+        return this.sizePanel(beta, alpha, pressure, depthMm, Math.min(lengthMm, depthMm), ratio, safetyFactor);
+    }
+
+    /**
+     * Calculate required thickness, stress and deflection for a bottom panel supported at its rim
+     * @param {object} panel - Panel to check
+     * @param {number} panel.lengthMm - Panel length in mm
+     * @param {number} panel.widthMm - Panel width in mm
+     * @param {number} panel.depthMm - Water depth above the panel in mm
+     * @param {number} safetyFactor - Divisor applied to the modulus of rupture
+     * @param {string} waterType - One of WATER_TYPES
+     * @returns {object} Coefficients, required and chosen thickness, stress and deflection
+     */
+    calculateBottomPanel({ lengthMm, widthMm, depthMm }, safetyFactor = GLASS_PROPERTIES.DEFAULT_SAFETY_FACTOR, waterType = WATER_TYPES.FRESHWATER) {
+        const shortSide = Math.min(lengthMm, widthMm);
+        const ratio = Math.max(lengthMm, widthMm) / shortSide;
+        const { beta, alpha } = this.interpolate(UNIFORM_PLATE_COEFFICIENTS, ratio);
+        const pressure = this.getBasePressure(depthMm, waterType);
+
+        // Same formulas as the walls, with the full head as a uniform load over the short span
+        return this.sizePanel(beta, alpha, pressure, shortSide, shortSide, ratio, safetyFactor);
+    }
+
+    /**
+     * Size a plate for both strength and stiffness: the thickness that keeps bending stress under the
+     * allowable stress, or the one that keeps deflection under span / deflectionLimitRatio, whichever is larger
+     * @param {number} beta - Bending coefficient
+     * @param {number} alpha - Deflection coefficient
+     * @param {number} pressure - Design pressure in N/mm²
+     * @param {number} lengthMm - Length the coefficients scale with (water depth for walls, short side for bottoms)
+     * @param {number} spanMm - Span the deflection limit is taken from
+     * @param {number} ratio - Panel aspect ratio
+     * @param {number} safetyFactor - Divisor applied to the modulus of rupture
+     * @returns {object} Coefficients, required and chosen thickness, stress and deflection
+     */
+    sizePanel(beta, alpha, pressure, lengthMm, spanMm, ratio, safetyFactor) {
+        const allowableStress = this.modulusOfRupture / safetyFactor;
+        const deflectionLimitMm = spanMm / this.deflectionLimitRatio;
+        const moment = beta * pressure * lengthMm * lengthMm;
+        const bowing = (alpha * pressure * Math.pow(lengthMm, 4)) / this.elasticModulus;
+
+        // t = √(β·p·L² / σ_allow) for strength, t = ∛(α·p·L⁴ / (E·δ_limit)) for stiffness; an unloaded
+        // panel (no water against it) needs neither, and its zero span would make the stiffness check 0 / 0
+        const unloaded = pressure <= 0 || spanMm <= 0;
+        const stressRequiredMm = unloaded ? 0 : Math.sqrt(moment / allowableStress);
+        const deflectionRequiredMm = unloaded ? 0 : Math.cbrt(bowing / deflectionLimitMm);
+        const requiredMm = Math.max(stressRequiredMm, deflectionRequiredMm);
+        const thicknessMm = this.getStandardThickness(requiredMm);
+        const stress = moment / (thicknessMm * thicknessMm);
+        const deflectionMm = bowing / Math.pow(thicknessMm, 3);
+
+        return {
+            ratio: ratio,
+            beta: beta,
+            alpha: alpha,
+            requiredMm: requiredMm,
+            stressRequiredMm: stressRequiredMm,
+            deflectionRequiredMm: deflectionRequiredMm,
+            governedBy: deflectionRequiredMm > stressRequiredMm ? 'deflection' : 'stress',
+            thicknessMm: thicknessMm,
+            allowableStress: allowableStress,
+            stress: stress,
+            deflectionMm: deflectionMm,
+            deflectionLimitMm: deflectionLimitMm,
+            adequate: stress <= allowableStress && deflectionMm <= deflectionLimitMm,
+            safetyFactor: safetyFactor
+        };
+    }
+
+    /**
+     * Round a required thickness up to the next available thickness
+     * @param {number} requiredMm - Required thickness in mm
+     * @returns {number} Available thickness in mm (largest available if none is enough)
+     */
+    getStandardThickness(requiredMm) {
+        return this.thicknesses.find(thickness => thickness >= requiredMm) ??
+            this.thicknesses[this.thicknesses.length - 1];
+    }
+
+    /**
+     * Convert inches to millimetres
+     * @param {number} inches - Length in inches
+     * @returns {number} Length in mm
+     */
+    static toMm(inches) {
+        return inches * CONVERSIONS.INCHES_TO_CM * 10;
+    }
+}
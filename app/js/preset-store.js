@@ -0,0 +1,284 @@
+// User-defined tank presets persisted in localStorage
+import { CUSTOM_PRESETS, UNIT_SYSTEMS, TANK_SHAPES, PANEL_MATERIALS, WATER_LEVEL_MODES } from './constants.js';
+import { TankShape } from './tank-shape.js';
+
+export class PresetStore {
+    /**
+     * @param {Storage} storage - Web Storage to persist in (default: localStorage, or memory if unavailable)
+     * @param {string} key - Storage key
+     */
+    constructor(storage = PresetStore.getDefaultStorage(), key = CUSTOM_PRESETS.STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.presets = this.load();
+    }
+
+    /**
+     * Get localStorage if the browser allows it, otherwise an in-memory stand-in
+     * @returns {object} Object with getItem and setItem
+     */
+    static getDefaultStorage() {
+        try {
+            const storage = globalThis.localStorage;
+            const probe = `${CUSTOM_PRESETS.STORAGE_KEY}.probe`;
+            storage.setItem(probe, probe);
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            console.warn('localStorage unavailable, custom presets will not persist');
+            const memory = new Map();
+            return {
+                getItem: (key) => memory.get(key) ?? null,
+                setItem: (key, value) => memory.set(key, String(value))
+            };
+        }
+    }
+
+    /**
+     * Read presets from storage
+     * @returns {Array} Stored presets, or an empty list if none or unreadable
+     */
+    load() {
+        try {
+            const stored = this.storage.getItem(this.key);
+            if (!stored) return [];
+            return this.parsePresets(JSON.parse(stored)).presets;
+        } catch (error) {
+            console.warn('Could not read custom presets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write presets to storage
+     */
+    persist() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: CUSTOM_PRESETS.VERSION, presets: this.presets }));
+        } catch (error) {
+            console.error('Could not save custom presets:', error);
+        }
+    }
+
+    /**
+     * Get all presets in display order
+     * @returns {Array} Presets
+     */
+    getAll() {
+        return [...this.presets];
+    }
+
+    /**
+     * Get a preset by id
+     * @param {string} id - Preset id
+     * @returns {object|null} Preset or null if not found
+     */
+    get(id) {
+        const preset = this.presets.find(p => p.id === id);
+        if (!preset) {
+            console.warn(`Unknown custom preset: ${id}`);
+            return null;
+        }
+        return preset;
+    }
+
+    /**
+     * Save a configuration as a new preset at the end of the list
+     * @param {object} config - { name, width, length, height, unitSystem, shape, shapeParams, waterLevel, material }
+     * @returns {object|null} Saved preset, or null if the configuration is invalid
+     */
+    add(config) {
+        const errors = this.validatePreset(config);
+        if (errors.length > 0) {
+            console.warn('Invalid custom preset:', errors);
+            return null;
+        }
+
+        const preset = { ...this.normalize(config), id: this.createId() };
+        this.presets.push(preset);
+        this.persist();
+        return preset;
+    }
+
+    /**
+     * Rename a preset
+     * @param {string} id - Preset id
+     * @param {string} name - New name
+     * @returns {object|null} Renamed preset or null if not found or the name is blank
+     */
+    rename(id, name) {
+        const preset = this.get(id);
+        const trimmed = String(name ?? '').trim().slice(0, CUSTOM_PRESETS.MAX_NAME_LENGTH);
+        if (!preset || !trimmed) return null;
+
+        preset.name = trimmed;
+        this.persist();
+        return preset;
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} id - Preset id
+     */
+    remove(id) {
+        this.presets = this.presets.filter(p => p.id !== id);
+        this.persist();
+    }
+
+    /**
+     * Move a preset up or down the list
+     * @param {string} id - Preset id
+     * @param {number} offset - Positions to move (-1 earlier, 1 later)
+     */
+    move(id, offset) {
+        const index = this.presets.findIndex(p => p.id === id);
+        if (index === -1) {
+            console.warn(`Unknown custom preset: ${id}`);
+            return;
+        }
+
+        const target = Math.max(0, Math.min(this.presets.length - 1, index + offset));
+        const [preset] = this.presets.splice(index, 1);
+        this.presets.splice(target, 0, preset);
+        this.persist();
+    }
+
+    /**
+     * Export the preset list as JSON
+     * @returns {string} JSON text for download
+     */
+    exportJSON() {
+        return JSON.stringify({ version: CUSTOM_PRESETS.VERSION, presets: this.presets }, null, 2);
+    }
+
+    /**
+     * Import presets from exported JSON, appending them to the list
+     * @param {string} text - JSON text from exportJSON
+     * @returns {object} { added, skipped } where skipped lists { name, errors } for invalid presets
+     */
+    importJSON(text) {
+        const { presets, skipped } = this.parsePresets(JSON.parse(text));
+
+        // Imported presets always get fresh ids so they never clash with existing ones
+        presets.forEach(preset => this.presets.push({ ...preset, id: this.createId() }));
+        this.persist();
+
+        if (skipped.length > 0) {
+            console.warn(`Skipped ${skipped.length} invalid custom presets:`, skipped);
+        }
+        return { added: presets.length, skipped };
+    }
+
+    /**
+     * Pull valid presets out of stored or exported data
+     * @param {Array|object} data - Array of presets, or { presets: [...] }
+     * @returns {object} { presets, skipped }
+     */
+    parsePresets(data) {
+        const list = Array.isArray(data) ? data : data?.presets;
+        if (!Array.isArray(list)) {
+            throw new Error('Preset data has no presets array');
+        }
+
+        const presets = [];
+        const skipped = [];
+        list.forEach((preset, index) => {
+            const errors = this.validatePreset(preset);
+            if (errors.length > 0) {
+                skipped.push({ name: preset?.name ?? `#${index + 1}`, errors });
+            } else {
+                presets.push({ ...this.normalize(preset), id: preset.id || this.createId() });
+            }
+        });
+
+        return { presets, skipped };
+    }
+
+    /**
+     * Check a preset has a name, dimensions and units, and that its shape, shape parameters and material are known
+     * @param {object} preset - Preset or configuration
+     * @returns {Array} Error messages; empty if valid
+     */
+    validatePreset(preset) {
+        if (!preset || typeof preset !== 'object') return ['Preset is not an object'];
+
+        // Imported JSON may hold numeric strings, which would reach the sliders as text
+        const isPositiveNumber = (value) => typeof value === 'number' && value > 0 && Number.isFinite(value);
+
+        const errors = [];
+        if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+            errors.push('Missing name');
+        }
+        ['width', 'length', 'height'].forEach(dim => {
+            if (!isPositiveNumber(preset[dim])) errors.push(`${dim} must be a positive number`);
+        });
+        if (!Object.values(UNIT_SYSTEMS).includes(preset.unitSystem)) {
+            errors.push(`Unknown unit system: ${preset.unitSystem}`);
+        }
+        if (preset.waterLevel) {
+            if (!Object.values(WATER_LEVEL_MODES).includes(preset.waterLevel.mode)) {
+                errors.push(`Unknown water level mode: ${preset.waterLevel.mode}`);
+            }
+            if (typeof preset.waterLevel.value !== 'number' || !(preset.waterLevel.value >= 0) || !Number.isFinite(preset.waterLevel.value)) {
+                errors.push('Water level must be zero or more');
+            }
+        }
+        if (preset.shape && !Object.values(TANK_SHAPES).includes(preset.shape)) {
+            errors.push(`Unknown shape: ${preset.shape}`);
+        }
+        if (preset.shapeParams !== undefined && preset.shapeParams !== null) {
+            if (typeof preset.shapeParams !== 'object' || Array.isArray(preset.shapeParams)) {
+                errors.push('shapeParams must be an object');
+            } else {
+                const known = Object.keys(TankShape.getDefaultParams(preset.shape));
+                Object.entries(preset.shapeParams).forEach(([param, value]) => {
+                    if (!known.includes(param)) {
+                        errors.push(`Unknown ${preset.shape || TANK_SHAPES.RECTANGLE} parameter: ${param}`);
+                    } else if (!isPositiveNumber(value)) {
+                        errors.push(`${param} must be a positive number`);
+                    }
+                });
+            }
+        }
+        if (preset.material && !Object.values(PANEL_MATERIALS).includes(preset.material)) {
+            errors.push(`Unknown material: ${preset.material}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Keep only the fields a preset stores
+     * @param {object} preset - Valid preset or configuration
+     * @returns {object} Preset without an id; shapeParams keeps only the shape's own parameters, in the preset's unit system
+     */
+    normalize(preset) {
+        const shapeParams = Object.fromEntries(Object.keys(TankShape.getDefaultParams(preset.shape))
+            .filter(param => preset.shapeParams?.[param] !== undefined)
+            .map(param => [param, preset.shapeParams[param]]));
+
+        return {
+            name: preset.name.trim().slice(0, CUSTOM_PRESETS.MAX_NAME_LENGTH),
+            width: preset.width,
+            length: preset.length,
+            height: preset.height,
+            unitSystem: preset.unitSystem,
+            shape: preset.shape || null,
+            shapeParams: Object.keys(shapeParams).length > 0 ? shapeParams : null,
+            waterLevel: preset.waterLevel ? { mode: preset.waterLevel.mode, value: preset.waterLevel.value } : null,
+            material: preset.material || null
+        };
+    }
+
+    /**
+     * Create a unique preset id
+     * @returns {string} Id
+     */
+    createId() {
+        let id;
+        do {
+            id = `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+        } while (this.presets?.some(p => p.id === id));
+        return id;
+    }
+}
@@ -0,0 +1,293 @@
+// Local catalog of real equipment products matched against the generic recommendations
+import { EQUIPMENT_UNITS, PRODUCT_CATALOG_URL, PRODUCT_PLACEMENTS, PRODUCT_MATCH_LIMIT, CONVERSIONS } from './constants.js';
+
+const LENGTH_UNITS = ['in', 'cm'];
+
+// How a product's rating compares with the recommended range, best first
+const RATINGS = ['in-range', 'oversized', 'undersized'];
+
+export class ProductCatalog {
+    /**
+     * @param {Array} products - Initial products
+     */
+    constructor(products = []) {
+        this.products = [];
+        this.addProducts(products, 'initial');
+    }
+
+    /**
+     * Fetch a product catalog JSON file and add its products
+     * @param {string} url - Catalog URL (default: the bundled sample catalog)
+     * @returns {Promise<object>} { added, skipped } from addProducts
+     */
+    async load(url = PRODUCT_CATALOG_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.addProducts(await response.json(), url);
+        } catch (error) {
+            console.error(`Could not load product catalog from ${url}:`, error);
+            return { added: 0, skipped: [] };
+        }
+    }
+
+    /**
+     * Add products from parsed catalog JSON. Products with an existing id replace it.
+     * @param {Array|object} data - Array of products, or { products: [...] }
+     * @param {string} source - Where the products came from, kept on each product
+     * @returns {object} { added, skipped } where skipped lists { id, errors } for invalid products
+     */
+    addProducts(data, source = 'import') {
+        const products = Array.isArray(data) ? data : data?.products;
+        if (!Array.isArray(products)) {
+            console.warn(`Product catalog from ${source} has no products array`);
+            return { added: 0, skipped: [] };
+        }
+
+        let added = 0;
+        const skipped = [];
+        products.forEach((product, index) => {
+            const errors = this.validateProduct(product);
+            if (errors.length > 0) {
+                skipped.push({ id: product?.id ?? `#${index + 1}`, errors });
+                return;
+            }
+
+            this.products = this.products.filter(existing => existing.id !== product.id);
+            this.products.push({ ...product, source });
+            added++;
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`Skipped ${skipped.length} invalid products from ${source}:`, skipped);
+        }
+        return { added, skipped };
+    }
+
+    /**
+     * Check a product has everything matching needs
+     * @param {object} product - Catalog product
+     * @returns {Array} Error messages; empty if the product is valid
+     */
+    validateProduct(product) {
+        if (!product || typeof product !== 'object') return ['Product is not an object'];
+
+        const errors = [];
+        ['id', 'model', 'manufacturer', 'category'].forEach(field => {
+            if (typeof product[field] !== 'string' || product[field].trim() === '') {
+                errors.push(`Missing ${field}`);
+            }
+        });
+
+        // Unrated products (such as thermometers) leave both rated and unit null
+        const units = Object.values(EQUIPMENT_UNITS);
+        if (product.unit === null || product.unit === undefined) {
+            if (product.rated !== null && product.rated !== undefined) {
+                errors.push('A rated product needs a unit');
+            }
+        } else {
+            if (!units.includes(product.unit)) {
+                errors.push(`Unknown unit: ${product.unit}`);
+            }
+            if (!(product.rated > 0)) {
+                errors.push('rated must be a positive number');
+            }
+        }
+
+        const dims = product.dimensions;
+        if (!dims || !LENGTH_UNITS.includes(dims.unit)) {
+            errors.push(`dimensions need a unit of ${LENGTH_UNITS.join(' or ')}`);
+        } else {
+            ['width', 'length', 'height'].forEach(dim => {
+                if (!(dims[dim] > 0)) errors.push(`dimensions ${dim} must be a positive number`);
+            });
+            if (dims.coverage !== undefined && !(dims.coverage > 0)) {
+                errors.push('dimensions coverage must be a positive number');
+            }
+        }
+
+        ['powerW', 'price'].forEach(field => {
+            if (typeof product[field] !== 'number' || product[field] < 0) {
+                errors.push(`${field} must be zero or more`);
+            }
+        });
+        if (!Object.values(PRODUCT_PLACEMENTS).includes(product.placement)) {
+            errors.push(`Unknown placement: ${product.placement}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get a product by id
+     * @param {string} id - Product id
+     * @returns {object|null} Product or null if not found
+     */
+    getProduct(id) {
+        const product = this.products.find(p => p.id === id);
+        if (!product) {
+            console.warn(`Unknown product: ${id}`);
+            return null;
+        }
+        return product;
+    }
+
+    /**
+     * Get a product's dimensions in inches
+     * @param {object} product - Catalog product
+     * @returns {object} { width, length, height, coverage } in inches; coverage is how much of the
+     *                   front a light covers, its width unless the catalog gives a wider spread
+     */
+    getDimensionsInches(product) {
+        const { width, length, height, coverage = width, unit } = product.dimensions;
+        const factor = unit === 'cm' ? 1 / CONVERSIONS.INCHES_TO_CM : 1;
+        return { width: width * factor, length: length * factor, height: height * factor, coverage: coverage * factor };
+    }
+
+    /**
+     * The rating a product needs to meet a recommendation. A lighting recommendation is met
+     * fixture by fixture, so its products are rated against the chosen fixture's output and keep
+     * the layout to work out how many of them cover the front.
+     * @param {object} recommendation - Recommendation from EquipmentRecommender
+     * @returns {object|null} { min, max, unit, count, fixture }, or null if there is nothing to buy
+     */
+    getRequirement(recommendation) {
+        const { fixture } = recommendation;
+        if (fixture) {
+            return { min: fixture.output, max: null, unit: recommendation.unit, count: fixture.count, fixture };
+        }
+        if (recommendation.unit !== null && (recommendation.min === null || recommendation.max === 0)) {
+            return null; // Nothing needed ("No heater needed"), or too large to size against
+        }
+        return { min: recommendation.min, max: recommendation.max, unit: recommendation.unit, count: 1 };
+    }
+
+    /**
+     * How many of a product meet a requirement. A light has to cover the same span of the front as
+     * a row of the recommended fixtures, so a short bar or a puck takes several per row.
+     * @param {object} product - Catalog product
+     * @param {object} requirement - Requirement from getRequirement
+     * @returns {number} Units to buy
+     */
+    getCount(product, requirement) {
+        const { fixture } = requirement;
+        if (!fixture) return requirement.count;
+
+        const span = fixture.perRow * fixture.lengthIn;
+        // Allow an inch short of the span so a 47.5" bar still counts as a 48" fixture
+        const perRow = Math.max(1, Math.ceil((span - 1) / this.getDimensionsInches(product).coverage));
+        return perRow * fixture.rows;
+    }
+
+    /**
+     * Check whether a product fits where it goes
+     * @param {object} product - Catalog product
+     * @param {object} space - { tank, stand } as { width, length, height } in inches; stand may be null
+     * @param {number} perRow - Units side by side along the front, for rim products (default: 1)
+     * @returns {boolean|null} True if it fits, false if not, null if the space is unknown
+     */
+    getFit(product, space, perRow = 1) {
+        const dims = this.getDimensionsInches(product);
+        const fitsBox = (box) => {
+            if (!box || !(box.width > 0 && box.length > 0 && box.height > 0)) return null;
+            // Any orientation will do: compare the sides largest to largest
+            const sides = [dims.width, dims.length, dims.height].sort((a, b) => b - a);
+            const room = [box.width, box.length, box.height].sort((a, b) => b - a);
+            return sides.every((side, index) => side <= room[index]);
+        };
+
+        switch (product.placement) {
+            case PRODUCT_PLACEMENTS.TANK:
+                return fitsBox(space.tank);
+            case PRODUCT_PLACEMENTS.RIM:
+                return space.tank?.width > 0 ? dims.width * perRow <= space.tank.width : null;
+            case PRODUCT_PLACEMENTS.STAND:
+                return fitsBox(space.stand);
+            default:
+                console.warn(`Unknown product placement: ${product.placement}`);
+                return null;
+        }
+    }
+
+    /**
+     * Find the products that best meet a recommendation: those that fit first, then rated inside the
+     * recommended range, then the smallest miss, then the cheapest. Undersized products are left out.
+     * @param {string} type - Equipment type (the product category)
+     * @param {object} recommendation - Recommendation from EquipmentRecommender
+     * @param {object} space - { tank, stand } as { width, length, height } in inches; stand may be null
+     * @param {number} limit - Most products to return (default: PRODUCT_MATCH_LIMIT)
+     * @returns {Array} Matches of { product, rating, miss, fits, count, perRow }
+     */
+    match(type, recommendation, space, limit = PRODUCT_MATCH_LIMIT) {
+        const requirement = recommendation ? this.getRequirement(recommendation) : null;
+        if (!requirement) return [];
+
+        const fitOrder = (fits) => fits === true ? 0 : fits === null ? 1 : 2;
+
+        return this.products
+            .filter(product => product.category === type && (product.unit ?? null) === requirement.unit)
+            .map(product => {
+                let rating = 'in-range';
+                let miss = 0;
+                if (requirement.unit !== null) {
+                    if (product.rated < requirement.min) {
+                        rating = 'undersized';
+                        miss = (requirement.min - product.rated) / requirement.min;
+                    } else if (requirement.max !== null && product.rated > requirement.max) {
+                        rating = 'oversized';
+                        miss = (product.rated - requirement.max) / requirement.max;
+                    }
+                }
+                const count = this.getCount(product, requirement);
+                const perRow = requirement.fixture ? count / requirement.fixture.rows : 1;
+                return { product, rating, miss, fits: this.getFit(product, space, perRow), count, perRow };
+            })
+            .filter(match => match.rating !== 'undersized')
+            .sort((a, b) => fitOrder(a.fits) - fitOrder(b.fits) ||
+                RATINGS.indexOf(a.rating) - RATINGS.indexOf(b.rating) ||
+                a.miss - b.miss ||
+                a.product.price * a.count - b.product.price * b.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Match every recommendation against the catalog
+     * @param {object} recommendations - Recommendations from EquipmentRecommender.getAllRecommendations
+     * @param {object} space - { tank, stand } as { width, length, height } in inches; stand may be null
+     * @param {number} limit - Most products per recommendation (default: PRODUCT_MATCH_LIMIT)
+     * @returns {object} Matches keyed by equipment type
+     */
+    matchAll(recommendations, space, limit = PRODUCT_MATCH_LIMIT) {
+        return Object.fromEntries(Object.entries(recommendations)
+            .map(([type, recommendation]) => [type, this.match(type, recommendation, space, limit)]));
+    }
+
+    /**
+     * Describe a match for display
+     * @param {object} match - Match from match
+     * @returns {string} Product, rating, power, price and where it fits
+     */
+    static describe(match) {
+        const { product, rating, fits, count, perRow = 1 } = match;
+        const name = `${count > 1 ? `${count}× ` : ''}${product.manufacturer} ${product.model}`;
+        const specs = [
+            product.unit ? `${product.rated} ${product.unit}` : null,
+            product.powerW > 0 && product.unit !== EQUIPMENT_UNITS.WATTS ? `${product.powerW} W` : null,
+            `$${(product.price * count).toFixed(2)}`
+        ].filter(Boolean).join(', ');
+
+        const places = {
+            [PRODUCT_PLACEMENTS.TANK]: ['fits in the tank', 'too big for the tank', 'check the tank size'],
+            [PRODUCT_PLACEMENTS.RIM]: perRow > 1
+                ? [`${perRow} per row fit along the front`, `${perRow} per row are longer than the tank front`, 'check the tank size']
+                : ['fits along the front', 'longer than the tank front', 'check the tank size'],
+            [PRODUCT_PLACEMENTS.STAND]: ['fits in the stand', 'too big for the stand', 'set the stand space to check the fit']
+        };
+        const [fitText, tooBigText, unknownText] = places[product.placement] ?? ['', '', ''];
+        const fit = fits === true ? fitText : fits === false ? tooBigText : unknownText;
+
+        return `${name} (${specs})${rating === 'oversized' ? ' - above the range' : ''}${fit ? ` - ${fit}` : ''}`;
+    }
+}
@@ -0,0 +1,167 @@
+// Multi-condition rules that replace or add notes to an equipment recommendation
+const NUMERIC_OPERATORS = ['above', 'below', 'atLeast', 'atMost'];
+const RECOMMENDATION_FIELDS = ['min', 'max', 'unit', 'text'];
+
+export class RuleEngine {
+    /**
+     * @param {Array} rules - Rules of { id, priority, when, set, note, final }
+     */
+    constructor(rules = []) {
+        // Highest priority first; rules of equal priority keep their order
+        this.rules = rules
+            .map((rule, index) => ({ priority: 0, when: {}, ...rule, id: rule.id ?? `rule-${index + 1}` }))
+            .sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Check a rule is well formed
+     * @param {object} rule - Rule of { id, priority, when, set, note, final }
+     * @param {Array} facts - Fact names the rule may test (omit to allow any)
+     * @returns {Array} Error messages; empty if the rule is valid
+     */
+    static validateRule(rule, facts = null) {
+        if (!rule || typeof rule !== 'object') return ['Rule is not an object'];
+
+        const errors = [];
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+            errors.push('priority must be a number');
+        }
+        if (rule.when !== undefined && (typeof rule.when !== 'object' || rule.when === null || Array.isArray(rule.when))) {
+            errors.push('when must be an object of conditions');
+        } else {
+            Object.entries(rule.when ?? {}).forEach(([fact, condition]) => {
+                if (facts && !facts.includes(fact)) {
+                    errors.push(`Unknown fact: ${fact}`);
+                }
+                if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                    const operators = Object.keys(condition);
+                    if (operators.length === 0 || operators.some(op => !NUMERIC_OPERATORS.includes(op) || typeof condition[op] !== 'number')) {
+                        errors.push(`${fact} needs numeric ${NUMERIC_OPERATORS.join(', ')} bounds`);
+                    }
+                }
+            });
+        }
+        if (rule.set !== undefined) {
+            if (typeof rule.set !== 'object' || rule.set === null || Array.isArray(rule.set)) {
+                errors.push('set must be an object');
+            } else {
+                ['min', 'max'].forEach(field => {
+                    if (rule.set[field] !== undefined && rule.set[field] !== null && typeof rule.set[field] !== 'number') {
+                        errors.push(`set.${field} must be a number or null`);
+                    }
+                });
+                ['unit', 'text'].forEach(field => {
+                    if (rule.set[field] !== undefined && typeof rule.set[field] !== 'string') {
+                        errors.push(`set.${field} must be text`);
+                    }
+                });
+                if (rule.set.notes !== undefined && !Array.isArray(rule.set.notes)) {
+                    errors.push('set.notes must be an array');
+                }
+            }
+        }
+        if (rule.note !== undefined && typeof rule.note !== 'string') {
+            errors.push('note must be text');
+        }
+        if (rule.set === undefined && rule.note === undefined) {
+            errors.push('Rule needs a set or a note');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Facts tested by any rule, in first-seen order
+     * @returns {Array} Fact names
+     */
+    getFactNames() {
+        return [...new Set(this.rules.flatMap(rule => Object.keys(rule.when)))];
+    }
+
+    /**
+     * Check every condition of a rule against the facts
+     * @param {object} rule - Rule with when conditions
+     * @param {object} facts - Fact values by name
+     * @returns {boolean} True if all conditions hold
+     */
+    matches(rule, facts) {
+        return Object.entries(rule.when).every(([fact, condition]) => {
+            const value = facts[fact];
+            if (Array.isArray(condition)) return condition.includes(value);
+            if (condition === null || typeof condition !== 'object') return value === condition;
+
+            if (typeof value !== 'number' || isNaN(value)) return false;
+            return (condition.above === undefined || value > condition.above) &&
+                (condition.below === undefined || value < condition.below) &&
+                (condition.atLeast === undefined || value >= condition.atLeast) &&
+                (condition.atMost === undefined || value <= condition.atMost);
+        });
+    }
+
+    /**
+     * Apply matching rules in priority order. The highest-priority matching set replaces the row's values
+     * (and its notes, if the set has any); every matching note is added; a final rule stops the rest.
+     * @param {object} recommendation - Recommendation built from the matched table row
+     * @param {object} facts - Fact values by name
+     * @returns {object} The adjusted recommendation; each matching rule is added to trace.modifiers if it has a trace
+     */
+    apply(recommendation, facts) {
+        const result = { ...recommendation, notes: [...recommendation.notes] };
+        const modifiers = [];
+        let replaced = false;
+
+        for (const rule of this.rules) {
+            if (!this.matches(rule, facts)) continue;
+
+            const effects = [];
+            if (rule.set && !replaced) {
+                RECOMMENDATION_FIELDS.forEach(field => {
+                    if (rule.set[field] !== undefined) result[field] = rule.set[field];
+                });
+                if (rule.set.notes) result.notes = rule.set.notes.map(note => RuleEngine.format(note, facts));
+                replaced = true;
+                effects.push(`replaced with "${result.text}"`);
+            }
+            if (rule.note) {
+                const note = RuleEngine.format(rule.note, facts);
+                result.notes.push(note);
+                effects.push(`added "${note}"`);
+            }
+            if (rule.final) effects.push('stopped further rules');
+            modifiers.push(`${rule.id} (${RuleEngine.describeConditions(rule.when)}): ${effects.join(', ') || 'no change'}`);
+            if (rule.final) break;
+        }
+        if (recommendation.trace) {
+            result.trace = { ...recommendation.trace, modifiers: [...recommendation.trace.modifiers, ...modifiers] };
+        }
+        return result;
+    }
+
+    /**
+     * Describe a rule's conditions for the reasoning trace
+     * @param {object} when - Conditions by fact name
+     * @returns {string} Conditions such as "volume > 40 and tankType is reef or fowlr"
+     */
+    static describeConditions(when) {
+        const symbols = { above: '>', below: '<', atLeast: '≥', atMost: '≤' };
+        const conditions = Object.entries(when ?? {}).map(([fact, condition]) => {
+            if (Array.isArray(condition)) return `${fact} is ${condition.join(' or ')}`;
+            if (condition === null || typeof condition !== 'object') return `${fact} is ${condition}`;
+            return NUMERIC_OPERATORS
+                .filter(op => condition[op] !== undefined)
+                .map(op => `${fact} ${symbols[op]} ${condition[op]}`)
+                .join(' and ');
+        });
+        return conditions.length > 0 ? conditions.join(' and ') : 'always';
+    }
+
+    /**
+     * Fill {fact} placeholders in a note
+     * @param {string} template - Note text with {fact} placeholders
+     * @param {object} facts - Fact values by name
+     * @returns {string} Note with placeholders replaced; unknown facts are left as written
+     */
+    static format(template, facts) {
+        return template.replace(/\{(\w+)\}/g, (match, fact) => facts[fact] !== undefined ? String(facts[fact]) : match);
+    }
+}
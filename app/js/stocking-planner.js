@@ -0,0 +1,209 @@
+// Checks a stock list against the tank: space, bioload, filtration and shared water parameters
+import { STOCKING_LIMITS, TEMPERAMENTS, WATER_TYPES, CONVERSIONS } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { LivestockDatabase } from './livestock-database.js';
+import { ThermalModel } from './thermal-model.js';
+
+export class StockingPlanner {
+    /**
+     * @param {LivestockDatabase} database - Species to plan with
+     */
+    constructor(database = new LivestockDatabase()) {
+        this.database = database;
+    }
+
+    /**
+     * Check a stock list against a tank
+     * @param {object} tank - Tank to stock
+     * @param {number} tank.length - Front-to-back length in inches
+     * @param {number} tank.width - Front width in inches
+     * @param {TankShape} tank.shape - Tank shape (default: rectangular)
+     * @param {number} tank.volumeGallons - Water volume in gallons
+     * @param {string} tank.waterType - One of WATER_TYPES
+     * @param {number} tank.targetC - Planned water temperature in °C (optional)
+     * @param {number} tank.filterGph - Flow of the filter in use in GPH (optional)
+     * @param {Array} stock - Stock list as { speciesId, count }
+     * @returns {object} Per-species rows, bioload, shared temperature and pH ranges, and issues
+     */
+    check({ length, width, shape = new TankShape(), volumeGallons, waterType = WATER_TYPES.FRESHWATER, targetC, filterGph }, stock) {
+        const rows = stock
+            .map(({ speciesId, count }) => ({ species: this.database.get(speciesId), count: Math.max(0, Math.round(count)) }))
+            .filter(row => row.species && row.count > 0);
+        const issues = [];
+
+        // Space: the longest wall sets swimming room, the base area sets territory
+        const tankLength = shape.getMaxPanelSpan(length, width);
+        const footprint = shape.getBaseArea(length, width);
+        rows.forEach(({ species, count }) => {
+            if (species.waterType !== waterType) {
+                issues.push({ kind: 'water-type', level: 'error', species: [species.name], actual: waterType, limit: species.waterType });
+            }
+            if (tankLength < species.minTankLengthIn) {
+                issues.push({ kind: 'tank-length', level: 'error', species: [species.name], actual: tankLength, limit: species.minTankLengthIn, unit: 'in' });
+            }
+            if (footprint < species.minFootprintSqIn) {
+                issues.push({ kind: 'footprint', level: 'error', species: [species.name], actual: footprint, limit: species.minFootprintSqIn, unit: 'sqin' });
+            }
+            if (count < species.minGroup) {
+                issues.push({ kind: 'group-size', level: 'warning', species: [species.name], actual: count, limit: species.minGroup, unit: 'count' });
+            }
+        });
+
+        const bioload = this.getBioload(rows, volumeGallons, filterGph);
+        if (bioload.percent > STOCKING_LIMITS.MAX_PERCENT) {
+            issues.push({ kind: 'bioload', level: 'error', species: [], actual: bioload.percent, limit: STOCKING_LIMITS.MAX_PERCENT, unit: 'percent' });
+        } else if (bioload.percent > STOCKING_LIMITS.WARNING_PERCENT) {
+            issues.push({ kind: 'bioload', level: 'warning', species: [], actual: bioload.percent, limit: STOCKING_LIMITS.WARNING_PERCENT, unit: 'percent' });
+        }
+        if (filterGph > 0 && bioload.requiredGph > filterGph) {
+            issues.push({ kind: 'filtration', level: 'warning', species: [], actual: filterGph, limit: bioload.requiredGph, unit: 'gph' });
+        }
+
+        const temperature = this.getSharedRange(rows, 'temperatureC');
+        const ph = this.getSharedRange(rows, 'ph');
+        [['temperatureC', temperature, 'C'], ['ph', ph, 'ph']].forEach(([field, range, unit]) => {
+            if (range.conflict) {
+                issues.push({
+                    kind: field === 'ph' ? 'ph-range' : 'temperature-range',
+                    level: 'error',
+                    species: [range.conflict.warmest.name, range.conflict.coolest.name],
+                    actual: range.conflict.warmest[field].min,
+                    limit: range.conflict.coolest[field].max,
+                    unit: unit
+                });
+            }
+        });
+        if (targetC !== undefined && rows.length > 0 && !temperature.conflict &&
+            (targetC < temperature.min || targetC > temperature.max)) {
+            issues.push({ kind: 'target-temperature', level: 'warning', species: [], actual: targetC, limit: temperature, unit: 'C' });
+        }
+
+        issues.push(...this.getTemperamentIssues(rows));
+
+        return {
+            rows: rows.map(({ species, count }) => ({ ...species, count, bioloadTotal: species.bioload * count })),
+            bioload: bioload,
+            temperatureC: temperature.conflict ? null : temperature,
+            ph: ph.conflict ? null : ph,
+            issues: issues,
+            ok: !issues.some(issue => issue.level === 'error')
+        };
+    }
+
+    /**
+     * Total bioload, how full the tank is, and the filter flow it needs
+     * @param {Array} rows - Rows of { species, count }
+     * @param {number} volumeGallons - Water volume in gallons
+     * @param {number} filterGph - Flow of the filter in use in GPH (optional)
+     * @returns {object} { total, capacity, percent, requiredGph, filterGph }
+     */
+    getBioload(rows, volumeGallons, filterGph = null) {
+        const total = rows.reduce((sum, { species, count }) => sum + species.bioload * count, 0);
+        const capacity = volumeGallons * STOCKING_LIMITS.BIOLOAD_PER_GALLON;
+
+        return {
+            total: total,
+            capacity: capacity,
+            percent: capacity > 0 ? (total / capacity) * 100 : 0,
+            requiredGph: total * STOCKING_LIMITS.GPH_PER_BIOLOAD,
+            filterGph: filterGph > 0 ? filterGph : null
+        };
+    }
+
+    /**
+     * Intersect a parameter range across every species
+     * @param {Array} rows - Rows of { species, count }
+     * @param {string} field - Range field ('temperatureC' or 'ph')
+     * @returns {object} { min, max } overlap, plus conflict { warmest, coolest } if there is none
+     */
+    getSharedRange(rows, field) {
+        if (rows.length === 0) return { min: null, max: null, conflict: null };
+
+        // The species with the highest minimum and the one with the lowest maximum bound the overlap
+        const warmest = rows.reduce((best, { species }) => species[field].min > best[field].min ? species : best, rows[0].species);
+        const coolest = rows.reduce((best, { species }) => species[field].max < best[field].max ? species : best, rows[0].species);
+
+        return {
+            min: warmest[field].min,
+            max: coolest[field].max,
+            conflict: warmest[field].min > coolest[field].max ? { warmest, coolest } : null
+        };
+    }
+
+    /**
+     * Flag aggressive species kept with peaceful ones
+     * @param {Array} rows - Rows of { species, count }
+     * @returns {Array} Temperament issues
+     */
+    getTemperamentIssues(rows) {
+        const byTemperament = (temperament) => rows
+            .filter(({ species }) => species.temperament === temperament)
+            .map(({ species }) => species.name);
+        const aggressive = byTemperament(TEMPERAMENTS.AGGRESSIVE);
+        const semiAggressive = byTemperament(TEMPERAMENTS.SEMI_AGGRESSIVE);
+        const peaceful = byTemperament(TEMPERAMENTS.PEACEFUL);
+
+        const issues = [];
+        if (aggressive.length > 0 && peaceful.length + semiAggressive.length > 0) {
+            issues.push({ kind: 'temperament', level: 'warning', species: aggressive, actual: TEMPERAMENTS.AGGRESSIVE, limit: [...semiAggressive, ...peaceful] });
+        } else if (semiAggressive.length > 0 && peaceful.length > 0) {
+            issues.push({ kind: 'temperament', level: 'warning', species: semiAggressive, actual: TEMPERAMENTS.SEMI_AGGRESSIVE, limit: peaceful });
+        }
+        return issues;
+    }
+
+    /**
+     * Describe an issue in the user's units
+     * @param {object} issue - Issue from check
+     * @param {boolean} isMetric - True to show cm, cm², °C and L/h
+     * @returns {string} Human-readable description
+     */
+    static describe(issue, isMetric = false) {
+        const formatValue = (value) => {
+            switch (issue.unit) {
+                case 'in':
+                    return isMetric ? `${Math.round(value * CONVERSIONS.INCHES_TO_CM)} cm` : `${Math.round(value * 10) / 10}"`;
+                case 'sqin':
+                    return isMetric ?
+                        `${Math.round(value * CONVERSIONS.INCHES_TO_CM * CONVERSIONS.INCHES_TO_CM)} cm²` : `${Math.round(value)} in²`;
+                case 'C':
+                    return isMetric ? `${Math.round(value)}°C` : `${Math.round(ThermalModel.toFahrenheit(value))}°F`;
+                case 'gph':
+                    return isMetric ? `${Math.round(value * CONVERSIONS.LITERS_TO_GALLONS)} L/h` : `${Math.round(value)} GPH`;
+                case 'percent':
+                    return `${Math.round(value)}%`;
+                default:
+                    return String(value);
+            }
+        };
+        const names = issue.species.join(', ');
+
+        switch (issue.kind) {
+            case 'water-type':
+                return `${names} needs ${issue.limit} but the tank is ${issue.actual}`;
+            case 'tank-length':
+                return `${names} needs a tank at least ${formatValue(issue.limit)} long (this one is ${formatValue(issue.actual)})`;
+            case 'footprint':
+                return `${names} needs at least ${formatValue(issue.limit)} of floor space (this one has ${formatValue(issue.actual)})`;
+            case 'group-size':
+                return `${names} should be kept in groups of ${issue.limit} or more`;
+            case 'bioload':
+                return `Stocked to ${formatValue(issue.actual)} of capacity, over the ${formatValue(issue.limit)} ${issue.level === 'error' ? 'limit' : 'comfort level'}`;
+            case 'filtration':
+                return `Filter moves ${formatValue(issue.actual)} but this stock needs about ${formatValue(issue.limit)}`;
+            case 'temperature-range':
+                return `No shared temperature: ${issue.species[0]} needs at least ${formatValue(issue.actual)}, ${issue.species[1]} at most ${formatValue(issue.limit)}`;
+            case 'ph-range':
+                return `No shared pH: ${issue.species[0]} needs at least ${issue.actual}, ${issue.species[1]} at most ${issue.limit}`;
+            case 'target-temperature':
+                return `Water at ${formatValue(issue.actual)} is outside the stock's shared ${formatValue(issue.limit.min)}-${formatValue(issue.limit.max)}`;
+            case 'temperament':
+                return issue.actual === TEMPERAMENTS.AGGRESSIVE ?
+                    `${names} may attack ${issue.limit.join(', ')}` :
+                    `${names} may nip or chase ${issue.limit.join(', ')}`;
+            default:
+                console.warn(`Unknown stocking issue: ${issue.kind}`);
+                return `${issue.kind}: ${names}`;
+        }
+    }
+}
@@ -1,5 +1,7 @@
 // Tank volume and calculation utilities
 import { CONVERSIONS } from './constants.js';
+import { TankShape } from './tank-shape.js';
+import { DisplacementModel } from './displacement-model.js';
 
 export class TankCalculator {
     /**
@@ -7,16 +9,16 @@ export class TankCalculator {
      * @param {number} length - Length in inches
      * @param {number} width - Width in inches
      * @param {number} height - Height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
      * @returns {number} Volume in liters
      */
-    calculateVolume(length, width, height) {
-        // Convert inches to cm
-        const lengthCm = length * CONVERSIONS.INCHES_TO_CM;
-        const widthCm = width * CONVERSIONS.INCHES_TO_CM;
+    calculateVolume(length, width, height, shape = new TankShape()) {
+        // Footprint area in cm² (1 in² = 2.54² cm²)
+        const baseAreaCm2 = shape.getBaseArea(length, width) * CONVERSIONS.INCHES_TO_CM * CONVERSIONS.INCHES_TO_CM;
         const heightCm = height * CONVERSIONS.INCHES_TO_CM;
 
         // Volume in cm³
-        const volumeCm3 = lengthCm * widthCm * heightCm;
+        const volumeCm3 = baseAreaCm2 * heightCm;
 
         // Convert to liters (1 liter = 1000 cm³)
         return volumeCm3 / 1000;
@@ -41,7 +43,8 @@ export class TankCalculator {
     }
 
     /**
-     * Adjust volume for displacement (substrate, rocks, decorations)
+     * Adjust volume for displacement using a flat percentage (quick estimate;
+     * DisplacementModel accounts for glass, freeboard, substrate and rock)
      * @param {number} volumeLiters - Full geometric volume in liters
      * @param {number} displacementPercent - Percentage to subtract (default from constants)
      * @returns {number} Adjusted water volume in liters
@@ -55,19 +58,31 @@ export class TankCalculator {
      * @param {number} length - Length in inches
      * @param {number} width - Width in inches
      * @param {number} height - Height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
+     * @param {object} contents - Optional displacement inputs (glassThicknessMm, substrateDepth, rockKg, freeboard);
+     *                            without them the flat displacement percentage is used
      * @returns {object} Volume in multiple units
      */
-    getVolumeInfo(length, width, height) {
-        const liters = this.calculateVolume(length, width, height);
+    getVolumeInfo(length, width, height, shape = new TankShape(), contents = null) {
+        const liters = this.calculateVolume(length, width, height, shape);
         const gallons = this.convertToGallons(liters);
-        const waterLiters = this.adjustForDisplacement(liters);
+
+        let waterLiters;
+        let displacement = null;
+        if (contents) {
+            displacement = new DisplacementModel().calculate({ length, width, height, shape, ...contents });
+            waterLiters = displacement.waterLiters;
+        } else {
+            waterLiters = this.adjustForDisplacement(liters);
+        }
         const waterGallons = this.convertToGallons(waterLiters);
 
         return {
             geometricLiters: liters,
             geometricGallons: gallons,
             waterLiters: waterLiters,
-            waterGallons: waterGallons
+            waterGallons: waterGallons,
+            displacement: displacement
         };
     }
 
@@ -76,15 +91,15 @@ export class TankCalculator {
      * @param {number} length - Length in inches
      * @param {number} width - Width in inches
      * @param {number} height - Height in inches
+     * @param {TankShape} shape - Tank shape (default: rectangular)
      * @returns {object} Surface area in square inches and square feet
      */
-    calculateSurfaceArea(length, width, height) {
-        const topBottom = 2 * (length * width);
-        const frontBack = 2 * (length * height);
-        const leftRight = 2 * (width * height);
+    calculateSurfaceArea(length, width, height, shape = new TankShape()) {
+        const topAreaSqIn = shape.getBaseArea(length, width);
+        const topBottom = 2 * topAreaSqIn;
+        const walls = shape.getPerimeter(length, width) * height;
 
-        const totalAreaSqIn = topBottom + frontBack + leftRight;
-        const topAreaSqIn = length * width;
+        const totalAreaSqIn = topBottom + walls;
 
         return {
             totalSqIn: totalAreaSqIn,
@@ -0,0 +1,210 @@
+// Data-driven catalog of manufacturer standard tank sizes
+import { CATALOG_FAMILIES, CATALOG_URL, CONVERSIONS, VOLUME_UNITS } from './constants.js';
+
+const FAMILY_NAMES = {
+    [CATALOG_FAMILIES.US_STANDARD]: 'US standard',
+    [CATALOG_FAMILIES.EU_METRIC]: 'EU metric',
+    [CATALOG_FAMILIES.RIMLESS]: 'Rimless'
+};
+
+const LENGTH_UNITS = ['in', 'cm'];
+
+export class TankCatalog {
+    /**
+     * @param {Array} entries - Initial catalog entries
+     */
+    constructor(entries = []) {
+        this.entries = [];
+        this.addEntries(entries, 'initial');
+    }
+
+    /**
+     * Fetch a catalog JSON file and add its entries
+     * @param {string} url - Catalog URL (default: the bundled catalog)
+     * @returns {Promise<object>} { added, skipped } from addEntries
+     */
+    async load(url = CATALOG_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.addEntries(await response.json(), url);
+        } catch (error) {
+            console.error(`Could not load tank catalog from ${url}:`, error);
+            return { added: 0, skipped: [] };
+        }
+    }
+
+    /**
+     * Add entries from parsed catalog JSON. Entries with an existing id replace it.
+     * @param {Array|object} data - Array of entries, or { entries: [...] }
+     * @param {string} source - Where the entries came from, kept on each entry
+     * @returns {object} { added, skipped } where skipped lists { id, errors } for invalid entries
+     */
+    addEntries(data, source = 'import') {
+        const entries = Array.isArray(data) ? data : data?.entries;
+        if (!Array.isArray(entries)) {
+            console.warn(`Tank catalog from ${source} has no entries array`);
+            return { added: 0, skipped: [] };
+        }
+
+        let added = 0;
+        const skipped = [];
+        entries.forEach((entry, index) => {
+            const errors = this.validateEntry(entry);
+            if (errors.length > 0) {
+                skipped.push({ id: entry?.id ?? `#${index + 1}`, errors });
+                return;
+            }
+
+            this.entries = this.entries.filter(existing => existing.id !== entry.id);
+            this.entries.push({ ...entry, source });
+            added++;
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`Skipped ${skipped.length} invalid tank catalog entries from ${source}:`, skipped);
+        }
+        return { added, skipped };
+    }
+
+    /**
+     * Check an entry has everything the simulator needs
+     * @param {object} entry - Catalog entry
+     * @returns {Array} Error messages; empty if the entry is valid
+     */
+    validateEntry(entry) {
+        if (!entry || typeof entry !== 'object') return ['Entry is not an object'];
+
+        const errors = [];
+        ['id', 'name', 'manufacturer'].forEach(field => {
+            if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+                errors.push(`Missing ${field}`);
+            }
+        });
+        if (!FAMILY_NAMES[entry.family]) {
+            errors.push(`Unknown family: ${entry.family}`);
+        }
+
+        ['nominal', 'actual'].forEach(key => {
+            const dims = entry[key];
+            if (!dims || !LENGTH_UNITS.includes(dims.unit)) {
+                errors.push(`${key} dimensions need a unit of ${LENGTH_UNITS.join(' or ')}`);
+                return;
+            }
+            ['width', 'length', 'height'].forEach(dim => {
+                if (!(dims[dim] > 0)) errors.push(`${key} ${dim} must be a positive number`);
+            });
+        });
+        if (entry.nominal?.volume !== undefined &&
+            !(entry.nominal.volume > 0 && Object.values(VOLUME_UNITS).includes(entry.nominal.volumeUnit))) {
+            errors.push('Nominal volume needs a positive value and a volumeUnit of gallons or liters');
+        }
+
+        if (!(entry.glassThicknessMm > 0)) {
+            errors.push('glassThicknessMm must be a positive number');
+        }
+        if (typeof entry.rimless !== 'boolean') {
+            errors.push('rimless must be true or false');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Search and filter the catalog
+     * @param {object} filters - Filters; omitted filters match everything
+     * @param {string} filters.query - Text matched against name, manufacturer and nominal size
+     * @param {string} filters.family - One of CATALOG_FAMILIES
+     * @param {string} filters.manufacturer - Exact manufacturer name
+     * @param {boolean} filters.rimless - Only rimless (true) or framed (false) tanks
+     * @param {number} filters.minLiters - Minimum nominal volume in liters
+     * @param {number} filters.maxLiters - Maximum nominal volume in liters
+     * @returns {Array} Matching entries, smallest first
+     */
+    search({ query = '', family, manufacturer, rimless, minLiters, maxLiters } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.entries
+            .filter(entry => {
+                if (family && entry.family !== family) return false;
+                if (manufacturer && entry.manufacturer !== manufacturer) return false;
+                if (rimless !== undefined && entry.rimless !== rimless) return false;
+
+                const liters = this.getLiters(entry);
+                if (minLiters > 0 && liters < minLiters) return false;
+                if (maxLiters > 0 && liters > maxLiters) return false;
+
+                const text = `${entry.name} ${entry.manufacturer} ${this.formatSize(entry.nominal)}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => this.getLiters(a) - this.getLiters(b));
+    }
+
+    /**
+     * Get an entry by id
+     * @param {string} id - Entry id
+     * @returns {object|null} Entry or null if not found
+     */
+    getEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) {
+            console.warn(`Unknown catalog entry: ${id}`);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Get every manufacturer in the catalog
+     * @returns {Array} Manufacturer names, sorted
+     */
+    getManufacturers() {
+        return [...new Set(this.entries.map(entry => entry.manufacturer))].sort();
+    }
+
+    /**
+     * Get the display name for a family
+     * @param {string} family - One of CATALOG_FAMILIES
+     * @returns {string} Family name
+     */
+    getFamilyName(family) {
+        return FAMILY_NAMES[family] ?? family;
+    }
+
+    /**
+     * Get an entry's nominal volume, or its gross volume from the actual size if none is given
+     * @param {object} entry - Catalog entry
+     * @returns {number} Volume in liters
+     */
+    getLiters(entry) {
+        const { volume, volumeUnit } = entry.nominal;
+        if (volume > 0) {
+            return volumeUnit === VOLUME_UNITS.GALLONS ? volume / CONVERSIONS.GALLONS_TO_LITERS : volume;
+        }
+
+        const { width, length, height } = this.getActualInches(entry);
+        return width * length * height * Math.pow(CONVERSIONS.INCHES_TO_CM, 3) / 1000;
+    }
+
+    /**
+     * Get an entry's actual dimensions in inches
+     * @param {object} entry - Catalog entry
+     * @returns {object} { width, length, height } in inches
+     */
+    getActualInches(entry) {
+        const { width, length, height, unit } = entry.actual;
+        const factor = unit === 'cm' ? 1 / CONVERSIONS.INCHES_TO_CM : 1;
+        return { width: width * factor, length: length * factor, height: height * factor };
+    }
+
+    /**
+     * Format a set of dimensions as W×L×H with its unit
+     * @param {object} dims - { width, length, height, unit }
+     * @returns {string} Formatted size
+     */
+    formatSize(dims) {
+        return `${dims.width}×${dims.length}×${dims.height} ${dims.unit}`;
+    }
+}
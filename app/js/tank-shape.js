@@ -0,0 +1,335 @@
+// Tank shape model shared by the calculator, glass recommender and 3D scene
+import { TANK_SHAPES } from './constants.js';
+
+/**
+ * Footprints are laid out the same way the 3D preview draws them: `width` runs
+ * across the front (x axis) and `length` runs front to back (z axis), with the
+ * front of the tank facing +z. All measurements are in inches.
+ */
+export class TankShape {
+    /**
+     * @param {string} type - One of TANK_SHAPES
+     * @param {object} params - Shape parameters in inches (bowDepth, sides, returnDepth)
+     */
+    constructor(type = TANK_SHAPES.RECTANGLE, params = {}) {
+        this.type = Object.values(TANK_SHAPES).includes(type) ? type : TANK_SHAPES.RECTANGLE;
+        this.params = { ...TankShape.getDefaultParams(this.type), ...params };
+    }
+
+    /**
+     * Get default parameters for a shape type
+     * @param {string} type - Shape type
+     * @returns {object} Default parameters in inches
+     */
+    static getDefaultParams(type) {
+        switch (type) {
+            case TANK_SHAPES.BOWFRONT:
+                return { bowDepth: 4 };
+            case TANK_SHAPES.HEXAGON:
+                return { sides: 6 };
+            case TANK_SHAPES.CORNER_PENTAGON:
+                return { returnDepth: 12 };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Get a copy of this shape with its length parameters scaled
+     * @param {number} factor - Scale factor (e.g. 1/12 for inches to feet)
+     * @returns {TankShape} Scaled shape
+     */
+    scale(factor) {
+        const params = { ...this.params };
+        ['bowDepth', 'returnDepth'].forEach(key => {
+            if (key in params) params[key] *= factor;
+        });
+        return new TankShape(this.type, params);
+    }
+
+    /**
+     * Check whether this is a plain rectangular box
+     * @returns {boolean} True for rectangular tanks
+     */
+    isRectangular() {
+        return this.type === TANK_SHAPES.RECTANGLE;
+    }
+
+    /**
+     * Calculate footprint (base) area
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {number} Base area in square inches
+     */
+    getBaseArea(length, width) {
+        switch (this.type) {
+            case TANK_SHAPES.BOWFRONT: {
+                const bow = this.getBowDepth(length, width);
+                return width * (length - bow) + this.getBowSegment(width, bow).area;
+            }
+            case TANK_SHAPES.CYLINDER: {
+                const radius = Math.min(length, width) / 2;
+                return Math.PI * radius * radius;
+            }
+            case TANK_SHAPES.HEXAGON: {
+                const sides = this.getSides();
+                const radius = Math.min(length, width) / 2;
+                return (sides / 2) * radius * radius * Math.sin((2 * Math.PI) / sides);
+            }
+            case TANK_SHAPES.CORNER_PENTAGON: {
+                const ret = this.getReturnDepth(length, width);
+                return length * width - ((width - ret) * (length - ret)) / 2;
+            }
+            default:
+                return length * width;
+        }
+    }
+
+    /**
+     * Calculate footprint perimeter (total glass run around the tank)
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {number} Perimeter in inches
+     */
+    getPerimeter(length, width) {
+        return this.getWallPanels(length, width)
+            .reduce((total, panel) => total + panel.width * panel.count, 0);
+    }
+
+    /**
+     * Get the vertical wall panels for the footprint
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {Array} Panels as { name, width, count, curved }; curved panels also carry their chord as `span`
+     */
+    getWallPanels(length, width) {
+        switch (this.type) {
+            case TANK_SHAPES.BOWFRONT: {
+                const bow = this.getBowDepth(length, width);
+                return [
+                    { name: 'Bowed front', width: this.getBowSegment(width, bow).arcLength, span: width, count: 1, curved: true },
+                    { name: 'Back', width: width, count: 1, curved: false },
+                    { name: 'Side', width: length - bow, count: 2, curved: false }
+                ];
+            }
+            case TANK_SHAPES.CYLINDER: {
+                const diameter = Math.min(length, width);
+                return [
+                    { name: 'Cylinder wall', width: Math.PI * diameter, span: diameter, count: 1, curved: true }
+                ];
+            }
+            case TANK_SHAPES.HEXAGON: {
+                const sides = this.getSides();
+                const radius = Math.min(length, width) / 2;
+                return [
+                    { name: 'Side', width: 2 * radius * Math.sin(Math.PI / sides), count: sides, curved: false }
+                ];
+            }
+            case TANK_SHAPES.CORNER_PENTAGON: {
+                const ret = this.getReturnDepth(length, width);
+                return [
+                    { name: 'Diagonal front', width: Math.hypot(width - ret, length - ret), count: 1, curved: false },
+                    { name: 'Back', width: width, count: 1, curved: false },
+                    { name: 'Side', width: length, count: 1, curved: false },
+                    { name: 'Return', width: ret, count: 2, curved: false }
+                ];
+            }
+            default:
+                return [
+                    { name: 'Front/Back', width: width, count: 2, curved: false },
+                    { name: 'Side', width: length, count: 2, curved: false }
+                ];
+        }
+    }
+
+    /**
+     * Get the full panel list (walls plus bottom) for a tank
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @param {number} height - Height in inches
+     * @returns {Array} Panels as { name, width, height, count, curved, areaSqIn }; the bottom is flagged `bottom`
+     */
+    getPanels(length, width, height) {
+        const walls = this.getWallPanels(length, width).map(panel => ({
+            ...panel,
+            height: height,
+            areaSqIn: panel.width * height * panel.count
+        }));
+
+        // The bottom is cut from a rectangle covering the footprint's bounds
+        const bounds = this.getFootprintBounds(length, width);
+
+        walls.push({
+            name: 'Bottom',
+            width: bounds.width,
+            height: bounds.length,
+            count: 1,
+            curved: false,
+            bottom: true,
+            areaSqIn: this.getBaseArea(length, width)
+        });
+
+        return walls;
+    }
+
+    /**
+     * Get the rectangle the footprint fits in. Curved edges are measured from their true geometry, since
+     * the sampled outline falls just inside the curve.
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {object} { width, length } in inches
+     */
+    getFootprintBounds(length, width) {
+        switch (this.type) {
+            case TANK_SHAPES.CYLINDER: {
+                const diameter = Math.min(length, width);
+                return { width: diameter, length: diameter };
+            }
+            case TANK_SHAPES.BOWFRONT:
+                // Sides plus the bow depth reach the full length; the bow spans the full width
+                return { width: width, length: length };
+            default: {
+                const outline = this.getOutline(length, width);
+                const xs = outline.map(point => point.x);
+                const zs = outline.map(point => point.z);
+                return {
+                    width: Math.max(...xs) - Math.min(...xs),
+                    length: Math.max(...zs) - Math.min(...zs)
+                };
+            }
+        }
+    }
+
+    /**
+     * Get the longest vertical panel span, which drives glass stress
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {number} Longest wall panel width in inches
+     */
+    getMaxPanelSpan(length, width) {
+        // Curved panels are stiffened by their curvature, so they count by chord rather than arc length
+        return Math.max(...this.getWallPanels(length, width).map(panel => panel.span ?? panel.width));
+    }
+
+    /**
+     * Get the footprint outline as points in the x/z plane, centered on the origin
+     * @param {number} length - Front-to-back extent (z)
+     * @param {number} width - Front extent (x)
+     * @param {number} segments - Segments used for curved edges (default: 32)
+     * @returns {Array} Outline points as { x, z }
+     */
+    getOutline(length, width, segments = 32) {
+        const halfW = width / 2;
+        const halfL = length / 2;
+
+        switch (this.type) {
+            case TANK_SHAPES.BOWFRONT: {
+                const bow = this.getBowDepth(length, width);
+                const { radius, angle } = this.getBowSegment(width, bow);
+                const points = [
+                    { x: -halfW, z: -halfL },
+                    { x: halfW, z: -halfL }
+                ];
+                if (bow > 0) {
+                    const centerZ = halfL - radius;
+                    for (let i = 0; i <= segments; i++) {
+                        const phi = angle / 2 - (angle * i) / segments;
+                        points.push({ x: radius * Math.sin(phi), z: centerZ + radius * Math.cos(phi) });
+                    }
+                } else {
+                    points.push({ x: halfW, z: halfL }, { x: -halfW, z: halfL });
+                }
+                return points;
+            }
+            case TANK_SHAPES.CYLINDER:
+                return this.getRegularPolygon(Math.min(length, width) / 2, segments);
+            case TANK_SHAPES.HEXAGON:
+                return this.getRegularPolygon(Math.min(length, width) / 2, this.getSides());
+            case TANK_SHAPES.CORNER_PENTAGON: {
+                const ret = this.getReturnDepth(length, width);
+                return [
+                    { x: -halfW, z: -halfL },
+                    { x: halfW, z: -halfL },
+                    { x: halfW, z: -halfL + ret },
+                    { x: -halfW + ret, z: halfL },
+                    { x: -halfW, z: halfL }
+                ];
+            }
+            default:
+                return [
+                    { x: -halfW, z: -halfL },
+                    { x: halfW, z: -halfL },
+                    { x: halfW, z: halfL },
+                    { x: -halfW, z: halfL }
+                ];
+        }
+    }
+
+    /**
+     * Get the points of a regular polygon with a flat face against the back
+     * @param {number} radius - Circumradius
+     * @param {number} sides - Number of sides
+     * @returns {Array} Points as { x, z }
+     */
+    getRegularPolygon(radius, sides) {
+        const points = [];
+        const offset = -Math.PI / 2 + Math.PI / sides;
+
+        for (let i = 0; i < sides; i++) {
+            const angle = offset + (2 * Math.PI * i) / sides;
+            points.push({ x: radius * Math.cos(angle), z: radius * Math.sin(angle) });
+        }
+
+        return points;
+    }
+
+    /**
+     * Get the bow depth, limited so the bow stays within the footprint
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {number} Bow depth in inches
+     */
+    getBowDepth(length, width) {
+        return Math.max(0, Math.min(this.params.bowDepth || 0, length, width / 2));
+    }
+
+    /**
+     * Get circular segment geometry for a bowed front
+     * @param {number} chord - Chord (front width) in inches
+     * @param {number} bow - Sagitta (bow depth) in inches
+     * @returns {object} Segment radius, central angle, area and arc length
+     */
+    getBowSegment(chord, bow) {
+        if (bow <= 0) {
+            return { radius: Infinity, angle: 0, area: 0, arcLength: chord };
+        }
+
+        const radius = (chord * chord / 4 + bow * bow) / (2 * bow);
+        const angle = 2 * Math.asin(Math.min(1, chord / (2 * radius)));
+
+        return {
+            radius: radius,
+            angle: angle,
+            area: (radius * radius / 2) * (angle - Math.sin(angle)),
+            arcLength: radius * angle
+        };
+    }
+
+    /**
+     * Get number of sides for polygon tanks
+     * @returns {number} Sides (at least 3)
+     */
+    getSides() {
+        return Math.max(3, Math.round(this.params.sides || 6));
+    }
+
+    /**
+     * Get corner pentagon return depth, limited to the footprint
+     * @param {number} length - Front-to-back length in inches
+     * @param {number} width - Front width in inches
+     * @returns {number} Return depth in inches
+     */
+    getReturnDepth(length, width) {
+        return Math.max(0, Math.min(this.params.returnDepth || 0, length, width));
+    }
+}
@@ -0,0 +1,117 @@
+// Multi-vessel systems: display tank plus sump, refugium or frag tanks
+import { VESSEL_ROLES, WATER_TYPES } from './constants.js';
+import { TankCalculator } from './tank-calculator.js';
+import { GlassRecommender } from './glass-recommendations.js';
+import { WeightCalculator } from './weight-calculator.js';
+
+const ROLE_NAMES = {
+    [VESSEL_ROLES.DISPLAY]: 'Display',
+    [VESSEL_ROLES.SUMP]: 'Sump',
+    [VESSEL_ROLES.REFUGIUM]: 'Refugium',
+    [VESSEL_ROLES.FRAG]: 'Frag tank'
+};
+
+export class TankSystem {
+    constructor() {
+        this.vessels = [];
+        this.nextId = 1;
+        this.calculator = new TankCalculator();
+        this.recommender = new GlassRecommender();
+        this.weightCalculator = new WeightCalculator();
+    }
+
+    /**
+     * Add a vessel to the system
+     * @param {object} vessel - { role, name, length, width, height, waterLevel } in inches
+     * @returns {object} The stored vessel with its id
+     */
+    addVessel({ role = VESSEL_ROLES.SUMP, name, length, width, height, waterLevel = height }) {
+        const vessel = {
+            id: this.nextId++,
+            role: role,
+            name: name || ROLE_NAMES[role] || 'Vessel',
+            length: length,
+            width: width,
+            height: height,
+            waterLevel: waterLevel
+        };
+        this.vessels.push(vessel);
+        return vessel;
+    }
+
+    /**
+     * Update a vessel's properties
+     * @param {number} id - Vessel id
+     * @param {object} changes - Properties to change
+     * @returns {object|null} Updated vessel or null if not found
+     */
+    updateVessel(id, changes) {
+        const vessel = this.vessels.find(v => v.id === id);
+        if (!vessel) {
+            console.warn(`Unknown vessel: ${id}`);
+            return null;
+        }
+        Object.assign(vessel, changes, { id });
+        return vessel;
+    }
+
+    /**
+     * Remove a vessel from the system
+     * @param {number} id - Vessel id
+     */
+    removeVessel(id) {
+        this.vessels = this.vessels.filter(v => v.id !== id);
+    }
+
+    /**
+     * Get volume and weight for a single rectangular vessel filled to its operating level
+     * @param {object} vessel - Vessel with dimensions and water level in inches
+     * @param {string} waterType - One of WATER_TYPES
+     * @returns {object} Vessel with geometric and water volume (liters) and filled weight (kg)
+     */
+    getVesselInfo(vessel, waterType = WATER_TYPES.FRESHWATER) {
+        const { length, width, height } = vessel;
+        const waterLevel = Math.max(0, Math.min(vessel.waterLevel, height));
+
+        const geometricLiters = this.calculator.calculateVolume(length, width, height);
+        const waterLiters = this.calculator.calculateVolume(length, width, waterLevel);
+        const weight = this.weightCalculator.getWeightBreakdown({
+            length,
+            width,
+            height,
+            waterLiters,
+            waterType,
+            glassThicknessMm: this.recommender.getRecommendedThickness(length, width, waterLevel)
+        });
+
+        return {
+            ...vessel,
+            geometricLiters: geometricLiters,
+            waterLiters: waterLiters,
+            weightKg: weight.totalKg
+        };
+    }
+
+    /**
+     * Aggregate the display tank and all vessels
+     * @param {object} display - Display tank totals { waterLiters, weightKg }
+     * @param {string} waterType - One of WATER_TYPES
+     * @returns {object} Per-vessel info and system totals
+     */
+    getTotals(display, waterType = WATER_TYPES.FRESHWATER) {
+        const vessels = this.vessels.map(vessel => this.getVesselInfo(vessel, waterType));
+
+        const vesselWaterLiters = vessels.reduce((total, v) => total + v.waterLiters, 0);
+        const totalWaterLiters = display.waterLiters + vesselWaterLiters;
+        const totalWeightKg = vessels.reduce((total, v) => total + v.weightKg, display.weightKg);
+
+        return {
+            display: display,
+            vessels: vessels,
+            vesselWaterLiters: vesselWaterLiters,
+            totalWaterLiters: totalWaterLiters,
+            totalWaterGallons: this.calculator.convertToGallons(totalWaterLiters),
+            totalWeightKg: totalWeightKg
+        };
+    }
+}
@@ -1,4 +1,6 @@
 // 3D Tank Visualization with Three.js
+import { TankShape } from './tank-shape.js';
+
 export class TankVisualizer {
     constructor(container) {
         this.container = container;
@@ -9,6 +11,12 @@ export class TankVisualizer {
         this.tank = null;
         this.water = null;
         this.waterSurface = null;
+        this.braces = null;
+        this.bracing = null; // Brace sizes in scene units, or null for rimless
+        this.waterLevel = 0.85; // Water depth as a fraction of tank height
+        this.shape = new TankShape(); // Footprint shape, with parameters in scene units
+        this.dimensions = { width: 0, height: 0, depth: 0 };
+        this.waterBaseY = 0; // Resting y position of the water volume
         this.animationId = null;
         this.waterColor = 0x4A90E2; // Fixed Ocean Blue color
         this.time = 0; // For water animation
@@ -150,13 +158,21 @@ export class TankVisualizer {
         console.log('3D visualization initialized with test sphere');
     }
 
-    createTank(width, height, depth) {
+    createTank(width, height, depth, shape = this.shape) {
         // Dispose of old geometries
         this.disposeTank();
 
-        // Tank geometry (box)
-        const tankGeometry = new THREE.BoxGeometry(width, height, depth);
-        tankGeometry.translate(0, height / 2, 0); // Center at bottom
+        this.shape = shape;
+        this.dimensions = { width, height, depth };
+
+        // Tank geometry (box, or the extruded footprint for other shapes)
+        let tankGeometry;
+        if (shape.isRectangular()) {
+            tankGeometry = new THREE.BoxGeometry(width, height, depth);
+            tankGeometry.translate(0, height / 2, 0); // Center at bottom
+        } else {
+            tankGeometry = this.createExtrudedGeometry(shape.getOutline(depth, width), height);
+        }
 
         // Glass material with fixed transparency for water visibility
         const tankMaterial = new THREE.MeshPhongMaterial({
@@ -175,6 +191,9 @@ export class TankVisualizer {
         // Water surface
         this.createWaterSurface(width, depth, height);
 
+        // Top bracing
+        this.createBraces(width, height, depth);
+
         // Adjust camera to fit tank
         this.adjustCameraToTank(width, height, depth);
     }
@@ -187,8 +206,17 @@ export class TankVisualizer {
             this.water.material.dispose();
         }
 
-        // Single, highly visible water volume filling 85% of tank
-        const waterGeometry = new THREE.BoxGeometry(width * 0.96, height * 0.85, depth * 0.96);
+        // Single, highly visible water volume filled to the current water level
+        const waterHeight = height * this.waterLevel;
+        const outline = this.shape.getOutline(depth, width);
+        let waterGeometry;
+        if (this.shape.isRectangular()) {
+            waterGeometry = new THREE.BoxGeometry(width * 0.96, waterHeight, depth * 0.96);
+            this.waterBaseY = waterHeight / 2; // Center of water volume
+        } else {
+            waterGeometry = this.createExtrudedGeometry(outline, waterHeight, 0.96);
+            this.waterBaseY = 0; // Extruded geometry starts at the tank floor
+        }
         const waterMaterial = new THREE.MeshBasicMaterial({
             color: this.waterColor,
             transparent: true,
@@ -196,11 +224,13 @@ export class TankVisualizer {
         });
 
         this.water = new THREE.Mesh(waterGeometry, waterMaterial);
-        this.water.position.y = height * 0.425; // Center of water volume
+        this.water.position.y = this.waterBaseY;
         this.scene.add(this.water);
 
         // Optional: Add a subtle surface highlight
-        const surfaceGeometry = new THREE.PlaneGeometry(width * 0.97, depth * 0.97);
+        const surfaceGeometry = this.shape.isRectangular() ?
+            new THREE.PlaneGeometry(width * 0.97, depth * 0.97) :
+            new THREE.ShapeGeometry(this.createOutlineShape(outline, 0.97));
         const surfaceMaterial = new THREE.MeshBasicMaterial({
             color: this.waterColor,
             transparent: true,
@@ -209,7 +239,7 @@ export class TankVisualizer {
 
         this.waterSurface = new THREE.Mesh(surfaceGeometry, surfaceMaterial);
         this.waterSurface.rotation.x = -Math.PI / 2;
-        this.waterSurface.position.y = height * 0.85; // At water surface level
+        this.waterSurface.position.y = waterHeight; // At water surface level
         this.scene.add(this.waterSurface);
 
         console.log('Water surface created at y:', this.water.position.y, 'with color:', this.water.material.color.getHex().toString(16));
@@ -217,6 +247,83 @@ export class TankVisualizer {
         console.log('Water created with initial color:', this.water.material.color.getHex().toString(16));
     }
 
+    /**
+     * Add euro-brace and center-brace panels around the top of the tank
+     * @param {number} width - Tank width
+     * @param {number} height - Tank height
+     * @param {number} depth - Tank depth
+     */
+    createBraces(width, height, depth) {
+        if (!this.bracing || this.bracing.braceWidth <= 0) return;
+
+        const { braceWidth, thickness, centerBrace } = this.bracing;
+        const innerDepth = Math.max(0, depth - 2 * braceWidth);
+        const innerWidth = Math.max(0, width - 2 * braceWidth);
+
+        const braceMaterial = new THREE.MeshPhongMaterial({
+            color: 0x87CEEB,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        });
+        this.braces = new THREE.Group();
+
+        // Perimeter brace: the footprint with the open top cut out
+        const frame = this.createOutlineShape(this.shape.getOutline(depth, width));
+        const opening = this.createOutlineShape(this.shape.getOutline(innerDepth, innerWidth));
+        const openingPoints = opening.getPoints();
+        // Holes must wind opposite to the outer edge
+        if (THREE.ShapeUtils.isClockWise(openingPoints) === THREE.ShapeUtils.isClockWise(frame.getPoints())) {
+            openingPoints.reverse();
+        }
+        frame.holes.push(new THREE.Path(openingPoints));
+
+        const frameGeometry = new THREE.ExtrudeGeometry(frame, { depth: thickness, bevelEnabled: false });
+        frameGeometry.rotateX(-Math.PI / 2);
+        const frameMesh = new THREE.Mesh(frameGeometry, braceMaterial);
+        frameMesh.position.y = height - thickness;
+        this.braces.add(frameMesh);
+
+        // Center brace runs front to back across the opening
+        if (centerBrace) {
+            const centerMesh = new THREE.Mesh(
+                new THREE.BoxGeometry(braceWidth, thickness, innerDepth),
+                braceMaterial
+            );
+            centerMesh.position.y = height - thickness / 2;
+            this.braces.add(centerMesh);
+        }
+
+        this.scene.add(this.braces);
+    }
+
+    /**
+     * Build a flat Three.js shape from a footprint outline
+     * @param {Array} outline - Points as { x, z }
+     * @param {number} scale - Scale factor around the center (default: 1)
+     * @returns {THREE.Shape} Shape in the x/y plane, ready to be laid flat
+     */
+    createOutlineShape(outline, scale = 1) {
+        // Rotating -90° about x maps shape y onto world -z
+        return new THREE.Shape(outline.map(point => new THREE.Vector2(point.x * scale, -point.z * scale)));
+    }
+
+    /**
+     * Extrude a footprint outline upward from the tank floor
+     * @param {Array} outline - Points as { x, z }
+     * @param {number} height - Extrusion height
+     * @param {number} scale - Footprint scale factor (default: 1)
+     * @returns {THREE.ExtrudeGeometry} Geometry spanning y = 0 to height
+     */
+    createExtrudedGeometry(outline, height, scale = 1) {
+        const geometry = new THREE.ExtrudeGeometry(this.createOutlineShape(outline, scale), {
+            depth: height,
+            bevelEnabled: false
+        });
+        geometry.rotateX(-Math.PI / 2);
+        return geometry;
+    }
+
     setupLighting() {
         // Ambient light
         const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
@@ -253,10 +360,12 @@ export class TankVisualizer {
         }
     }
 
-    updateDimensions(width, height, depth) {
+    updateDimensions(width, height, depth, shape = this.shape, bracing = this.bracing, waterLevel = this.waterLevel) {
         if (this.scene && this.renderer) {
             // Update 3D tank dimensions
-            this.createTank(width, height, depth);
+            this.bracing = bracing;
+            this.waterLevel = Math.max(0, Math.min(waterLevel, 1));
+            this.createTank(width, height, depth, shape);
 
             // Ensure water colors are preserved after dimension update
             if (this.water && this.water.material) {
@@ -315,8 +424,7 @@ export class TankVisualizer {
 
         // Add very subtle bobbing motion to main water volume
         if (this.water) {
-            this.water.position.y = (this.tank ? this.tank.geometry.parameters.height * 0.425 : 0.5) +
-                                   Math.sin(this.time * 0.3) * 0.002; // Extremely subtle
+            this.water.position.y = this.waterBaseY + Math.sin(this.time * 0.3) * 0.002; // Extremely subtle
         }
     }
 
@@ -335,9 +443,7 @@ export class TankVisualizer {
         const tank = this.tank;
         if (!tank) return;
 
-        const width = tank.geometry.parameters.width;
-        const height = tank.geometry.parameters.height;
-        const depth = tank.geometry.parameters.depth;
+        const { width, height, depth } = this.dimensions;
         const maxDim = Math.max(width, height, depth);
         const distance = maxDim * 2.5;
 
@@ -430,9 +536,7 @@ export class TankVisualizer {
         const tank = this.tank;
         if (!tank) return;
 
-        const width = tank.geometry.parameters.width;
-        const height = tank.geometry.parameters.height;
-        const depth = tank.geometry.parameters.depth;
+        const { width, height, depth } = this.dimensions;
         const maxDim = Math.max(width, height, depth);
         const distance = maxDim * 2;
 
@@ -470,6 +574,13 @@ export class TankVisualizer {
             this.waterSurface.material.dispose();
             this.waterSurface = null;
         }
+
+        if (this.braces) {
+            this.scene.remove(this.braces);
+            this.braces.children.forEach(mesh => mesh.geometry.dispose());
+            this.braces.children[0]?.material.dispose();
+            this.braces = null;
+        }
     }
 
     onWindowResize() {
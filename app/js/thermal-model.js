@@ -0,0 +1,216 @@
+// Heat loss and gain through glass, water surface and evaporation for heater and chiller sizing
+import { THERMAL_DEFAULTS, THERMAL_PROPERTIES, MATERIAL_PROPERTIES, DEFAULT_PANEL_MATERIAL, CONVERSIONS } from './constants.js';
+import { TankShape } from './tank-shape.js';
+
+const SQ_IN_TO_SQ_M = Math.pow(CONVERSIONS.INCHES_TO_CM / 100, 2);
+
+export class ThermalModel {
+    /**
+     * @param {object} properties - Heat transfer coefficients and equipment sizes (default: THERMAL_PROPERTIES)
+     */
+    constructor(properties = THERMAL_PROPERTIES) {
+        this.properties = properties;
+    }
+
+    /**
+     * Calculate heat loss in the coldest room and heat gain in the hottest, with heater and chiller sizes
+     * @param {object} tank - Tank and room conditions
+     * @param {number} tank.length - Tank length in inches
+     * @param {number} tank.width - Tank width in inches
+     * @param {number} tank.height - Tank height in inches
+     * @param {number} tank.waterDepth - Water depth in inches (default: height)
+     * @param {TankShape} tank.shape - Tank shape (default: rectangular)
+     * @param {number} tank.glassThicknessMm - Wall thickness in mm
+     * @param {string} tank.material - One of PANEL_MATERIALS
+     * @param {number} tank.roomMinC - Coldest room temperature in °C
+     * @param {number} tank.roomMaxC - Hottest room temperature in °C
+     * @param {number} tank.targetC - Water temperature to hold in °C
+     * @param {boolean} tank.lid - True if the tank has a lid
+     * @param {number} tank.humidity - Room relative humidity as a fraction
+     * @param {number} tank.equipmentHeatW - Heat pumps and lights add to the water in W
+     * @returns {object} Heating and cooling breakdowns in W, sizes and evaporation in L/day
+     */
+    calculate({
+        length, width, height, waterDepth = height, shape = new TankShape(), glassThicknessMm = 6,
+        material = DEFAULT_PANEL_MATERIAL, roomMinC = THERMAL_DEFAULTS.ROOM_MIN_C, roomMaxC = THERMAL_DEFAULTS.ROOM_MAX_C,
+        targetC = THERMAL_DEFAULTS.TARGET_C, lid = false, humidity = THERMAL_DEFAULTS.RELATIVE_HUMIDITY,
+        equipmentHeatW = THERMAL_DEFAULTS.EQUIPMENT_HEAT_W
+    }) {
+        const depth = Math.max(0, Math.min(waterDepth, height));
+        const conductivity = (MATERIAL_PROPERTIES[material] ?? MATERIAL_PROPERTIES[DEFAULT_PANEL_MATERIAL]).thermalConductivity;
+        const surfaceSqIn = shape.getBaseArea(length, width);
+        const surface = {
+            wallSqM: shape.getPerimeter(length, width) * depth * SQ_IN_TO_SQ_M,
+            bottomSqM: surfaceSqIn * SQ_IN_TO_SQ_M,
+            surfaceSqM: surfaceSqIn * SQ_IN_TO_SQ_M,
+            wallU: this.getWallU(glassThicknessMm, conductivity),
+            lid: lid
+        };
+
+        const heatingLoss = this.getHeatFlow(surface, targetC, roomMinC, humidity);
+        const coolingLoss = this.getHeatFlow(surface, targetC, roomMaxC, humidity);
+        const evaporationKgPerHour = this.getEvaporation(surface.surfaceSqM, targetC, (roomMinC + roomMaxC) / 2, humidity, lid);
+
+        return this.size({
+            heating: {
+                roomC: roomMinC,
+                breakdown: heatingLoss,
+                lossW: this.sum(heatingLoss)
+            },
+            cooling: {
+                roomC: roomMaxC,
+                // Heat flowing into the water is positive here; evaporation keeps cooling even in a hot room
+                breakdown: {
+                    walls: -coolingLoss.walls,
+                    bottom: -coolingLoss.bottom,
+                    surface: -coolingLoss.surface,
+                    evaporation: -coolingLoss.evaporation,
+                    equipment: equipmentHeatW
+                },
+                gainW: equipmentHeatW - this.sum(coolingLoss)
+            },
+            targetC: targetC,
+            evaporationLitersPerDay: evaporationKgPerHour * 24 // 1 kg of water ≈ 1 L
+        });
+    }
+
+    /**
+     * Overall heat transfer coefficient of a wall: water film, panel and room-side air film in series
+     * @param {number} thicknessMm - Panel thickness in mm
+     * @param {number} conductivity - Panel thermal conductivity in W/(m·K)
+     * @returns {number} U-value in W/(m²·K)
+     */
+    getWallU(thicknessMm, conductivity) {
+        return 1 / (1 / this.properties.WATER_FILM + (thicknessMm / 1000) / conductivity + 1 / this.properties.AIR_FILM);
+    }
+
+    /**
+     * Heat leaving the water through each path at one room temperature
+     * @param {object} surface - Areas in m², wall U-value and lid flag
+     * @param {number} waterC - Water temperature in °C
+     * @param {number} roomC - Room temperature in °C
+     * @param {number} humidity - Room relative humidity as a fraction
+     * @returns {object} { walls, bottom, surface, evaporation } in W; negative means heat flowing in
+     */
+    getHeatFlow(surface, waterC, roomC, humidity) {
+        const deltaC = waterC - roomC;
+        const surfaceU = surface.lid ? this.properties.LID_SURFACE : this.properties.OPEN_SURFACE;
+        const evaporationKgPerHour = this.getEvaporation(surface.surfaceSqM, waterC, roomC, humidity, surface.lid);
+
+        return {
+            walls: surface.wallU * surface.wallSqM * deltaC,
+            bottom: surface.wallU * this.properties.BOTTOM_FACTOR * surface.bottomSqM * deltaC,
+            surface: surfaceU * surface.surfaceSqM * deltaC,
+            evaporation: (evaporationKgPerHour / 3600) * this.properties.LATENT_HEAT_J_PER_KG
+        };
+    }
+
+    /**
+     * Water evaporated from the surface
+     * @param {number} surfaceSqM - Water surface area in m²
+     * @param {number} waterC - Water temperature in °C
+     * @param {number} roomC - Room temperature in °C
+     * @param {number} humidity - Room relative humidity as a fraction
+     * @param {boolean} lid - True if the tank has a lid
+     * @returns {number} Evaporation in kg/h (never negative)
+     */
+    getEvaporation(surfaceSqM, waterC, roomC, humidity, lid = false) {
+        // g = Θ·A·(x_s − x): humidity ratio at the water surface minus that of the room air
+        const difference = this.getHumidityRatio(waterC, 1) - this.getHumidityRatio(roomC, humidity);
+        const rate = this.properties.EVAPORATION_COEFFICIENT * surfaceSqM * Math.max(0, difference);
+        return lid ? rate * this.properties.LID_EVAPORATION_FACTOR : rate;
+    }
+
+    /**
+     * Humidity ratio of air at a temperature and relative humidity
+     * @param {number} tempC - Air temperature in °C
+     * @param {number} relativeHumidity - Relative humidity as a fraction (1 = saturated)
+     * @returns {number} kg of water vapour per kg of dry air
+     */
+    getHumidityRatio(tempC, relativeHumidity) {
+        // Magnus formula for saturation vapour pressure in Pa
+        const vapourPressure = relativeHumidity * 610.94 * Math.exp((17.625 * tempC) / (tempC + 243.04));
+        return 0.622 * vapourPressure / (this.properties.ATMOSPHERIC_PRESSURE_PA - vapourPressure);
+    }
+
+    /**
+     * Pick a heater and chiller for a heating and cooling load
+     * @param {object} result - Result with heating.lossW and cooling.gainW
+     * @returns {object} The result with heater and chiller added
+     */
+    size(result) {
+        const heaterW = Math.max(0, result.heating.lossW) * this.properties.HEATER_MARGIN;
+        const sizes = this.properties.HEATER_SIZES_W;
+        const chillerW = Math.max(0, result.cooling.gainW) * this.properties.CHILLER_MARGIN;
+
+        return {
+            ...result,
+            heater: {
+                requiredW: heaterW,
+                sizeW: heaterW > 0 ? sizes.find(size => size >= heaterW) ?? null : 0, // null: larger than any single heater
+                split: heaterW > this.properties.SPLIT_HEATER_W
+            },
+            chiller: chillerW > 0 ? {
+                requiredW: chillerW,
+                size: this.properties.CHILLER_SIZES.find(size => size.coolingW >= chillerW) ?? null
+            } : null
+        };
+    }
+
+    /**
+     * Combine results for tanks sharing the same water, such as a display and its sump
+     * @param {Array} results - Results from calculate
+     * @returns {object} Summed breakdowns with sizes for the whole system
+     */
+    combine(results) {
+        const addBreakdowns = (breakdowns) => breakdowns.reduce((total, breakdown) => {
+            Object.entries(breakdown).forEach(([key, watts]) => {
+                total[key] = (total[key] ?? 0) + watts;
+            });
+            return total;
+        }, {});
+        const [first] = results;
+
+        return this.size({
+            heating: {
+                roomC: first.heating.roomC,
+                breakdown: addBreakdowns(results.map(result => result.heating.breakdown)),
+                lossW: results.reduce((total, result) => total + result.heating.lossW, 0)
+            },
+            cooling: {
+                roomC: first.cooling.roomC,
+                breakdown: addBreakdowns(results.map(result => result.cooling.breakdown)),
+                gainW: results.reduce((total, result) => total + result.cooling.gainW, 0)
+            },
+            targetC: first.targetC,
+            evaporationLitersPerDay: results.reduce((total, result) => total + result.evaporationLitersPerDay, 0)
+        });
+    }
+
+    /**
+     * Add up the watts in a breakdown
+     * @param {object} breakdown - Watts keyed by path
+     * @returns {number} Total in W
+     */
+    sum(breakdown) {
+        return Object.values(breakdown).reduce((total, watts) => total + watts, 0);
+    }
+
+    /**
+     * Convert °C to °F
+     * @param {number} celsius - Temperature in °C
+     * @returns {number} Temperature in °F
+     */
+    static toFahrenheit(celsius) {
+        return celsius * 9 / 5 + 32;
+    }
+
+    /**
+     * Convert °F to °C
+     * @param {number} fahrenheit - Temperature in °F
+     * @returns {number} Temperature in °C
+     */
+    static toCelsius(fahrenheit) {
+        return (fahrenheit - 32) * 5 / 9;
+    }
+}
@@ -0,0 +1,133 @@
+// Filled tank weight and floor load estimates
+import { CONVERSIONS, DENSITIES, WATER_TYPES, FLOOR_LOAD_LIMITS, MATERIAL_PROPERTIES, DEFAULT_PANEL_MATERIAL } from './constants.js';
+import { TankShape } from './tank-shape.js';
+
+const CM2_PER_SQIN = CONVERSIONS.INCHES_TO_CM * CONVERSIONS.INCHES_TO_CM;
+
+export class WeightCalculator {
+    /**
+     * Calculate water weight
+     * @param {number} waterLiters - Water volume in liters
+     * @param {string} waterType - One of WATER_TYPES (default: freshwater)
+     * @returns {number} Water weight in kg
+     */
+    calculateWaterWeight(waterLiters, waterType = WATER_TYPES.FRESHWATER) {
+        const density = DENSITIES[waterType] ?? DENSITIES[WATER_TYPES.FRESHWATER];
+        return waterLiters * density;
+    }
+
+    /**
+     * Calculate glass weight from panel area and thickness
+     * @param {Array} panels - Panels from TankShape.getPanels (areaSqIn per panel group), optionally with their own thicknessMm
+     * @param {number} thicknessMm - Glass thickness in mm for panels without their own
+     * @param {number} density - Panel material density in kg/L (default: glass)
+     * @returns {number} Glass weight in kg
+     */
+    calculateGlassWeight(panels, thicknessMm, density = DENSITIES.GLASS) {
+        const volumeCm3 = panels.reduce((total, panel) =>
+            total + panel.areaSqIn * CM2_PER_SQIN * ((panel.thicknessMm ?? thicknessMm) / 10), 0);
+        return (volumeCm3 / 1000) * density;
+    }
+
+    /**
+     * Calculate substrate weight spread over the footprint
+     * @param {number} footprintSqIn - Footprint area in square inches
+     * @param {number} depthInches - Substrate depth in inches
+     * @returns {number} Substrate weight in kg
+     */
+    calculateSubstrateWeight(footprintSqIn, depthInches) {
+        const volumeCm3 = footprintSqIn * CM2_PER_SQIN * depthInches * CONVERSIONS.INCHES_TO_CM;
+        return (volumeCm3 / 1000) * DENSITIES.SUBSTRATE;
+    }
+
+    /**
+     * Get full weight breakdown for a filled tank
+     * @param {object} options - Tank and contents
+     * @param {number} options.length - Length in inches
+     * @param {number} options.width - Width in inches
+     * @param {number} options.height - Height in inches
+     * @param {TankShape} options.shape - Tank shape (default: rectangular)
+     * @param {number} options.waterLiters - Water volume in liters
+     * @param {string} options.waterType - One of WATER_TYPES
+     * @param {number} options.glassThicknessMm - Glass thickness in mm
+     * @param {Array} options.panels - Panel schedule with per-panel thicknessMm (default: shape panels at glassThicknessMm)
+     * @param {string} options.panelMaterial - One of PANEL_MATERIALS (default: float glass)
+     * @param {number} options.substrateDepth - Substrate depth in inches
+     * @param {number} options.rockKg - Rock weight in kg
+     * @returns {object} Weights in kg plus totals and footprint load
+     */
+    getWeightBreakdown({
+        length,
+        width,
+        height,
+        shape = new TankShape(),
+        waterLiters,
+        waterType = WATER_TYPES.FRESHWATER,
+        glassThicknessMm,
+        panels = shape.getPanels(length, width, height),
+        panelMaterial = DEFAULT_PANEL_MATERIAL,
+        substrateDepth = 0,
+        rockKg = 0
+    }) {
+        const footprintSqIn = shape.getBaseArea(length, width);
+        const panelDensity = MATERIAL_PROPERTIES[panelMaterial]?.density ?? DENSITIES.GLASS;
+
+        const waterKg = this.calculateWaterWeight(waterLiters, waterType);
+        const glassKg = this.calculateGlassWeight(panels, glassThicknessMm, panelDensity);
+        const substrateKg = this.calculateSubstrateWeight(footprintSqIn, substrateDepth);
+        const totalKg = waterKg + glassKg + substrateKg + rockKg;
+
+        return {
+            waterKg: waterKg,
+            glassKg: glassKg,
+            substrateKg: substrateKg,
+            rockKg: rockKg,
+            totalKg: totalKg,
+            totalLb: totalKg * CONVERSIONS.KG_TO_LB,
+            floorLoad: this.getFloorLoad(totalKg, footprintSqIn)
+        };
+    }
+
+    /**
+     * Get load per unit area over the tank footprint
+     * @param {number} totalKg - Total weight in kg
+     * @param {number} footprintSqIn - Footprint area in square inches
+     * @returns {object} Footprint area and load in imperial and metric units
+     */
+    getFloorLoad(totalKg, footprintSqIn) {
+        const footprintSqFt = footprintSqIn / 144;
+        const footprintSqM = footprintSqFt * CONVERSIONS.SQFT_TO_SQM;
+
+        return {
+            footprintSqFt: footprintSqFt,
+            footprintSqM: footprintSqM,
+            lbPerSqFt: footprintSqFt > 0 ? (totalKg * CONVERSIONS.KG_TO_LB) / footprintSqFt : 0,
+            kgPerSqM: footprintSqM > 0 ? totalKg / footprintSqM : 0
+        };
+    }
+
+    /**
+     * Check footprint load against floor-load limits
+     * @param {number} lbPerSqFt - Load over the footprint in lb/ft²
+     * @param {object} limits - { warning, max } in lb/ft² (defaults from constants)
+     * @returns {object} Status level ('ok', 'warning', 'critical') and message
+     */
+    checkFloorLoad(lbPerSqFt, limits = {}) {
+        const warning = limits.warning ?? FLOOR_LOAD_LIMITS.WARNING_LB_PER_SQFT;
+        const max = limits.max ?? FLOOR_LOAD_LIMITS.MAX_LB_PER_SQFT;
+
+        if (lbPerSqFt > max) {
+            return {
+                level: 'critical',
+                message: 'Exceeds floor-load limit - consult a structural engineer before filling'
+            };
+        }
+        if (lbPerSqFt > warning) {
+            return {
+                level: 'warning',
+                message: 'Heavy load - place across floor joists and near a load-bearing wall'
+            };
+        }
+        return { level: 'ok', message: 'Within floor-load limit' };
+    }
+}
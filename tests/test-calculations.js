@@ -1,6 +1,27 @@
 // Simple test script to simulate the DOM and test calculations
 import { TankCalculator } from '../app/js/tank-calculator.js';
 import { GlassRecommender } from '../app/js/glass-recommendations.js';
+import { TankShape } from '../app/js/tank-shape.js';
+import { WeightCalculator } from '../app/js/weight-calculator.js';
+import { DisplacementModel } from '../app/js/displacement-model.js';
+import { TankSystem } from '../app/js/tank-system.js';
+import { BracingDesigner } from '../app/js/bracing-designer.js';
+import { PlateStressCalculator } from '../app/js/plate-stress-calculator.js';
+import { CutListGenerator } from '../app/js/cut-list.js';
+import { EquipmentRecommender } from '../app/js/equipment-recommendations.js';
+import { EquipmentStrategy, EquipmentStrategyFactory } from '../app/js/equipment-strategy.js';
+import { DimensionFinder } from '../app/js/dimension-finder.js';
+import { PlacementConstraints } from '../app/js/placement-constraints.js';
+import { TankCatalog } from '../app/js/tank-catalog.js';
+import { PresetStore } from '../app/js/preset-store.js';
+import { ThermalModel } from '../app/js/thermal-model.js';
+import { LivestockDatabase } from '../app/js/livestock-database.js';
+import { StockingPlanner } from '../app/js/stocking-planner.js';
+import { LightingModel } from '../app/js/lighting-model.js';
+import { RuleEngine } from '../app/js/rule-engine.js';
+import { ProductCatalog } from '../app/js/product-catalog.js';
+import { readFileSync } from 'fs';
+import { TANK_SHAPES, WATER_TYPES, GLASS_CALC_MODES, GLASS_PROPERTIES, PANEL_MATERIALS, BOTTOM_SUPPORTS, SIDE_ASSEMBLIES, BOTTOM_ASSEMBLIES, OPTIMIZER_OBJECTIVES, UNIT_SYSTEMS, VOLUME_UNITS, CATALOG_FAMILIES, TANK_TYPES, TANK_TYPE_PROFILES } from '../app/js/constants.js';
 
 // Mock DOM elements
 global.document = {
@@ -63,4 +84,934 @@ function updateCalculations() {
     console.log('glassNotes:', document.getElementById('glassNotes').textContent);
 }
 
-updateCalculations();
\ No newline at end of file
+updateCalculations();
+
+// Test volume, surface area and panels for every tank shape
+function testShapes() {
+    console.log('\nTesting tank shapes (48 wide × 24 deep × 24 high)...');
+
+    Object.values(TANK_SHAPES).forEach(type => {
+        const shape = new TankShape(type);
+        const volumeLiters = calculator.calculateVolume(24, 48, 24, shape);
+        const surfaceArea = calculator.calculateSurfaceArea(24, 48, 24, shape);
+        const detailed = recommender.getDetailedRecommendation(24, 48, 24, shape);
+
+        console.log(`${type}:`, {
+            volumeLiters: volumeLiters.toFixed(1),
+            topSqFt: surfaceArea.topSqFt.toFixed(2),
+            glass: detailed.thickness,
+            panels: detailed.panels.map(panel => `${panel.count}× ${panel.name}`).join(', ')
+        });
+    });
+
+    const box = calculator.calculateVolume(24, 48, 24);
+    const rectangle = calculator.calculateVolume(24, 48, 24, new TankShape(TANK_SHAPES.RECTANGLE));
+    console.log('Rectangle shape matches plain box:', Math.abs(box - rectangle) < 1e-9);
+}
+
+testShapes();
+
+// Test filled weight and floor load for a 48×24×24 tank
+function testWeight() {
+    console.log('\nTesting weight and floor load...');
+
+    const weightCalculator = new WeightCalculator();
+    const waterLiters = calculator.adjustForDisplacement(calculator.calculateVolume(24, 48, 24));
+
+    Object.values(WATER_TYPES).forEach(waterType => {
+        const weight = weightCalculator.getWeightBreakdown({
+            length: 24,
+            width: 48,
+            height: 24,
+            waterLiters: waterLiters,
+            waterType: waterType,
+            glassThicknessMm: recommender.getRecommendedThickness(24, 48, 24),
+            substrateDepth: 2,
+            rockKg: 20
+        });
+        const status = weightCalculator.checkFloorLoad(weight.floorLoad.lbPerSqFt);
+
+        console.log(`${waterType}:`, {
+            waterKg: weight.waterKg.toFixed(1),
+            glassKg: weight.glassKg.toFixed(1),
+            substrateKg: weight.substrateKg.toFixed(1),
+            totalLb: weight.totalLb.toFixed(0),
+            lbPerSqFt: weight.floorLoad.lbPerSqFt.toFixed(1),
+            status: status.level
+        });
+    });
+}
+
+testWeight();
+
+// Test displacement breakdown and the reverse water-volume solve
+function testDisplacement() {
+    console.log('\nTesting displacement model...');
+
+    const model = new DisplacementModel();
+    const tank = {
+        length: 24,
+        width: 48,
+        height: 24,
+        glassThicknessMm: 10,
+        substrateDepth: 2,
+        rockKg: 20,
+        freeboard: 1
+    };
+    const displacement = model.calculate(tank);
+
+    console.log('Breakdown (L):', {
+        geometric: displacement.geometricLiters.toFixed(1),
+        glass: displacement.glassLiters.toFixed(1),
+        freeboard: displacement.freeboardLiters.toFixed(1),
+        substrate: displacement.substrateLiters.toFixed(1),
+        rock: displacement.rockLiters.toFixed(1),
+        water: displacement.waterLiters.toFixed(1),
+        percent: displacement.displacementPercent.toFixed(1)
+    });
+
+    const scale = model.findScaleForWaterVolume(300, tank);
+    const solved = model.calculate({ ...tank, length: 24 * scale, width: 48 * scale, height: 24 * scale });
+    console.log('Scale for 300 L of water:', scale.toFixed(3), '→', solved.waterLiters.toFixed(1), 'L');
+
+    // A bowfront's bow depth scales with it, so the solved tank keeps its proportions
+    const bowTank = { ...tank, shape: new TankShape(TANK_SHAPES.BOWFRONT, { bowDepth: 6 }) };
+    const bowScale = model.findScaleForWaterVolume(300, bowTank);
+    const bowSolved = model.calculate({ ...bowTank, length: 24 * bowScale, width: 48 * bowScale, height: 24 * bowScale,
+        shape: bowTank.shape.scale(bowScale) });
+    console.log(`Bowfront scale for 300 L: ${bowScale.toFixed(3)} → ${bowSolved.waterLiters.toFixed(1)} L, bow ${(6 * bowScale).toFixed(2)}"`,
+        Math.abs(bowSolved.waterLiters - 300) < 0.1 ? '✓' : '✗');
+}
+
+testDisplacement();
+
+// Test system totals for a display tank plus sump
+function testSystem() {
+    console.log('\nTesting multi-vessel system...');
+
+    const system = new TankSystem();
+    system.addVessel({ role: 'sump', length: 30, width: 12, height: 16, waterLevel: 10 });
+
+    const displayLiters = calculator.calculateVolume(24, 48, 24);
+    const totals = system.getTotals({ waterLiters: displayLiters, weightKg: 0 });
+    const displayGallons = calculator.convertToGallons(displayLiters);
+    const systemGallons = calculator.convertToGallons(totals.totalWaterLiters);
+
+    const equipment = new EquipmentRecommender();
+    const surfaceArea = calculator.calculateSurfaceArea(24, 48, 24);
+    const displayOnly = equipment.getAllRecommendations(24, 48, 24, displayGallons, surfaceArea);
+    const withSump = equipment.getAllRecommendations(24, 48, 24, displayGallons, surfaceArea, systemGallons);
+
+    console.log('System volume:', {
+        displayGallons: displayGallons.toFixed(1),
+        sumpGallons: calculator.convertToGallons(totals.vesselWaterLiters).toFixed(1),
+        systemGallons: systemGallons.toFixed(1)
+    });
+    console.log('Heater (display only):', displayOnly.heater.text);
+    console.log('Heater (with sump):', withSump.heater.text);
+}
+
+testSystem();
+
+// Test engineering glass thickness against the quick table
+function testEngineeringGlass() {
+    console.log('\nTesting engineering glass mode...');
+
+    const tanks = [
+        { length: 12, width: 24, height: 16 },
+        { length: 24, width: 48, height: 24 },
+        { length: 24, width: 72, height: 30 }
+    ];
+
+    tanks.forEach(tank => {
+        const quick = recommender.getRecommendation(tank.length, tank.width, tank.height);
+        const engineering = recommender.getEngineeringRecommendation(tank.length, tank.width, tank.height, new TankShape(), {
+            safetyFactor: 3.8,
+            waterType: WATER_TYPES.SALTWATER
+        });
+
+        console.log(`${tank.width}"×${tank.length}"×${tank.height}":`, { quick, engineering: `${engineering.thicknessMm}mm` });
+        engineering.panels.forEach(panel => {
+            console.log(`  ${panel.name}: ratio ${panel.ratio.toFixed(2)}, needs ${panel.requiredMm.toFixed(1)}mm, ` +
+                `stress ${panel.stress.toFixed(2)}/${panel.allowableStress.toFixed(2)} N/mm², deflection ${panel.deflectionMm.toFixed(2)}mm`);
+        });
+    });
+
+    const detailed = recommender.getDetailedRecommendation(24, 48, 24, new TankShape(), { mode: GLASS_CALC_MODES.ENGINEERING });
+    console.log('Detailed (engineering):', detailed.thickness);
+}
+
+testEngineeringGlass();
+
+// Test panel materials change thickness, weight and cost
+function testMaterials() {
+    console.log('\nTesting panel materials...');
+
+    const weightCalculator = new WeightCalculator();
+    const waterLiters = calculator.calculateVolume(24, 48, 24);
+
+    Object.values(PANEL_MATERIALS).forEach(material => {
+        [GLASS_CALC_MODES.QUICK, GLASS_CALC_MODES.ENGINEERING].forEach(mode => {
+            const detailed = recommender.getDetailedRecommendation(24, 48, 24, new TankShape(), { mode, material });
+            const weight = weightCalculator.getWeightBreakdown({
+                length: 24,
+                width: 48,
+                height: 24,
+                waterLiters: waterLiters,
+                glassThicknessMm: detailed.thicknessMm,
+                panelMaterial: material
+            });
+
+            console.log(`${detailed.material.name} (${mode}):`, {
+                thickness: detailed.thickness,
+                panelKg: weight.glassKg.toFixed(1),
+                cost: `$${Math.round(detailed.estimatedCost.cost)}`,
+                drillable: detailed.material.drillable
+            });
+        });
+    });
+
+    // Stiffness limits flexible materials: every wall must stay within span/200
+    Object.values(PANEL_MATERIALS).forEach(material => {
+        const engineering = recommender.getEngineeringRecommendation(24, 48, 24, new TankShape(), { material });
+        const withinLimit = engineering.panels.every(panel => panel.deflectionMm <= panel.deflectionLimitMm);
+        console.log(`${material} deflection within span/200:`, withinLimit,
+            engineering.panels.map(panel => `${panel.name} ${panel.deflectionMm.toFixed(2)}/${panel.deflectionLimitMm.toFixed(2)}mm (${panel.governedBy})`).join(', '));
+    });
+}
+
+testMaterials();
+
+// Test bracing recommendations and the wall thickness unbraced and braced
+function testBracing() {
+    console.log('\nTesting bracing designer...');
+
+    const designer = new BracingDesigner(recommender);
+    const tanks = [
+        { length: 12, width: 24, height: 14 },
+        { length: 24, width: 48, height: 24 },
+        { length: 24, width: 72, height: 30 }
+    ];
+
+    tanks.forEach(tank => {
+        const bracing = designer.design(tank.length, tank.width, tank.height);
+        const engineering = designer.design(tank.length, tank.width, tank.height, undefined, { mode: GLASS_CALC_MODES.ENGINEERING });
+        const wallsMm = (design) => `${design.unbracedThicknessMm} → ${design.bracedThicknessMm} (${design.unbracedRequiredMm.toFixed(2)} → ${design.bracedRequiredMm.toFixed(2)})`;
+        console.log(`${tank.width}"×${tank.length}"×${tank.height}":`, {
+            type: bracing.name,
+            braceWidth: bracing.braceWidth,
+            braceThicknessMm: bracing.braceThicknessMm,
+            quickWallsMm: wallsMm(bracing),
+            engineeringWallsMm: wallsMm(engineering),
+            opening: `${Math.round(bracing.openingPercent)}%`
+        });
+    });
+
+    // Holding the top edge can only lower the plate coefficients, so a long braced tank saves glass in quick mode
+    const plate = new PlateStressCalculator();
+    const lower = [0.5, 0.8, 1.0, 2.0, 3.0].every(ratio => {
+        const free = plate.getCoefficients(ratio);
+        const braced = plate.getCoefficients(ratio, true);
+        return braced.beta < free.beta && braced.alpha < free.alpha;
+    });
+    const saving = designer.design(24, 48, 24).thicknessSavingMm;
+    console.log(`Braced coefficients below free-top: ${lower}, quick 48"×24"×24" saving ${saving}mm`, lower && saving > 0 ? '✓' : '✗');
+}
+
+testBracing();
+
+// Test per-panel glass schedule with each bottom support option
+function testPanelSchedule() {
+    console.log('\nTesting glass schedule...');
+
+    [GLASS_CALC_MODES.QUICK, GLASS_CALC_MODES.ENGINEERING].forEach(mode => {
+        Object.values(BOTTOM_SUPPORTS).forEach(bottomSupport => {
+            const schedule = recommender.getPanelSchedule(24, 48, 24, new TankShape(), { mode, bottomSupport });
+            console.log(`${mode}, ${bottomSupport} bottom:`);
+            schedule.forEach(panel => {
+                console.log(`  ${panel.count}× ${panel.name} ${panel.width.toFixed(1)}×${panel.height.toFixed(1)}" @ ${panel.thicknessMm}mm (${panel.support})`);
+            });
+        });
+    });
+
+    // A curved bottom's blank has to contain the true curve, not just the sampled outline
+    const cylinderBottom = recommender.getPanelSchedule(18, 18, 24, new TankShape(TANK_SHAPES.CYLINDER)).find(panel => panel.bottom);
+    console.log(`18" cylinder bottom blank: ${cylinderBottom.width}×${cylinderBottom.height}"`,
+        cylinderBottom.width >= 18 && cylinderBottom.height >= 18 ? '✓' : '✗');
+}
+
+testPanelSchedule();
+
+// Test that a partial fill lowers water volume and glass load
+function testWaterLevel() {
+    console.log('\nTesting water level...');
+
+    const model = new DisplacementModel();
+    const options = { mode: GLASS_CALC_MODES.ENGINEERING };
+
+    [24, 18, 10].forEach(waterDepth => {
+        const displacement = model.calculate({ length: 24, width: 48, height: 24, freeboard: 24 - waterDepth });
+        const thickness = recommender.getRecommendedThickness(24, 48, 24, new TankShape(), { ...options, waterDepth });
+        const quick = recommender.getRecommendedThickness(24, 48, 24, new TankShape(), { waterDepth });
+        console.log(`${waterDepth}" of water in a 24" tall tank:`, {
+            waterLiters: displacement.waterLiters.toFixed(1),
+            engineeringMm: thickness,
+            quickMm: quick
+        });
+    });
+
+    // Water can't stand above the rim, so an overfull level is sized like a full tank
+    const overfull = recommender.getRecommendedThickness(18, 36, 36, new TankShape(), { waterDepth: 40 });
+    const full = recommender.getRecommendedThickness(18, 36, 36, new TankShape());
+    console.log('40" of water in a 36" tall tank:', overfull, 'mm', overfull === full ? '✓' : '✗',
+        '| special attention:', recommender.requiresSpecialAttention(18, 36, 40, new TankShape(), 30),
+        recommender.requiresSpecialAttention(18, 36, 40, new TankShape()));
+
+    // An empty or nearly empty tank puts no load on the glass, so it gets the table or thinnest size
+    [0, 0.01, 0.5].forEach(waterDepth => {
+        const quick = recommender.getDetailedRecommendation(24, 48, 24, new TankShape(), { waterDepth });
+        const engineering = recommender.getRecommendedThickness(24, 48, 24, new TankShape(),
+            { mode: GLASS_CALC_MODES.ENGINEERING, bottomSupport: BOTTOM_SUPPORTS.RIM, waterDepth });
+        console.log(`${waterDepth}" of water:`, quick.thickness, `| engineering ${engineering}mm`,
+            quick.thickness.startsWith('3mm') && engineering === GLASS_PROPERTIES.STANDARD_THICKNESSES_MM[0] ? '✓' : '✗');
+    });
+}
+
+testWaterLevel();
+
+// Test cut list sizes for each assembly style and its exports
+function testCutList() {
+    console.log('\nTesting cut list...');
+
+    const generator = new CutListGenerator();
+    const designer = new BracingDesigner(recommender);
+    const schedule = recommender.getPanelSchedule(24, 48, 24, new TankShape(), { mode: GLASS_CALC_MODES.ENGINEERING });
+    const bracing = designer.design(24, 48, 24);
+
+    Object.values(SIDE_ASSEMBLIES).forEach(sides => {
+        Object.values(BOTTOM_ASSEMBLIES).forEach(bottom => {
+            const cutList = generator.generate({ length: 24, width: 48, height: 24, schedule, sides, bottom });
+            const sizes = cutList.rows.map(row => `${row.count}× ${row.name} ${row.cutWidth.toFixed(2)}×${row.cutHeight.toFixed(2)}`);
+            console.log(`${sides}, ${bottom}:`, sizes.join('; '));
+        });
+    });
+
+    const cutList = generator.generate({ length: 24, width: 48, height: 24, schedule, bracing });
+    console.log(generator.toText(cutList));
+    console.log(generator.toCSV(cutList, true));
+
+    // Lengths are cut to the nearest 1/16", which needs four decimals to print exactly
+    const { formatLength } = generator.getUnits(false);
+    const lengths = [47.0625, 47.125, 48].map(formatLength);
+    console.log('Sixteenths:', lengths.join(', '), lengths.join(', ') === '47.0625, 47.125, 48' ? '✓' : '✗');
+}
+
+testCutList();
+
+// Test the multi-objective dimension optimizer
+function testDimensionOptimizer() {
+    console.log('\nTesting dimension optimizer...');
+
+    const finder = new DimensionFinder(recommender);
+    const searches = [
+        { label: 'continuous, cost + surface', options: {} },
+        { label: '2 in grid, cost + surface', options: { step: 2 } },
+        { label: 'thickness + aspect 3:1', options: { objectives: [OPTIMIZER_OBJECTIVES.GLASS_THICKNESS, OPTIMIZER_OBJECTIVES.ASPECT_RATIO], preferredAspectRatio: 3 } }
+    ];
+
+    searches.forEach(({ label, options }) => {
+        const results = finder.findDimensions(75, { maxHeight: 24 }, 5, options);
+        console.log(`${label}:`);
+        results.forEach(result => {
+            const scores = Object.entries(result.scores).map(([key, value]) => `${key} ${value.toFixed(2)}`).join(', ');
+            console.log(`  ${result.width}×${result.length}×${result.height} ${result.unit} (${result.volume} ${result.volumeUnit}) ${scores}`);
+        });
+    });
+}
+
+testDimensionOptimizer();
+
+// Test placement constraints in the dimension search
+function testPlacementConstraints() {
+    console.log('\nTesting placement constraints...');
+
+    const finder = new DimensionFinder(recommender);
+    const search = finder.search(100, {
+        doorwayWidth: 30,
+        stand: { width: 60, length: 20 },
+        maxFilledWeightKg: 400,
+        minLength: 18,
+        maxHeightRatio: 0.5
+    }, 3);
+
+    console.log('Ruled out per constraint:', search.violationCounts);
+    search.results.forEach(result => console.log(`  fits: ${result.width}×${result.length}×${result.height} (${result.volume} gal)`));
+    search.rejected.forEach(result => {
+        console.log(`  rejected: ${result.width}×${result.length}×${result.height} - ${result.violations.map(v => v.message).join('; ')}`);
+    });
+
+    const doorway = new PlacementConstraints({ doorwayWidth: 24 });
+    console.log('72×30×30 through a 24" doorway:', doorway.check(72, 30, 30, 0).map(v => v.message));
+}
+
+testPlacementConstraints();
+
+// Load the bundled tank catalog from disk (the browser fetches it)
+function loadCatalog() {
+    const catalog = new TankCatalog();
+    catalog.addEntries(JSON.parse(readFileSync(new URL('../app/data/tank-catalog.json', import.meta.url), 'utf8')), 'tank-catalog.json');
+    return catalog;
+}
+
+// Test the finder searching natively in metric units
+function testMetricFinder() {
+    console.log('\nTesting metric dimension search...');
+
+    const finder = new DimensionFinder(recommender, loadCatalog());
+    const units = { unitSystem: UNIT_SYSTEMS.METRIC, volumeUnit: VOLUME_UNITS.LITERS };
+    const results = finder.findDimensions(200, { maxHeight: 60 }, 5, { ...units, step: 5 });
+
+    results.forEach(result => {
+        console.log(`  ${result.width}×${result.length}×${result.height} ${result.unit} (${result.volume} L, ${result.percentDifference}% off)`);
+    });
+    console.log('All on the 5 cm grid:', results.every(r => [r.width, r.length, r.height].every(v => v % 5 === 0)));
+    console.log('Metric presets:', finder.getPopularPresets(200, units).map(preset => preset.name).join(', '));
+
+    // A 1 cm grid would take several seconds, so it is searched at the 2.5 cm minimum instead
+    const fine = finder.search(200, { maxHeight: 60 }, 5, { ...units, step: 1 });
+    console.log(`1 cm step searched at ${fine.step} cm:`, fine.results.length > 0 &&
+        fine.results.every(r => [r.width, r.length, r.height].every(v => v % 2.5 === 0)) ? '✓' : '✗');
+}
+
+testMetricFinder();
+
+// Test the standard size catalog
+function testTankCatalog() {
+    console.log('\nTesting tank catalog...');
+
+    const catalog = loadCatalog();
+    Object.values(CATALOG_FAMILIES).forEach(family => {
+        console.log(`${catalog.getFamilyName(family)}: ${catalog.search({ family }).length} sizes`);
+    });
+    console.log('Rimless around 60 L:', catalog.search({ rimless: true, minLiters: 40, maxLiters: 80 }).map(e => e.name).join(', '));
+    console.log('Search "breeder":', catalog.search({ query: 'breeder' }).map(e => `${e.name} ${catalog.formatSize(e.actual)}`).join(', '));
+
+    const result = catalog.addEntries({ entries: [
+        { id: 'custom-1', name: 'Custom 70', manufacturer: 'Local glass shop', family: CATALOG_FAMILIES.EU_METRIC,
+            nominal: { width: 70, length: 40, height: 40, unit: 'cm' },
+            actual: { width: 70, length: 40, height: 40, unit: 'cm' }, glassThicknessMm: 8, rimless: true },
+        { id: 'broken', name: 'No sizes', manufacturer: 'Nobody', family: CATALOG_FAMILIES.RIMLESS }
+    ] }, 'drop-in.json');
+    console.log(`Imported ${result.added}, skipped:`, result.skipped.map(s => `${s.id}: ${s.errors.join('; ')}`));
+    console.log('Custom 70 volume:', catalog.getLiters(catalog.getEntry('custom-1')).toFixed(0), 'L');
+
+    const finder = new DimensionFinder(recommender, catalog);
+    console.log('Popular presets near 40 gal:', finder.getPopularPresets(40).map(p => p.name).join(', '));
+}
+
+testTankCatalog();
+
+// Test saved custom presets
+function testCustomPresets() {
+    console.log('\nTesting custom presets...');
+
+    const memory = new Map();
+    const storage = { getItem: (key) => memory.get(key) ?? null, setItem: (key, value) => memory.set(key, value) };
+    const store = new PresetStore(storage);
+
+    const reef = store.add({ name: 'Reef build', width: 48, length: 24, height: 24, unitSystem: UNIT_SYSTEMS.IMPERIAL,
+        waterLevel: { mode: 'freeboard', value: 1 }, material: 'low-iron' });
+    const nano = store.add({ name: 'Nano cube', width: 30, length: 30, height: 30, unitSystem: UNIT_SYSTEMS.METRIC });
+    console.log('Invalid preset rejected:', store.add({ name: '', width: 0, unitSystem: 'cubits' }) === null);
+    const bow = store.add({ name: 'Bowfront', width: 36, length: 16, height: 20, unitSystem: UNIT_SYSTEMS.IMPERIAL,
+        shape: TANK_SHAPES.BOWFRONT, shapeParams: { bowDepth: 5 } });
+    console.log('Bowfront keeps its bow depth:', bow.shapeParams, new PresetStore(storage).get(bow.id)?.shapeParams?.bowDepth === 5 ? '✓' : '✗');
+    console.log('Unknown shape and material:', store.validatePreset({ name: 'Odd', width: 10, length: 10, height: 10,
+        unitSystem: UNIT_SYSTEMS.IMPERIAL, shape: 'kidney', material: 'pyrex', shapeParams: { returnDepth: -1 } }));
+    store.remove(bow.id);
+
+    store.rename(nano.id, 'Shrimp cube');
+    store.move(nano.id, -1);
+    console.log('Order after move:', store.getAll().map(p => p.name).join(', '));
+    console.log('Reloaded from storage:', new PresetStore(storage).getAll().length, 'presets');
+
+    const exported = store.exportJSON();
+    store.remove(reef.id);
+    console.log('After delete:', store.getAll().map(p => p.name).join(', '));
+
+    const data = JSON.parse(exported);
+    data.presets.push({ name: 'Broken', width: -1, length: 10, height: 10, unitSystem: UNIT_SYSTEMS.IMPERIAL });
+    data.presets.push({ name: 'Stringly', width: '48', length: 24, height: 24, unitSystem: UNIT_SYSTEMS.IMPERIAL,
+        waterLevel: { mode: 'brim', value: 1 } });
+    const result = store.importJSON(JSON.stringify(data));
+    console.log(`Imported ${result.added}, skipped:`, result.skipped.map(s => `${s.name}: ${s.errors.join('; ')}`));
+    console.log('Final list:', store.getAll().map(p => `${p.name} ${p.width}×${p.length}×${p.height}`).join(', '));
+}
+
+testCustomPresets();
+
+// Test structured equipment recommendations
+function testEquipmentRecommendations() {
+    console.log('\nTesting structured equipment recommendations...');
+
+    const equipment = new EquipmentRecommender();
+    const tanks = [
+        { name: '10 gal nano', length: 10, width: 20, height: 12 },
+        { name: '75 gal long', length: 18, width: 48, height: 21 },
+        { name: '300 gal', length: 36, width: 96, height: 24 }
+    ];
+
+    tanks.forEach(tank => {
+        const gallons = calculator.convertToGallons(calculator.calculateVolume(tank.length, tank.width, tank.height));
+        const surfaceArea = calculator.calculateSurfaceArea(tank.length, tank.width, tank.height);
+        const all = equipment.getAllRecommendations(tank.length, tank.width, tank.height, gallons, surfaceArea);
+        const power = equipment.getTotalPower(all);
+
+        console.log(`${tank.name}:`, {
+            heater: `${all.heater.min}-${all.heater.max ?? '∞'} ${all.heater.unit}`,
+            filter: EquipmentStrategy.toText(all.filter),
+            circulationNotes: all.circulationPump.notes,
+            power: `${power.min}-${power.max ?? '∞'} ${power.unit} (${power.categories.join(' + ')})`
+        });
+    });
+
+    console.log('Unknown type:', equipment.getRecommendation('skimmer', 50), equipment.getRecommendationText('skimmer', 50));
+    console.log('CSV:\n' + equipment.toCSV(equipment.getAllRecommendations(24, 48, 24, 120, calculator.calculateSurfaceArea(24, 48, 24))));
+}
+
+testEquipmentRecommendations();
+
+// Test heat-loss heater and chiller sizing
+function testThermalModel() {
+    console.log('\nTesting thermal model...');
+
+    const thermal = new ThermalModel();
+    const equipment = new EquipmentRecommender();
+    const tank = { length: 18, width: 48, height: 21, glassThicknessMm: 10, targetC: 25 };
+    const describe = (result) => ({
+        lossW: Math.round(result.heating.lossW),
+        breakdown: Object.fromEntries(Object.entries(result.heating.breakdown).map(([path, watts]) => [path, Math.round(watts)])),
+        heaterW: result.heater.sizeW,
+        chiller: result.chiller ? `${result.chiller.size?.name} for ${Math.round(result.chiller.requiredW)} W` : 'none',
+        evaporation: `${result.evaporationLitersPerDay.toFixed(1)} L/day`
+    });
+
+    const garage = thermal.calculate({ ...tank, roomMinC: 15, roomMaxC: 24 });
+    const livingRoom = thermal.calculate({ ...tank, roomMinC: 24, roomMaxC: 26 });
+    console.log('75 gal in a 15°C garage:', describe(garage));
+    console.log('75 gal in a 24°C living room:', describe(livingRoom));
+    console.log('Garage with a lid:', describe(thermal.calculate({ ...tank, roomMinC: 15, roomMaxC: 24, lid: true })));
+    console.log('Acrylic in the garage:', describe(thermal.calculate({ ...tank, roomMinC: 15, roomMaxC: 24, material: 'acrylic', glassThicknessMm: 12 })));
+
+    const hotRoom = thermal.calculate({ ...tank, targetC: 22, roomMinC: 20, roomMaxC: 32, lid: true, equipmentHeatW: 150 });
+    console.log('Cold-water tank in a 32°C room:', describe(hotRoom),
+        Object.fromEntries(Object.entries(hotRoom.cooling.breakdown).map(([path, watts]) => [path, Math.round(watts)])));
+
+    const sump = thermal.calculate({ length: 12, width: 30, height: 16, waterDepth: 10, roomMinC: 15, roomMaxC: 24 });
+    console.log('Garage display plus sump:', describe(thermal.combine([garage, sump])));
+
+    const volumeGallons = calculator.convertToGallons(calculator.calculateVolume(18, 48, 21));
+    const surfaceArea = calculator.calculateSurfaceArea(18, 48, 21);
+    const bucket = equipment.getAllRecommendations(18, 48, 21, volumeGallons, surfaceArea);
+    const sized = equipment.getAllRecommendations(18, 48, 21, volumeGallons, surfaceArea, volumeGallons, garage);
+    console.log('Heater by volume:', EquipmentStrategy.toText(bucket.heater));
+    console.log('Heater by heat loss:', EquipmentStrategy.toText(sized.heater));
+    console.log('Chiller by heat gain:', EquipmentStrategy.toText(equipment.getThermalRecommendations(hotRoom).chiller));
+}
+
+testThermalModel();
+
+// Test the livestock database and stocking planner
+function testStockingPlanner() {
+    console.log('\nTesting stocking planner...');
+
+    const database = new LivestockDatabase();
+    const loaded = database.addSpecies(JSON.parse(readFileSync(new URL('../app/data/livestock.json', import.meta.url), 'utf8')), 'livestock.json');
+    console.log(`Loaded ${loaded.added} species, skipped ${loaded.skipped.length}`);
+    console.log('Invalid species:', database.validateSpecies({ id: 'x', name: 'Mystery', waterType: 'tidal', temperament: 'grumpy', ph: { min: 8, max: 6 } }));
+
+    const planner = new StockingPlanner(database);
+    const describeAll = (plan) => plan.issues.map(issue => `[${issue.level}] ${StockingPlanner.describe(issue)}`);
+    const tank20 = { length: 12, width: 24, volumeGallons: 20, waterType: WATER_TYPES.FRESHWATER, targetC: 25 };
+    const tank75 = { length: 18, width: 48, volumeGallons: 75, waterType: WATER_TYPES.FRESHWATER, targetC: 25, filterGph: 150 };
+
+    const community = planner.check(tank20, [
+        { speciesId: 'neon-tetra', count: 8 },
+        { speciesId: 'bronze-cory', count: 6 },
+        { speciesId: 'cherry-shrimp', count: 10 }
+    ]);
+    console.log('20 gal community:', {
+        bioloadPercent: Math.round(community.bioload.percent),
+        requiredGph: community.bioload.requiredGph,
+        temperatureC: community.temperatureC,
+        ph: community.ph,
+        ok: community.ok,
+        issues: describeAll(community)
+    });
+
+    const mistakes = planner.check(tank20, [
+        { speciesId: 'common-goldfish', count: 2 },
+        { speciesId: 'discus', count: 2 },
+        { speciesId: 'ocellaris-clownfish', count: 1 },
+        { speciesId: 'oscar', count: 1 }
+    ]);
+    console.log('20 gal mistakes:', { ok: mistakes.ok, issues: describeAll(mistakes) });
+
+    const heavy = planner.check(tank75, [{ speciesId: 'fancy-goldfish', count: 6 }, { speciesId: 'bristlenose-pleco', count: 1 }]);
+    console.log('75 gal goldfish:', { bioloadPercent: Math.round(heavy.bioload.percent), issues: describeAll(heavy) });
+    console.log('Metric issue text:', heavy.issues.map(issue => StockingPlanner.describe(issue, true)));
+
+    const equipment = new EquipmentRecommender();
+    const surfaceArea = calculator.calculateSurfaceArea(18, 48, 21);
+    console.log('Filter, empty tank:', EquipmentStrategy.toText(equipment.getFilterRecommendation(75, surfaceArea)));
+    console.log('Filter, goldfish stock:', EquipmentStrategy.toText(equipment.getFilterRecommendation(75, surfaceArea, heavy.bioload)));
+
+    // The recommended filter must satisfy the planner's own filtration check
+    const angelfish = [{ speciesId: 'angelfish', count: 5 }, { speciesId: 'bronze-cory', count: 6 }, { speciesId: 'bristlenose-pleco', count: 1 }];
+    [['angelfish community', angelfish], ['goldfish', [{ speciesId: 'fancy-goldfish', count: 6 }, { speciesId: 'bristlenose-pleco', count: 1 }]]]
+        .forEach(([label, stock]) => {
+            const { bioload } = planner.check(tank75, stock);
+            const filter = equipment.getFilterRecommendation(75, surfaceArea, bioload);
+            const filterGph = filter.max ?? filter.min;
+            const recheck = planner.check({ ...tank75, filterGph }, stock);
+            console.log(`Recommended filter for ${label} (${Math.round(bioload.percent)}%, needs ${Math.round(bioload.requiredGph)} GPH):`,
+                `${filter.min}${filter.max === null ? '+' : `-${filter.max}`} GPH,`,
+                'filtration issue:', recheck.issues.some(issue => issue.kind === 'filtration'));
+        });
+}
+
+testStockingPlanner();
+
+// Test tank-type profiles across equipment, weight and stocking
+function testTankTypes() {
+    console.log('\nTesting tank types...');
+
+    const equipment = new EquipmentRecommender();
+    const weightCalculator = new WeightCalculator();
+    const surfaceArea = calculator.calculateSurfaceArea(18, 48, 21);
+    const gallons = calculator.convertToGallons(calculator.calculateVolume(18, 48, 21));
+
+    Object.values(TANK_TYPES).forEach(tankType => {
+        const profile = equipment.setTankType(tankType);
+        const all = equipment.getAllRecommendations(18, 48, 21, gallons, surfaceArea, gallons + 20);
+        const weight = weightCalculator.getWeightBreakdown({ length: 18, width: 48, height: 21, waterLiters: 284, waterType: profile.waterType });
+
+        console.log(`${profile.name}:`, {
+            waterKg: weight.waterKg.toFixed(1),
+            filter: EquipmentStrategy.toText(all.filter),
+            circulation: EquipmentStrategy.toText(all.circulationPump),
+            uvSterilizer: all.uvSterilizer.text,
+            optional: Object.keys(all).filter(type => all[type].optional),
+            extras: profile.extras.map(type => EquipmentStrategy.toText(all[type]))
+        });
+    });
+
+    equipment.setTankType('lagoon');
+    console.log('Unknown tank type falls back to:', equipment.tankType);
+    equipment.setTankType(TANK_TYPES.REEF);
+    console.log('Reef CSV:\n' + equipment.toCSV(equipment.getAllRecommendations(18, 48, 21, gallons, surfaceArea)));
+
+    const database = new LivestockDatabase();
+    database.addSpecies(JSON.parse(readFileSync(new URL('../app/data/livestock.json', import.meta.url), 'utf8')), 'livestock.json');
+    const planner = new StockingPlanner(database);
+    const brackish = planner.check(
+        { length: 18, width: 48, volumeGallons: gallons, waterType: TANK_TYPE_PROFILES[TANK_TYPES.BRACKISH].waterType, targetC: 26 },
+        [{ speciesId: 'bumblebee-goby', count: 6 }, { speciesId: 'knight-goby', count: 1 }, { speciesId: 'neon-tetra', count: 8 }]
+    );
+    console.log('Brackish stock:', {
+        species: database.search({ waterType: TANK_TYPE_PROFILES[TANK_TYPES.BRACKISH].waterType }).map(species => species.name),
+        issues: brackish.issues.map(issue => StockingPlanner.describe(issue))
+    });
+}
+
+testTankTypes();
+
+// Test lighting recommendations and PAR falloff with depth
+function testLighting() {
+    console.log('\nTesting lighting...');
+
+    const model = new LightingModel();
+    console.log('Falloff on the rim:', [0, 6, 12, 18, 24, 30].map(depth => `${depth}": ${model.getFalloff(1, depth).toFixed(2)}`).join(', '));
+    console.log('Layouts:', [[12, 20], [18, 48], [24, 72], [30, 96], [10, 10]].map(([length, width]) => {
+        const layout = model.getFixtureLayout(length, width);
+        return `${width}x${length}: ${layout.count}× ${layout.lengthIn}" (${layout.perRow}/row, ${layout.rows} rows)`;
+    }));
+
+    const equipment = new EquipmentRecommender();
+    const tanks = [
+        { name: '20 gal long', length: 12, width: 30, height: 12 },
+        { name: '75 gal', length: 18, width: 48, height: 21 },
+        { name: '180 gal', length: 24, width: 72, height: 25 }
+    ];
+    [TANK_TYPES.COMMUNITY, TANK_TYPES.PLANTED, TANK_TYPES.PLANTED_HIGH_TECH, TANK_TYPES.REEF].forEach(tankType => {
+        equipment.setTankType(tankType);
+        tanks.forEach(tank => {
+            const rec = equipment.getLightingRecommendation(tank.length, tank.width, tank.height - 3, 1);
+            console.log(`${tankType}, ${tank.name}: ${EquipmentStrategy.toText(rec)} [target ${rec.min}-${rec.max} ${rec.unit}]`);
+        });
+    });
+
+    equipment.setTankType(TANK_TYPES.PLANTED_HIGH_TECH);
+    [0, 6, 12].forEach(mountHeightIn => {
+        const all = equipment.getAllRecommendations(18, 48, 21, 75, calculator.calculateSurfaceArea(18, 48, 21), 75, null, null,
+            { waterDepth: 20, substrateDepth: 3, mountHeightIn });
+        console.log(`High-tech 75 gal, fixture ${mountHeightIn}" above the rim: ${Math.round(all.lighting.parAtSubstrate)} PAR`);
+    });
+
+    // A front narrower than the shortest fixture is flagged rather than silently overhung
+    const nano = equipment.getLightingRecommendation(10, 10, 9, 1);
+    console.log('10" front:', EquipmentStrategy.toText(nano),
+        !model.getFixtureLayout(10, 10).fits && model.getFixtureLayout(12, 20).fits && nano.notes.some(note => note.includes('overhangs')) ? '✓' : '✗');
+}
+
+testLighting();
+
+// Test registering equipment strategies from code and JSON rules
+function testEquipmentRules() {
+    console.log('\nTesting equipment rule tables...');
+
+    const equipment = new EquipmentRecommender();
+    const surfaceArea = calculator.calculateSurfaceArea(18, 48, 21);
+    const rules = JSON.parse(readFileSync(new URL('../app/data/equipment-rules.json', import.meta.url), 'utf8'));
+    console.log('Bundled rules:', equipment.addRules(rules, 'equipment-rules.json'));
+
+    // A store table replacing the built-in heater buckets, with a modifier on the footprint
+    equipment.registerStrategy('heater', {
+        criteria: 'volume',
+        unit: 'W',
+        rows: [
+            { upTo: 30, min: 100, max: 100, text: 'Store brand 100W heater' },
+            { upTo: null, min: 300, max: 300, text: 'Store brand 300W heater' }
+        ],
+        modifiers: [{ when: { measure: 'aspectRatio', above: 2 }, note: 'place one at each end' }]
+    });
+    console.log('Store heater:', EquipmentStrategy.toText(equipment.getHeaterRecommendation(20)), '|',
+        EquipmentStrategy.toText(equipment.getRecommendation('heater', 75, surfaceArea, null, 18, 48)));
+
+    // When several modifiers match, the last one's set wins, as it did before modifiers became rules
+    const layered = EquipmentStrategyFactory.fromDefinition('heater', {
+        criteria: 'volume',
+        unit: 'W',
+        rows: [{ upTo: null, min: 100, max: 100, text: '100W heater' }],
+        modifiers: [
+            { when: { measure: 'volume', above: 40 }, set: { min: 200, max: 200, text: '200W heater' } },
+            { when: { measure: 'volume', above: 60 }, set: { min: 300, max: 300, text: '300W heater' } }
+        ]
+    }).getRecommendation(75);
+    console.log('Layered modifiers at 75 gal:', layered.text, layered.text === '300W heater' ? '✓' : '✗');
+
+    [TANK_TYPES.COMMUNITY, TANK_TYPES.REEF, TANK_TYPES.FOWLR].forEach(tankType => {
+        equipment.setTankType(tankType);
+        const all = equipment.getAllRecommendations(18, 48, 21, 75, surfaceArea);
+        const registered = ['heater', 'gravelVacuum', 'rodiUnit'].filter(type => all[type])
+            .map(type => `${equipment.getStrategyInfo(type).label}${all[type].optional ? ' (optional)' : ''}: ${EquipmentStrategy.toText(all[type])}`);
+        console.log(`${tankType}:`, registered);
+    });
+
+    // A dimensions table matches the smallest footprint the tank fits in, whichever way round it stands
+    const stand = EquipmentStrategyFactory.fromDefinition('stand', {
+        criteria: 'dimensions',
+        rows: [
+            { upTo: { length: 12, width: 24 }, text: '24×12" stand' },
+            { upTo: { length: 18, width: 48 }, text: '48×18" stand' },
+            { upTo: null, text: 'Custom stand' }
+        ]
+    });
+    const stands = [[18, 48], [48, 18], [12, 30], [24, 72]].map(([length, width]) => stand.getRecommendation(0, null, null, length, width));
+    console.log('Stands:', stands.map(rec => rec.trace.matched),
+        stands.map(rec => rec.text).join(', ') === '48×18" stand, 48×18" stand, 48×18" stand, Custom stand' ? '✓' : '✗');
+
+    // A table replacing a built-in reads the documented parameters, not the ones that built-in is given
+    const replaced = new EquipmentRecommender();
+    replaced.registerStrategy('uvSterilizer', {
+        criteria: 'volume',
+        rows: [{ upTo: 50, text: '9W UV' }, { upTo: null, text: '18W UV' }]
+    });
+    replaced.registerStrategy('filter', {
+        criteria: 'flow',
+        rows: [{ upTo: 200, text: 'Small canister' }, { upTo: null, text: 'Large canister' }]
+    });
+    const replacedAll = replaced.getAllRecommendations(18, 48, 21, 75, surfaceArea, 75, null, { total: 50, requiredGph: 400 });
+    console.log('Replaced built-ins:', replacedAll.uvSterilizer.trace.matched, '|', replacedAll.filter.trace.matched,
+        replacedAll.uvSterilizer.text === '18W UV' && replacedAll.filter.text === 'Large canister' ? '✓' : '✗');
+
+    // A registered filter still sees the stock: its rules can test the flow the bioload needs
+    replaced.registerStrategy('filter', {
+        criteria: 'flow',
+        rows: [{ upTo: 400, min: 200, max: 400, text: 'Small canister' }, { upTo: null, min: 400, max: null, text: 'Large canister' }],
+        rules: [{ id: 'stocked', when: { requiredGph: { above: 400 } }, set: { min: 600, max: null, text: 'Two large canisters' }, note: 'stock needs {requiredGph} GPH' }]
+    });
+    const lightStock = replaced.getAllRecommendations(18, 48, 21, 75, surfaceArea, 75, null, { total: 20, percent: 40, requiredGph: 200 });
+    const heavyStock = replaced.getAllRecommendations(18, 48, 21, 75, surfaceArea, 75, null, { total: 60, percent: 120, requiredGph: 600 });
+    console.log('Registered filter with a stock list:', EquipmentStrategy.toText(lightStock.filter), '|', EquipmentStrategy.toText(heavyStock.filter),
+        lightStock.filter.text === 'Small canister' && heavyStock.filter.text === 'Two large canisters' ? '✓' : '✗');
+
+    // A registered heater also replaces the heat-loss sizing the app always passes
+    replaced.registerStrategy('heater', { criteria: 'volume', unit: 'W', rows: [{ upTo: null, min: 300, max: 300, text: 'Store brand 300W heater' }] });
+    const heated = replaced.getAllRecommendations(18, 48, 21, 75, surfaceArea, 75,
+        new ThermalModel().calculate({ length: 18, width: 48, height: 21, glassThicknessMm: 10, targetC: 25, roomMinC: 15, roomMaxC: 24 }));
+    console.log('Registered heater with a thermal result:', heated.heater.text, '|', heated.chiller.text,
+        heated.heater.text === 'Store brand 300W heater' && heated.chiller.category === 'chiller' ? '✓' : '✗');
+
+    const invalid = [
+        ['', { criteria: 'volume', rows: [{ text: 'x' }] }],
+        ['tap', { criteria: 'height', rows: [] }],
+        ['tap', { criteria: 'dimensions', rows: [{ upTo: 48, text: 'a' }, { upTo: { length: 12, width: 60 }, text: 'b' }, { text: 'c' }] }],
+        ['tap', { criteria: 'volume', rows: [{ upTo: 20, text: 'a' }, { upTo: 10, text: 'b' }, { text: 'c' }] }],
+        ['tap', { criteria: 'flow', rows: [{ text: 'a', min: 'lots' }], modifiers: [{ when: { measure: 'colour' } }], tankTypes: ['pond'] }],
+        ['tap', { criteria: 'volume', rows: [{ text: 'a' }], modifiers: [{ when: { measure: 'volume' }, note: 'every tank' }] }],
+        ['tap', { criteria: 'volume', rows: [{ text: 'a' }], modifiers: [
+            { when: { measure: 'volume', above: 40 }, set: null },
+            { when: { measure: 'volume', above: 60 }, set: { min: 'x', text: 5 } }
+        ] }]
+    ];
+    invalid.forEach(([name, definition]) => {
+        try {
+            equipment.registerStrategy(name, definition);
+            console.log('Registered invalid definition:', name);
+        } catch (error) {
+            console.log('Rejected:', error.message);
+        }
+    });
+    console.log('Rules without strategies:', equipment.addRules({ version: 1 }, 'empty.json'));
+}
+
+testEquipmentRules();
+
+// Test multi-condition equipment rules
+function testRuleEngine() {
+    console.log('\nTesting rule engine...');
+
+    const engine = new RuleEngine([
+        { id: 'note-low', priority: 1, when: { volume: { above: 10 } }, note: 'low priority note for {volume} gal' },
+        { id: 'replace-reef', priority: 5, when: { tankType: ['reef', 'fowlr'], volume: { atLeast: 50 }, aspectRatio: { above: 2 } }, set: { text: 'Reef pair', min: 2, max: 2 }, note: 'use multiple units' },
+        { id: 'replace-any', priority: 3, when: { volume: { atLeast: 50 } }, set: { text: 'Any tank' } },
+        { id: 'stop', priority: 2, when: { lid: true }, note: 'stops here', final: true }
+    ]);
+    const base = { category: 'test', min: 1, max: 1, unit: null, text: 'Base', notes: [], optional: false };
+    [
+        { volume: 75, aspectRatio: 2.7, tankType: 'reef' },
+        { volume: 75, aspectRatio: 2.7, tankType: 'community' },
+        { volume: 75, aspectRatio: 1.2, tankType: 'reef', lid: true },
+        { volume: 5, tankType: 'reef' },
+        { volume: undefined, aspectRatio: NaN, tankType: 'reef' }
+    ].forEach(facts => {
+        const result = engine.apply(base, facts);
+        console.log(JSON.stringify(facts), '->', `${result.text} (${result.min}-${result.max})`, result.notes);
+    });
+    console.log('Base left untouched:', base.text, base.notes);
+
+    console.log('Rule errors:', RuleEngine.validateRule({ when: { volume: { over: 5 }, colour: 'red' } }, ['volume']));
+
+    // Filter and circulation special cases now come from rules
+    const equipment = new EquipmentRecommender();
+    const shallow = calculator.calculateSurfaceArea(10, 16, 8);
+    console.log('Shallow 5 gal filter:', EquipmentStrategy.toText(equipment.getFilterRecommendation(5, shallow)));
+    console.log('Shallow 5 gal filter, stocked:', EquipmentStrategy.toText(equipment.getFilterRecommendation(5, shallow, { total: 12, percent: 240 })));
+    equipment.registerStrategy('circulationPump', {
+        criteria: 'volume',
+        unit: 'GPH',
+        rows: [{ upTo: 50, min: 400, max: 600, text: 'Store 400-600 GPH wavemaker' }, { upTo: null, min: 1500, max: 3000, text: 'Store controllable wavemaker' }],
+        rules: [
+            { id: 'reef-long', priority: 10, when: { tankType: ['reef'], aspectRatio: { above: 2 }, volume: { atLeast: 60 } }, note: 'use two units, one at each end' },
+            { id: 'long', when: { aspectRatio: { above: 2 } }, note: 'point flow along the length' }
+        ]
+    });
+    [TANK_TYPES.COMMUNITY, TANK_TYPES.REEF].forEach(tankType => {
+        equipment.setTankType(tankType);
+        console.log(`Store circulation, ${tankType} 75 gal:`, EquipmentStrategy.toText(equipment.getCirculationPumpRecommendation(75, 18, 48)));
+    });
+    try {
+        equipment.registerStrategy('tap', { criteria: 'volume', rows: [{ text: 'Tap' }], rules: [{ when: { salinity: { above: 1 } } }] });
+    } catch (error) {
+        console.log('Rejected:', error.message);
+    }
+}
+
+testRuleEngine();
+
+// Test reasoning traces on glass and equipment recommendations
+function testTraces() {
+    console.log('\nTesting recommendation traces...');
+
+    const printTrace = (label, trace) => {
+        console.log(`${label}:`);
+        trace.inputs.forEach(input => console.log(`  input ${input.name} = ${input.value} ${input.unit}${input.source ? ` (${input.source})` : ''}`));
+        console.log(`  matched ${trace.matched}`);
+        trace.modifiers.forEach(modifier => console.log(`  modifier ${modifier}`));
+    };
+
+    const equipment = new EquipmentRecommender(TANK_TYPES.REEF);
+    const surfaceArea = calculator.calculateSurfaceArea(18, 48, 24);
+    const all = equipment.getAllRecommendations(18, 48, 24, 90, surfaceArea, 110);
+    ['filter', 'uvSterilizer', 'circulationPump', 'lighting', 'proteinSkimmer'].forEach(type => printTrace(type, all[type].trace));
+
+    const thermal = new ThermalModel().calculate({ length: 18, width: 48, height: 24, roomMinC: 15, roomMaxC: 30 });
+    const thermalRecs = equipment.getThermalRecommendations(thermal);
+    printTrace('thermal heater', thermalRecs.heater.trace);
+    printTrace('thermal chiller', thermalRecs.chiller.trace);
+
+    const sponge = new EquipmentRecommender().getFilterRecommendation(5, calculator.calculateSurfaceArea(10, 16, 8));
+    printTrace('sponge filter', sponge.trace);
+    console.log('Rule conditions:', RuleEngine.describeConditions({ volume: { atLeast: 50, below: 100 }, tankType: ['reef', 'fowlr'] }),
+        '/', RuleEngine.describeConditions({}));
+
+    const recommender = new GlassRecommender();
+    printTrace('glass 24x72x30 quick', recommender.getDetailedRecommendation(24, 72, 30).trace);
+    printTrace('glass 18x36x20 acrylic', recommender.getDetailedRecommendation(18, 36, 20, new TankShape(), { material: PANEL_MATERIALS.ACRYLIC }).trace);
+    printTrace('glass 24x72x30 engineering, rim bottom', recommender.getDetailedRecommendation(24, 72, 30, new TankShape(), {
+        mode: GLASS_CALC_MODES.ENGINEERING,
+        bottomSupport: BOTTOM_SUPPORTS.RIM
+    }).trace);
+}
+
+testTraces();
+
+// Test matching recommendations against the product catalog
+function testProductCatalog() {
+    console.log('\nTesting product catalog...');
+
+    const catalog = new ProductCatalog();
+    const loaded = catalog.addProducts(JSON.parse(readFileSync(new URL('../app/data/products.json', import.meta.url), 'utf8')), 'products.json');
+    console.log(`Loaded ${loaded.added} products, skipped ${loaded.skipped.length}`);
+
+    const equipment = new EquipmentRecommender(TANK_TYPES.REEF);
+    const surfaceArea = calculator.calculateSurfaceArea(18, 48, 24);
+    const recommendations = equipment.getAllRecommendations(18, 48, 24, 90, surfaceArea, 110);
+    const tank = { width: 48, length: 18, height: 22 };
+    [
+        ['no stand space', { tank, stand: null }],
+        ['30×12×14 stand', { tank, stand: { width: 30, length: 12, height: 14 } }]
+    ].forEach(([label, space]) => {
+        console.log(`Reef 90 gal, ${label}:`);
+        Object.entries(catalog.matchAll(recommendations, space)).forEach(([type, matches]) => {
+            console.log(`  ${type} (${recommendations[type].text}):`, matches.length === 0 ? 'no match' : matches.map(ProductCatalog.describe).join('; '));
+        });
+    });
+
+    // A nano tank is too small for the bigger powerheads and heaters
+    const nano = new EquipmentRecommender().getAllRecommendations(10, 12, 10, 5, calculator.calculateSurfaceArea(10, 12, 10));
+    const nanoMatches = catalog.matchAll(nano, { tank: { width: 12, length: 10, height: 9 }, stand: null }, 5);
+    ['heater', 'circulationPump'].forEach(type => {
+        console.log(`Nano ${type}:`, nanoMatches[type].map(ProductCatalog.describe).join('; ') || 'no match');
+    });
+    console.log('No heater needed:', catalog.match('heater', { category: 'heater', min: 0, max: 0, unit: 'W' }, { tank }).length);
+
+    // Lights have to cover the layout's span: a puck takes several per row, and a bar longer than the front does not fit
+    const reefLights = catalog.match('lighting', recommendations.lighting, { tank, stand: null }, 10);
+    console.log(`Reef lighting (${recommendations.lighting.text}):`, reefLights.map(ProductCatalog.describe).join('; '));
+    const hydra = reefLights.find(match => match.product.id === 'ai-hydra-32');
+    console.log('Hydra pucks for a 48" row:', hydra?.count, hydra?.fits, hydra?.count === 2 && hydra?.fits === true ? '✓' : '✗');
+    const smallLighting = new EquipmentRecommender(TANK_TYPES.FRESHWATER).getAllRecommendations(12, 24, 16, 20, calculator.calculateSurfaceArea(12, 24, 16)).lighting;
+    const smallLights = catalog.match('lighting', smallLighting, { tank: { width: 24, length: 12, height: 14 }, stand: null }, 10);
+    console.log(`24×12 lighting (${smallLighting.text}):`, smallLights.map(ProductCatalog.describe).join('; '));
+    const longBar = smallLights.find(match => match.product.id === 'nicrew-classic-48');
+    console.log('48" bar on a 24" front:', longBar?.fits === false && smallLights[0].fits === true ? 'does not fit ✓' : 'fits ✗');
+
+    const rejected = catalog.addProducts([
+        { id: 'bad', model: 'Mystery pump', manufacturer: 'Acme', category: 'circulationPump', rated: 500, unit: 'L/h', dimensions: { width: 3, length: 3, height: 4, unit: 'ft' }, powerW: 5, price: -1, placement: 'shelf' }
+    ], 'bad.json');
+    console.log('Rejected:', rejected.skipped[0].errors);
+}
+
+testProductCatalog();
@@ -10,7 +10,24 @@ console.log('1. JavaScript Syntax Validation:');
 const jsFiles = [
     'app/js/app.js',
     'app/js/tank-calculator.js',
+    'app/js/tank-shape.js',
+    'app/js/weight-calculator.js',
+    'app/js/displacement-model.js',
+    'app/js/tank-system.js',
     'app/js/glass-recommendations.js',
+    'app/js/plate-stress-calculator.js',
+    'app/js/bracing-designer.js',
+    'app/js/cut-list.js',
+    'app/js/dimension-finder.js',
+    'app/js/placement-constraints.js',
+    'app/js/tank-catalog.js',
+    'app/js/preset-store.js',
+    'app/js/thermal-model.js',
+    'app/js/livestock-database.js',
+    'app/js/stocking-planner.js',
+    'app/js/lighting-model.js',
+    'app/js/rule-engine.js',
+    'app/js/product-catalog.js',
     'app/js/equipment-recommendations.js',
     'app/js/equipment-strategy.js',
     'app/js/dom-helper.js',